@@ -25,6 +25,11 @@ function showBanner() {
   console.log('=================================================');
 }
 
+// 收集可重复的命令行参数
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 // 配置命令行参数
 program
   .name('mcp-filesystem-server')
@@ -38,6 +43,7 @@ program
   .option('-d, --debug', '启用调试模式')
   .option('-l, --log-level <level>', '设置日志级别 (debug, info, warn, error)', 'info')
   .option('-p, --log-path <path>', '设置日志目录路径', path.join(process.cwd(), 'logs'))
+  .option('--root <dir>', '工作区根目录，可多次指定；设置后只允许访问这些目录内的路径', collect, [])
   .action(async (options) => {
     // 显示Banner
     showBanner();
@@ -59,6 +65,7 @@ program
     console.log(`- 日志级别: ${options.logLevel}`);
     console.log(`- 调试模式: ${options.debug ? '启用' : '禁用'}`);
     console.log(`- 日志目录: ${logDir}`);
+    console.log(`- 工作区根目录: ${options.root.length > 0 ? options.root.join(', ') : (process.env.MCP_FS_ROOTS || '未限制')}`);
     console.log('=================================================');
     
     console.log('开始启动MCP服务器...');
@@ -68,7 +75,8 @@ program
       const result = await startServer({
         debug: options.debug,
         logLevel: options.logLevel,
-        logDir: logDir  // 重命名参数为logDir，而不是logPath，更清晰表明这是一个目录
+        logDir: logDir,  // 重命名参数为logDir，而不是logPath，更清晰表明这是一个目录
+        roots: options.root
       });
       
       if (result && result.success) {
@@ -97,15 +105,19 @@ program
     console.log('- read_file: 读取文件内容');
     console.log('- write_file: 写入文件内容');
     console.log('- append_file: 追加文件内容');
-    console.log('- delete_file: 删除文件');
+    console.log('- delete_file: 删除文件(可移入回收站)');
     console.log('- copy_file: 复制文件');
     console.log('- move_file: 移动文件');
+    console.log('- edit_file: 编辑文件内容(替换/补丁)');
     console.log('- get_file_info: 获取文件信息');
     console.log('- file_exists: 检查文件是否存在');
     console.log('\n目录操作:');
     console.log('- list_directory: 列出目录内容');
+    console.log('- find_files: 按模式查找文件');
     console.log('- create_directory: 创建目录');
-    console.log('- remove_directory: 删除目录');
+    console.log('- remove_directory: 删除目录(可移入回收站)');
+    console.log('- copy_directory: 递归复制目录');
+    console.log('- move_directory: 递归移动目录');
     console.log('- directory_exists: 检查目录是否存在');
     console.log('\n行操作:');
     console.log('- read_lines: 读取文件指定行');
@@ -113,10 +125,23 @@ program
     console.log('- insert_line: 插入行');
     console.log('- delete_lines: 删除行');
     console.log('- search_file_content: 搜索文件内容');
+    console.log('- search_directory: 在目录中递归搜索文件内容');
     console.log('\n监控工具:');
     console.log('- watch_path: 监控文件或目录变更');
     console.log('- stop_watch: 停止监控');
+    console.log('- poll_watch_events: 按游标分页获取监控事件');
     console.log('- list_watchers: 列出所有监控');
+    console.log('\nOffice文档:');
+    console.log('- read_word_document: 读取Word文档内容');
+    console.log('- read_excel_file: 读取Excel文件内容');
+    console.log('- read_powerpoint: 读取PowerPoint演示文稿内容');
+    console.log('- read_pdf: 按页读取PDF文档内容');
+    console.log('- write_excel_file: 创建或更新Excel文件');
+    console.log('- write_word_document: 从Markdown或HTML生成Word文档');
+    console.log('\n备份工具:');
+    console.log('- list_backups: 列出备份记录');
+    console.log('- restore_backup: 从备份恢复文件或目录');
+    console.log('- undo_last_operation: 撤销最近一次操作');
     console.log('\n系统工具:');
     console.log('- get_server_status: 获取服务器状态');
     console.log('=================================================');
@@ -1,6 +1,9 @@
 /**
  * 默认配置
  */
+const os = require('os');
+const path = require('path');
+
 module.exports = {
   // 服务器信息
   server: {
@@ -63,6 +66,13 @@ module.exports = {
     compression: {
       defaultLevel: 6, // 默认压缩级别(0-9)
       threshold: 1024 * 1024 // 1MB以上文件才压缩
+    },
+    // 备份配置，覆盖和删除前保存原内容，用于恢复和撤销
+    backup: {
+      enabled: true,
+      dir: path.join(os.homedir(), '.mcp-filesystem-server', 'backups'),
+      maxBackups: 100, // 最多保留的备份记录数
+      maxTotalSize: 500 * 1024 * 1024 // 500MB，备份内容总大小上限
     }
   },
   
@@ -23,9 +23,10 @@ const securityConfig = {
     // 检查符号链接
     followSymlinks: true,
     
-    // 路径白名单 - 允许访问的路径
-    // 注意：此配置已禁用，仅作为历史记录保留
-    // 现在使用黑名单模式，所有路径默认允许访问，除非在黑名单中
+    // 路径白名单 - 工作区根目录
+    // 为空时使用黑名单模式，所有路径默认允许访问，除非在黑名单中
+    // 非空时启用根目录沙箱模式，只允许访问这些根目录内的路径(按真实路径判断，符号链接无法逃逸)
+    // 可通过环境变量 MCP_FS_ROOTS (多个路径用系统路径分隔符分隔) 或命令行 --root 设置
     allowedPaths: [],
     
     // 路径黑名单 - 禁止访问的路径
@@ -81,8 +82,162 @@ const securityConfig = {
   }
 };
 
+// 客户端通过MCP roots能力提供的根目录 (运行时动态更新)
+// 为null表示客户端未提供根目录，不做限制；为空数组表示客户端没有开放任何根目录，拒绝所有路径
+let clientRoots = null;
+
 // ===== 安全工具函数 =====
 
+/**
+ * 解析路径的真实绝对路径 (解析符号链接)
+ * 对于尚不存在的路径，解析最近的已存在父目录后再拼接剩余部分
+ * @param {string} inputPath 输入路径
+ * @returns {string} 真实绝对路径
+ */
+function resolveRealPath(inputPath) {
+  const absolutePath = path.resolve(inputPath);
+  const pendingSegments = [];
+  let currentPath = absolutePath;
+  
+  while (true) {
+    try {
+      const realPath = fs.realpathSync.native(currentPath);
+      return pendingSegments.length > 0 
+        ? path.join(realPath, ...pendingSegments.reverse()) 
+        : realPath;
+    } catch (error) {
+      const parentPath = path.dirname(currentPath);
+      if (error.code !== 'ENOENT' || parentPath === currentPath) {
+        return absolutePath;
+      }
+      pendingSegments.push(path.basename(currentPath));
+      currentPath = parentPath;
+    }
+  }
+}
+
+/**
+ * 设置工作区根目录 (启用根目录沙箱模式)
+ * @param {string[]} roots 根目录列表，为空则关闭沙箱模式
+ * @returns {string[]} 解析后的根目录列表
+ */
+function setAllowedRoots(roots = []) {
+  const resolvedRoots = [];
+  
+  for (const root of roots) {
+    if (!root || typeof root !== 'string') {
+      continue;
+    }
+    const realRoot = resolveRealPath(root.trim());
+    if (!resolvedRoots.includes(realRoot)) {
+      resolvedRoots.push(realRoot);
+    }
+  }
+  
+  securityConfig.pathSecurity.allowedPaths = resolvedRoots;
+  
+  if (resolvedRoots.length > 0) {
+    logger.info('已启用根目录沙箱模式', { roots: resolvedRoots });
+  } else {
+    logger.info('已关闭根目录沙箱模式');
+  }
+  
+  return resolvedRoots;
+}
+
+/**
+ * 获取当前的工作区根目录
+ * @returns {string[]} 根目录列表
+ */
+function getAllowedRoots() {
+  return [...securityConfig.pathSecurity.allowedPaths];
+}
+
+/**
+ * 设置客户端通过MCP roots能力提供的根目录
+ * 客户端根目录与静态配置的根目录同时生效，客户端无法扩大静态根目录的范围
+ * @param {string[]|null} roots 客户端根目录列表，为空数组时拒绝所有路径，为null时取消客户端限制
+ * @returns {string[]|null} 解析后的客户端根目录列表
+ */
+function setClientRoots(roots) {
+  if (roots === null || roots === undefined) {
+    clientRoots = null;
+    logger.info('已取消客户端根目录限制');
+    return null;
+  }
+  
+  const resolvedRoots = [];
+  
+  for (const root of roots) {
+    if (!root || typeof root !== 'string') {
+      continue;
+    }
+    const realRoot = resolveRealPath(root);
+    if (!resolvedRoots.includes(realRoot)) {
+      resolvedRoots.push(realRoot);
+    }
+  }
+  
+  clientRoots = resolvedRoots;
+  logger.info('已更新客户端根目录', { roots: resolvedRoots });
+  
+  return resolvedRoots;
+}
+
+/**
+ * 获取客户端提供的根目录
+ * @returns {string[]|null} 客户端根目录列表，客户端未提供根目录时为null
+ */
+function getClientRoots() {
+  return clientRoots ? [...clientRoots] : null;
+}
+
+/**
+ * 判断真实路径是否位于某个根目录内
+ * @param {string} realPath 已解析的真实路径
+ * @param {string[]} roots 根目录列表
+ * @returns {boolean} 是否在根目录内
+ */
+function isUnderAnyRoot(realPath, roots) {
+  const ignoreCase = process.platform === 'win32';
+  
+  return roots.some(root => {
+    const relativePath = ignoreCase 
+      ? path.relative(root.toLowerCase(), realPath.toLowerCase()) 
+      : path.relative(root, realPath);
+    return relativePath === '' || 
+      (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+  });
+}
+
+/**
+ * 检查路径是否位于工作区根目录内 (未设置根目录时总是允许)
+ * 同时检查静态配置的根目录和客户端提供的根目录，客户端提供了空的根目录列表时拒绝所有路径
+ * @param {string} pathToCheck 待检查的路径
+ * @returns {boolean} 是否在根目录内
+ */
+function isWithinAllowedRoots(pathToCheck) {
+  const { allowedPaths } = securityConfig.pathSecurity;
+  const hasStaticRoots = allowedPaths && allowedPaths.length > 0;
+  const hasClientRoots = clientRoots !== null;
+  
+  if (!hasStaticRoots && !hasClientRoots) {
+    return true;
+  }
+  
+  const realPath = resolveRealPath(pathToCheck);
+  
+  if (hasStaticRoots && !isUnderAnyRoot(realPath, allowedPaths)) {
+    return false;
+  }
+  
+  if (hasClientRoots && !isUnderAnyRoot(realPath, clientRoots)) {
+    return false;
+  }
+  
+  return true;
+}
+
 /**
  * 检查路径是否安全 (只使用黑名单)
  * @param {string} pathToCheck 待检查的路径
@@ -97,6 +252,14 @@ function isPathSafe(pathToCheck) {
     // 标准化路径
     const normalizedPath = path.normalize(pathToCheck);
     
+    // 检查是否在工作区根目录内
+    if (!isWithinAllowedRoots(normalizedPath)) {
+      return { 
+        isValid: false, 
+        reason: `路径不在允许访问的工作区根目录内: ${pathToCheck}` 
+      };
+    }
+    
     // 检查是否在黑名单中
     if (securityConfig.pathSecurity.checkPathTraversal) {
       // 检查禁止的路径
@@ -269,11 +432,17 @@ function validateToolCall(toolName, params = {}, context = {}) {
     case 'read_file':
     case 'read_word_document':
     case 'read_excel_file':
+    case 'read_powerpoint':
+    case 'read_pdf':
     case 'read_file_lines':
     case 'count_file_lines':
     case 'search_file_content':
     case 'file_exists':
     case 'file_info':
+    case 'get_file_info':
+    case 'count_lines':
+    case 'search_file':
+    case 'search_directory':
       // 检查是否有读取权限
       isAllowed = true;
       
@@ -287,6 +456,12 @@ function validateToolCall(toolName, params = {}, context = {}) {
     // 写入文件相关操作
     case 'write_file':
     case 'append_file':
+    case 'edit_file':
+    case 'write_lines':
+    case 'insert_line':
+    case 'delete_lines':
+    case 'write_excel_file':
+    case 'write_word_document':
       // 检查是否允许写入
       isAllowed = securityConfig.operationSecurity.allowWrite;
       
@@ -383,6 +558,21 @@ function validateToolCall(toolName, params = {}, context = {}) {
       }
       break;
     
+    // 恢复备份和撤销操作会写入原路径
+    case 'restore_backup':
+    case 'undo_last_operation':
+      // 检查路径安全性
+      if (params.path) {
+        const pathCheck = isPathSafe(params.path);
+        isAllowed = isAllowed && pathCheck.isValid;
+      }
+      
+      if (params.destination) {
+        const destPathCheck = isPathSafe(params.destination);
+        isAllowed = isAllowed && destPathCheck.isValid;
+      }
+      break;
+    
     // 默认放行
     default:
       isAllowed = true;
@@ -409,6 +599,11 @@ function configure(options = {}) {
       ...securityConfig.pathSecurity,
       ...options.pathSecurity
     };
+    
+    // 根目录需要解析为真实路径
+    if (Array.isArray(options.pathSecurity.allowedPaths)) {
+      setAllowedRoots(options.pathSecurity.allowedPaths);
+    }
   }
   
   if (options.operationSecurity) {
@@ -436,6 +631,11 @@ async function isPathAllowed(pathToCheck) {
   }
 }
 
+// 从环境变量加载工作区根目录
+if (process.env.MCP_FS_ROOTS) {
+  setAllowedRoots(process.env.MCP_FS_ROOTS.split(path.delimiter));
+}
+
 // 导出安全配置和函数
 module.exports = {
   // 安全配置
@@ -445,6 +645,8 @@ module.exports = {
   // 安全工具函数
   isPathSafe,
   isPathAllowed,
+  isWithinAllowedRoots,
+  resolveRealPath,
   getSafePath,
   isFileSizeAllowed,
   validateCommand,
@@ -452,5 +654,9 @@ module.exports = {
   validateToolCall,
   
   // 配置函数
-  configure
+  configure,
+  setAllowedRoots,
+  getAllowedRoots,
+  setClientRoots,
+  getClientRoots
 }; 
\ No newline at end of file
@@ -5,6 +5,7 @@
 const fileTools = require('../tools/file-tools');
 const dirTools = require('../tools/dir-tools');
 const lineTools = require('../tools/line-tools');
+const backupTools = require('../tools/backup-tools');
 const logger = require('../utils/logging');
 
 /**
@@ -41,6 +42,9 @@ async function handleFileOperation(command) {
       case 'moveFile':
         result = await fileTools.moveFile(params);
         break;
+      case 'editFile':
+        result = await fileTools.editFile(params);
+        break;
       case 'getFileInfo':
         result = await fileTools.getFileInfo(params);
         break;
@@ -52,11 +56,20 @@ async function handleFileOperation(command) {
       case 'listFiles':
         result = await dirTools.listFiles(params);
         break;
+      case 'findFiles':
+        result = await dirTools.findFiles(params.path, params);
+        break;
+      case 'copyDirectory':
+        result = await dirTools.copyDirectory(params.source, params.destination, params);
+        break;
+      case 'moveDirectory':
+        result = await dirTools.moveDirectory(params.source, params.destination, params);
+        break;
       case 'createDirectory':
         result = await dirTools.createDirectory(params);
         break;
       case 'deleteDirectory':
-        result = await dirTools.deleteDirectory(params);
+        result = await dirTools.deleteDirectory(params.path, params);
         break;
       case 'directoryExists':
         result = await dirTools.directoryExists(params);
@@ -75,6 +88,29 @@ async function handleFileOperation(command) {
       case 'searchFileContent':
         result = await lineTools.searchFileContent(params);
         break;
+      case 'searchDirectory':
+        result = await lineTools.searchDirectory(params);
+        break;
+      case 'writeFileLines':
+        result = await lineTools.writeFileLines(params);
+        break;
+      case 'insertFileLine':
+        result = await lineTools.insertFileLine(params);
+        break;
+      case 'deleteFileLines':
+        result = await lineTools.deleteFileLines(params);
+        break;
+      
+      // 备份与撤销操作
+      case 'listBackups':
+        result = await backupTools.listBackups(params);
+        break;
+      case 'restoreBackup':
+        result = await backupTools.restoreBackup(params);
+        break;
+      case 'undoLastOperation':
+        result = await backupTools.undoLastOperation(params);
+        break;
       
       default:
         logger.error(`未知的文件操作: ${operation}`);
@@ -123,32 +159,37 @@ function getSupportedOperations() {
     {
       name: 'readFile',
       description: '读取文件内容',
-      params: ['path', 'encoding']
+      params: ['path', 'encoding', 'offset', 'length']
     },
     {
       name: 'writeFile',
       description: '写入文件内容',
-      params: ['path', 'content', 'encoding']
+      params: ['path', 'content', 'encoding', 'atomic', 'ifMatch']
     },
     {
       name: 'appendFile',
       description: '追加内容到文件',
-      params: ['path', 'content', 'encoding']
+      params: ['path', 'content', 'encoding', 'ifMatch']
     },
     {
       name: 'deleteFile',
       description: '删除文件',
-      params: ['path']
+      params: ['path', 'ifMatch', 'useTrash']
     },
     {
       name: 'copyFile',
       description: '复制文件',
-      params: ['source', 'destination', 'overwrite']
+      params: ['source', 'destination', 'overwrite', 'ifMatch']
     },
     {
       name: 'moveFile',
       description: '移动/重命名文件',
-      params: ['source', 'destination', 'overwrite']
+      params: ['source', 'destination', 'overwrite', 'ifMatch']
+    },
+    {
+      name: 'editFile',
+      description: '编辑文件内容(字符串替换、行范围替换或统一diff补丁)',
+      params: ['path', 'edits', 'patch', 'dryRun', 'encoding', 'ifMatch']
     },
     {
       name: 'getFileInfo',
@@ -167,6 +208,21 @@ function getSupportedOperations() {
       description: '列出目录中的文件',
       params: ['path']
     },
+    {
+      name: 'findFiles',
+      description: '按glob模式查找文件和目录',
+      params: ['path', 'pattern', 'exclude', 'maxDepth', 'type', 'minSize', 'maxSize', 'modifiedAfter', 'modifiedBefore', 'sortBy', 'order', 'limit']
+    },
+    {
+      name: 'copyDirectory',
+      description: '递归复制目录',
+      params: ['source', 'destination', 'include', 'exclude', 'conflict', 'symlinks', 'preserveTimestamps', 'preserveMode', 'ifMatch']
+    },
+    {
+      name: 'moveDirectory',
+      description: '递归移动目录',
+      params: ['source', 'destination', 'include', 'exclude', 'conflict', 'symlinks', 'preserveTimestamps', 'preserveMode', 'ifMatch']
+    },
     {
       name: 'createDirectory',
       description: '创建目录',
@@ -175,7 +231,7 @@ function getSupportedOperations() {
     {
       name: 'deleteDirectory',
       description: '删除目录',
-      params: ['path', 'recursive']
+      params: ['path', 'recursive', 'useTrash']
     },
     {
       name: 'directoryExists',
@@ -202,7 +258,44 @@ function getSupportedOperations() {
     {
       name: 'searchFileContent',
       description: '搜索文件内容',
-      params: ['path', 'pattern', 'regex', 'ignoreCase', 'encoding']
+      params: ['path', 'pattern', 'regex', 'ignoreCase', 'contextBefore', 'contextAfter', 'maxMatches', 'invertMatch', 'multiline', 'encoding']
+    },
+    {
+      name: 'searchDirectory',
+      description: '在目录中递归搜索文件内容',
+      params: ['path', 'pattern', 'regex', 'ignoreCase', 'include', 'exclude', 'respectGitignore', 'contextBefore', 'contextAfter', 'maxResults', 'maxBytes', 'encoding']
+    },
+    {
+      name: 'writeFileLines',
+      description: '替换文件的指定行范围',
+      params: ['path', 'start', 'end', 'content', 'encoding']
+    },
+    {
+      name: 'insertFileLine',
+      description: '在文件指定行之前或之后插入内容',
+      params: ['path', 'line', 'content', 'position', 'encoding']
+    },
+    {
+      name: 'deleteFileLines',
+      description: '删除文件的指定行范围',
+      params: ['path', 'start', 'end', 'encoding']
+    },
+    
+    // 备份与撤销操作
+    {
+      name: 'listBackups',
+      description: '列出覆盖、删除和移动操作前创建的备份',
+      params: ['path', 'limit']
+    },
+    {
+      name: 'restoreBackup',
+      description: '从备份恢复文件或目录',
+      params: ['id', 'destination', 'overwrite']
+    },
+    {
+      name: 'undoLastOperation',
+      description: '撤销最近一次写入、删除或移动操作',
+      params: ['skip']
     }
   ];
 }
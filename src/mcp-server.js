@@ -2,17 +2,30 @@
  * 本地文件系统操作服务器 - MCP规范实现
  * 基于Model Context Protocol SDK
  */
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { 
+  RootsListChangedNotificationSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode
+} = require('@modelcontextprotocol/sdk/types.js');
 const { z } = require('zod');
 const path = require('path');
 const fs = require('fs');
+const { fileURLToPath, pathToFileURL } = require('url');
 const fileTools = require('./tools/file-tools');
 const dirTools = require('./tools/dir-tools');
 const lineTools = require('./tools/line-tools');
 const watchTools = require('./tools/watch-tools');
 const officeTools = require('./tools/office-tools');
+const backupTools = require('./tools/backup-tools');
+const securityUtils = require('./config/security');
+const config = require('./config');
 const logger = require('./utils/logging');
+const mimeUtils = require('./utils/mime-utils');
+const encodingUtils = require('./utils/encoding-utils');
 
 // 初始化环境
 const isDebug = process.env.DEBUG_MODE === 'true';
@@ -36,20 +49,70 @@ const server = new McpServer(
   },
   {
     capabilities: {
-      tools: {} // 启用工具功能
+      tools: {}, // 启用工具功能
+      resources: { subscribe: true, listChanged: true }, // 启用资源功能及订阅
+      logging: {} // 启用日志通知，用于推送监控事件
     }
   }
 );
 
+// 资源订阅: 资源URI到监控器的映射
+const RESOURCE_SUBSCRIPTIONS = new Map();
+
+// 客户端根目录的首次同步，完成(或失败)前暂缓处理工具调用和资源读取
+let clientRootsReady = Promise.resolve();
+
+// 所有工具在执行前等待客户端根目录首次同步完成，避免在根目录未知时放行路径
+const registerTool = server.tool.bind(server);
+server.tool = (...args) => {
+  const index = args.findIndex(arg => typeof arg === 'function');
+  const handler = args[index];
+  args[index] = async (...handlerArgs) => {
+    await clientRootsReady;
+    return handler(...handlerArgs);
+  };
+  return registerTool(...args);
+};
+
+// 通过MCP日志通知将监控事件推送给客户端
+function notifyWatchEvent(data) {
+  server.server.sendLoggingMessage({
+    level: 'info',
+    logger: 'filesystem-watch',
+    data
+  }).catch(error => {
+    logger.debug(`推送监控事件失败: ${error.message}`, { data });
+  });
+}
+
+/**
+ * 构建工具的错误响应
+ * 带有错误码的错误(如UNSUPPORTED_FORMAT、CONFLICT)以JSON形式返回，便于客户端区分处理
+ * @param {string} prefix 错误消息前缀
+ * @param {Error} error 错误
+ * @returns {Object} 工具响应
+ */
+function toolErrorResponse(prefix, error) {
+  const text = error.code
+    ? JSON.stringify({ success: false, code: error.code, message: `${prefix}: ${error.message}`, ...error.details })
+    : `${prefix}: ${error.message}`;
+  return {
+    content: [{ type: 'text', text }],
+    isError: true
+  };
+}
+
 // 注册文件操作工具
 function registerFileTools() {
   // 读取文件工具
   server.tool(
     'read_file',
-    '读取文件内容',
+    '读取文件内容，图片以image内容返回，其他二进制文件以base64资源返回',
     {
       path: z.string().describe('文件路径'),
-      encoding: z.string().optional().describe('编码方式，默认utf-8')
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk、gb18030、shift_jis等，auto表示自动检测；按字节范围读取二进制内容时可使用base64'),
+      offset: z.number().int().min(0).optional().describe('起始字节位置，指定offset或length时只读取该范围'),
+      length: z.number().int().min(0).optional().describe('读取的字节数，默认读取到文件末尾')
     },
     async (params) => {
       try {
@@ -57,6 +120,17 @@ function registerFileTools() {
         const filePath = params.path;
         const encoding = params.encoding || 'utf8';
         
+        // 检查路径访问权限
+        if (!securityUtils.validateToolCall('read_file', params)) {
+          return {
+            content: [{ 
+              type: 'text', 
+              text: `没有权限读取文件: ${filePath}` 
+            }],
+            isError: true
+          };
+        }
+        
         // 检查文件是否存在
         if (!fs.existsSync(filePath)) {
           return {
@@ -68,8 +142,93 @@ function registerFileTools() {
           };
         }
         
+        // 按字节范围读取，返回内容及范围信息
+        if (params.offset !== undefined || params.length !== undefined) {
+          const result = await fileTools.readFile(params);
+          if (!result.success) {
+            return {
+              content: [{ 
+                type: 'text', 
+                text: `读取文件失败: ${result.error}` 
+              }],
+              isError: true
+            };
+          }
+          
+          return {
+            content: [{ 
+              type: 'text', 
+              text: JSON.stringify({
+                path: filePath,
+                encoding: result.encoding,
+                bom: result.bom,
+                offset: result.offset,
+                length: result.length,
+                size: result.size,
+                eof: result.eof,
+                content: result.content
+              }, null, 2) 
+            }]
+          };
+        }
+        
+        const stats = fs.statSync(filePath);
+        const maxReadSize = config.security.operationSecurity.maxReadSize;
+        if (stats.size > maxReadSize) {
+          return {
+            content: [{ 
+              type: 'text', 
+              text: `文件大小(${stats.size}字节)超过允许的最大值(${maxReadSize}字节): ${filePath}` 
+            }],
+            isError: true
+          };
+        }
+        
+        // 二进制文件按原始字节读取，避免按文本编码解码后损坏
+        const { mimeType, binary } = await mimeUtils.detectMimeType(filePath);
+        if (binary) {
+          const data = fs.readFileSync(filePath).toString('base64');
+          
+          if (mimeUtils.isImageMimeType(mimeType)) {
+            return {
+              content: [{ 
+                type: 'image', 
+                data, 
+                mimeType 
+              }]
+            };
+          }
+          
+          return {
+            content: [{ 
+              type: 'resource', 
+              resource: {
+                uri: pathToFileURL(path.resolve(filePath)).href,
+                mimeType,
+                blob: data
+              }
+            }]
+          };
+        }
+        
+        // 自动检测编码时返回内容及检测到的编码
+        if (encoding === 'auto') {
+          const result = encodingUtils.decodeText(fs.readFileSync(filePath), encoding);
+          return {
+            content: [{ 
+              type: 'text', 
+              text: JSON.stringify({
+                path: filePath,
+                encoding: result.encoding,
+                bom: result.bom,
+                content: result.content
+              }, null, 2) 
+            }]
+          };
+        }
+        
         // 读取文件内容
-        const content = fs.readFileSync(filePath, { encoding });
+        const content = encodingUtils.decode(fs.readFileSync(filePath), encoding);
         
         return {
           content: [{ 
@@ -97,20 +256,19 @@ function registerFileTools() {
     {
       path: z.string().describe('文件路径'),
       content: z.string().describe('文件内容'),
-      encoding: z.string().optional().describe('编码方式，默认utf-8')
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk等；为base64时写入解码后的二进制内容，为auto时沿用原文件的编码和BOM'),
+      atomic: z.boolean().optional().describe('是否原子写入(写入临时文件并fsync后重命名覆盖)，默认true'),
+      ifMatch: z.string().optional().describe('前置条件，get_file_info返回的version或sha256，文件已被修改时返回CONFLICT错误')
     },
     async (params) => {
       try {
         const result = await fileTools.writeFile(params);
         return {
-          content: [{ type: 'text', text: JSON.stringify({ success: true, path: result.path }) }]
+          content: [{ type: 'text', text: JSON.stringify({ success: true, path: result.path, encoding: result.encoding, backupId: result.backupId }) }]
         };
       } catch (error) {
         logger.error(`写入文件工具执行失败: ${error.message}`, { error });
-        return {
-          content: [{ type: 'text', text: `写入文件失败: ${error.message}` }],
-          isError: true
-        };
+        return toolErrorResponse('写入文件失败', error);
       }
     }
   );
@@ -122,20 +280,18 @@ function registerFileTools() {
     {
       path: z.string().describe('文件路径'),
       content: z.string().describe('追加内容'),
-      encoding: z.string().optional().describe('编码方式，默认utf-8')
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk等；为base64时追加解码后的二进制内容，为auto时沿用原文件的编码'),
+      ifMatch: z.string().optional().describe('前置条件，get_file_info返回的version或sha256，文件已被修改时返回CONFLICT错误')
     },
     async (params) => {
       try {
         const result = await fileTools.appendFile(params);
         return {
-          content: [{ type: 'text', text: JSON.stringify({ success: true, path: result.path }) }]
+          content: [{ type: 'text', text: JSON.stringify({ success: true, path: result.path, encoding: result.encoding, backupId: result.backupId }) }]
         };
       } catch (error) {
         logger.error(`追加文件工具执行失败: ${error.message}`, { error });
-        return {
-          content: [{ type: 'text', text: `追加文件失败: ${error.message}` }],
-          isError: true
-        };
+        return toolErrorResponse('追加文件失败', error);
       }
     }
   );
@@ -145,23 +301,21 @@ function registerFileTools() {
     'delete_file',
     '删除文件',
     {
-      path: z.string().describe('文件路径')
+      path: z.string().describe('文件路径'),
+      ifMatch: z.string().optional().describe('前置条件，get_file_info返回的version或sha256，文件已被修改时返回CONFLICT错误'),
+      useTrash: z.boolean().optional().describe('是否移入系统回收站(~/.local/share/Trash)而不是永久删除，默认false')
     },
     async (params) => {
       try {
         const result = await fileTools.deleteFile(params);
         return {
-          content: [{ type: 'text', text: JSON.stringify({ success: true, path: result.path }) }]
+          content: [{ type: 'text', text: JSON.stringify({ success: true, path: result.path, trashPath: result.trashPath, backupId: result.backupId }) }]
         };
       } catch (error) {
         logger.error(`删除文件工具执行失败: ${error.message}`, { error });
-        return {
-          content: [{ type: 'text', text: `删除文件失败: ${error.message}` }],
-          isError: true
-        };
+        return toolErrorResponse('删除文件失败', error);
       }
-    },
-    { description: '删除文件' }
+    }
   );
 
   // 复制文件工具
@@ -171,7 +325,8 @@ function registerFileTools() {
     {
       source: z.string().describe('源文件路径'),
       destination: z.string().describe('目标文件路径'),
-      overwrite: z.boolean().optional().describe('如果目标文件存在是否覆盖')
+      overwrite: z.boolean().optional().describe('如果目标文件存在是否覆盖'),
+      ifMatch: z.string().optional().describe('覆盖时的前置条件，目标文件的version或sha256，目标文件已被修改时返回CONFLICT错误')
     },
     async (params) => {
       try {
@@ -180,15 +335,13 @@ function registerFileTools() {
           content: [{ type: 'text', text: JSON.stringify({ 
             success: true, 
             source: result.source, 
-            destination: result.destination 
+            destination: result.destination,
+            backupId: result.backupId
           }) }]
         };
       } catch (error) {
         logger.error(`复制文件工具执行失败: ${error.message}`, { error });
-        return {
-          content: [{ type: 'text', text: `复制文件失败: ${error.message}` }],
-          isError: true
-        };
+        return toolErrorResponse('复制文件失败', error);
       }
     } 
   );
@@ -200,7 +353,8 @@ function registerFileTools() {
     {
       source: z.string().describe('源文件路径'),
       destination: z.string().describe('目标文件路径'),
-      overwrite: z.boolean().optional().describe('如果目标文件存在是否覆盖')
+      overwrite: z.boolean().optional().describe('如果目标文件存在是否覆盖'),
+      ifMatch: z.string().optional().describe('前置条件，源文件的version或sha256，源文件已被修改时返回CONFLICT错误')
     },
     async (params) => {
       try {
@@ -209,15 +363,44 @@ function registerFileTools() {
           content: [{ type: 'text', text: JSON.stringify({ 
             success: true, 
             source: result.source, 
-            destination: result.destination 
+            destination: result.destination,
+            backupId: result.backupId
           }) }]
         };
       } catch (error) {
         logger.error(`移动文件工具执行失败: ${error.message}`, { error });
+        return toolErrorResponse('移动文件失败', error);
+      }
+    }
+  );
+
+  // 编辑文件工具
+  server.tool(
+    'edit_file',
+    '编辑文件内容，支持精确字符串替换、行范围替换或统一diff补丁，所有修改一次性原子应用',
+    {
+      path: z.string().describe('文件路径'),
+      edits: z.array(z.object({
+        oldText: z.string().optional().describe('要替换的原文本，必须在文件中唯一匹配'),
+        newText: z.string().optional().describe('替换后的文本，默认为空(即删除)'),
+        replaceAll: z.boolean().optional().describe('是否替换所有匹配项，默认false'),
+        startLine: z.number().optional().describe('要替换的起始行(从1开始)，与oldText二选一'),
+        endLine: z.number().optional().describe('要替换的结束行，默认等于startLine')
+      })).optional().describe('编辑操作列表，均基于原始内容定位'),
+      patch: z.string().optional().describe('统一diff格式的补丁，与edits二选一'),
+      dryRun: z.boolean().optional().describe('是否只预览修改而不写入，默认false'),
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk等；为auto时自动检测并沿用原文件的编码和BOM'),
+      ifMatch: z.string().optional().describe('前置条件，get_file_info返回的version或sha256，文件已被修改时返回CONFLICT错误')
+    },
+    async (params) => {
+      try {
+        const result = await fileTools.editFile(params);
         return {
-          content: [{ type: 'text', text: `移动文件失败: ${error.message}` }],
-          isError: true
+          content: [{ type: 'text', text: JSON.stringify(result) }]
         };
+      } catch (error) {
+        logger.error(`编辑文件工具执行失败: ${error.message}`, { error });
+        return toolErrorResponse('编辑文件失败', error);
       }
     }
   );
@@ -225,7 +408,7 @@ function registerFileTools() {
   // 获取文件信息工具
   server.tool(
     'get_file_info',
-    '获取文件信息',
+    '获取文件信息，包含可用作ifMatch前置条件的version和sha256',
     {
       path: z.string().describe('文件路径')
     },
@@ -285,9 +468,11 @@ function registerDirectoryTools() {
     },
     async (params) => {
       try {
-        const result = await dirTools.listFiles(params);
+        const { path: dirPath, ...options } = params;
+        const result = await dirTools.listFiles(dirPath, options);
         return {
-          content: [{ type: 'text', text: JSON.stringify(result) }]
+          content: [{ type: 'text', text: JSON.stringify(result) }],
+          isError: result.success === false
         };
       } catch (error) {
         logger.error(`列出文件工具执行失败: ${error.message}`, { error });
@@ -333,16 +518,25 @@ function registerDirectoryTools() {
     '删除目录',
     {
       path: z.string().describe('目录路径'),
-      recursive: z.boolean().optional().describe('是否递归删除子目录和文件')
+      recursive: z.boolean().optional().describe('是否递归删除子目录和文件'),
+      useTrash: z.boolean().optional().describe('是否将整个目录移入系统回收站(~/.local/share/Trash)而不是永久删除，默认false')
     },
     async (params) => {
       try {
-        const result = await dirTools.deleteDirectory(params);
+        const result = await dirTools.deleteDirectory(params.path, { recursive: params.recursive, useTrash: params.useTrash });
+        if (!result.success) {
+          return {
+            content: [{ type: 'text', text: result.message }],
+            isError: true
+          };
+        }
         return {
           content: [{ type: 'text', text: JSON.stringify({ 
             success: true, 
-            path: result.path, 
-            deleted: result.deleted 
+            path: params.path, 
+            deleted: true,
+            trashPath: result.trashPath,
+            backupId: result.backupId
           }) }]
         };
       } catch (error) {
@@ -405,6 +599,111 @@ function registerDirectoryTools() {
       }
     }
   );
+
+  // 查找文件工具
+  server.tool(
+    'find_files',
+    '按glob模式查找文件和目录，支持类型、大小、修改时间过滤以及排序',
+    {
+      path: z.string().describe('起始目录路径'),
+      pattern: z.union([z.string(), z.array(z.string())]).optional().describe('glob模式，如 **/*.ts，不含/的模式只匹配名称'),
+      exclude: z.union([z.string(), z.array(z.string())]).optional().describe('排除的glob模式，匹配的目录不会被遍历'),
+      maxDepth: z.number().int().positive().optional().describe('最大遍历深度，1表示只查找直接子项'),
+      type: z.union([
+        z.enum(['file', 'directory', 'dir', 'symlink']),
+        z.array(z.enum(['file', 'directory', 'dir', 'symlink']))
+      ]).optional().describe('类型过滤'),
+      minSize: z.number().int().min(0).optional().describe('最小文件大小(字节)'),
+      maxSize: z.number().int().min(0).optional().describe('最大文件大小(字节)'),
+      modifiedAfter: z.union([z.string(), z.number()]).optional().describe('修改时间下限(ISO日期或毫秒时间戳)'),
+      modifiedBefore: z.union([z.string(), z.number()]).optional().describe('修改时间上限(ISO日期或毫秒时间戳)'),
+      sortBy: z.enum(['name', 'path', 'size', 'modifiedAt', 'mtime']).optional().describe('排序字段'),
+      order: z.enum(['asc', 'desc']).optional().describe('排序方向，默认asc'),
+      limit: z.number().int().positive().optional().describe('最大返回数量，默认1000')
+    },
+    async (params) => {
+      try {
+        const { path: dirPath, ...options } = params;
+        const result = await dirTools.findFiles(dirPath, options);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }],
+          isError: result.success === false
+        };
+      } catch (error) {
+        logger.error(`查找文件工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `查找文件失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 复制目录工具
+  server.tool(
+    'copy_directory',
+    '递归复制目录，支持include/exclude过滤、冲突策略、符号链接处理，返回复制、跳过和失败的汇总报告',
+    {
+      source: z.string().describe('源目录路径'),
+      destination: z.string().describe('目标目录路径，已存在时合并'),
+      include: z.union([z.string(), z.array(z.string())]).optional().describe('只复制匹配的文件(glob模式)，不含/的模式只匹配名称'),
+      exclude: z.union([z.string(), z.array(z.string())]).optional().describe('排除的glob模式，匹配的目录不会被遍历'),
+      conflict: z.enum(['overwrite', 'skip', 'rename']).optional().describe('目标文件已存在时的处理方式，默认skip；同名目录总是合并'),
+      symlinks: z.enum(['preserve', 'follow', 'skip']).optional().describe('符号链接处理方式：preserve保留链接本身(默认)，follow复制链接指向的内容，skip跳过'),
+      preserveTimestamps: z.boolean().optional().describe('是否保留访问和修改时间，默认true'),
+      preserveMode: z.boolean().optional().describe('是否保留权限，默认true'),
+      ifMatch: z.record(z.string()).optional().describe('覆盖时的前置条件，键为相对于目标目录的路径(以/分隔)，值为目标文件的version或sha256，目标文件已被修改时该项失败并返回CONFLICT')
+    },
+    async (params) => {
+      try {
+        const { source, destination, ...options } = params;
+        const result = await dirTools.copyDirectory(source, destination, options);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }],
+          isError: result.success === false
+        };
+      } catch (error) {
+        logger.error(`复制目录工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `复制目录失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 移动目录工具
+  server.tool(
+    'move_directory',
+    '递归移动目录，目标不存在且没有过滤条件时整体重命名，否则逐项移动并返回汇总报告',
+    {
+      source: z.string().describe('源目录路径'),
+      destination: z.string().describe('目标目录路径，已存在时合并'),
+      include: z.union([z.string(), z.array(z.string())]).optional().describe('只移动匹配的文件(glob模式)，不含/的模式只匹配名称'),
+      exclude: z.union([z.string(), z.array(z.string())]).optional().describe('排除的glob模式，匹配的目录不会被遍历'),
+      conflict: z.enum(['overwrite', 'skip', 'rename']).optional().describe('目标文件已存在时的处理方式，默认skip；同名目录总是合并'),
+      symlinks: z.enum(['preserve', 'follow', 'skip']).optional().describe('符号链接处理方式：preserve保留链接本身(默认)，follow将链接指向的内容复制到目标并删除链接本身，skip跳过'),
+      preserveTimestamps: z.boolean().optional().describe('是否保留访问和修改时间，默认true'),
+      preserveMode: z.boolean().optional().describe('是否保留权限，默认true'),
+      ifMatch: z.record(z.string()).optional().describe('覆盖时的前置条件，键为相对于目标目录的路径(以/分隔)，值为目标文件的version或sha256，目标文件已被修改时该项失败并返回CONFLICT')
+    },
+    async (params) => {
+      try {
+        const { source, destination, ...options } = params;
+        const result = await dirTools.moveDirectory(source, destination, options);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }],
+          isError: result.success === false
+        };
+      } catch (error) {
+        logger.error(`移动目录工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `移动目录失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
 }
 
 // 注册文件行操作工具
@@ -417,7 +716,7 @@ function registerLineTools() {
       path: z.string().describe('文件路径'),
       start: z.number().int().describe('起始行号(从1开始)'),
       end: z.number().int().describe('结束行号'),
-      encoding: z.string().optional().describe('编码方式，默认utf-8')
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk、gb18030、shift_jis等，auto表示自动检测')
     },
     async (params) => {
       try {
@@ -467,7 +766,12 @@ function registerLineTools() {
       pattern: z.string().describe('搜索模式'),
       regex: z.boolean().optional().describe('是否使用正则表达式'),
       ignoreCase: z.boolean().optional().describe('是否忽略大小写'),
-      encoding: z.string().optional().describe('编码方式，默认utf-8')
+      contextBefore: z.number().int().min(0).optional().describe('匹配行之前的上下文行数'),
+      contextAfter: z.number().int().min(0).optional().describe('匹配行之后的上下文行数'),
+      maxMatches: z.number().int().positive().optional().describe('最大匹配数，达到后停止搜索'),
+      invertMatch: z.boolean().optional().describe('是否返回不匹配的行'),
+      multiline: z.boolean().optional().describe('是否允许匹配跨越多行'),
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk、gb18030、shift_jis等，auto表示自动检测')
     },
     async (params) => {
       try {
@@ -484,10 +788,129 @@ function registerLineTools() {
       }
     }
   );
+
+  // 目录内容搜索工具
+  server.tool(
+    'search_directory',
+    '在目录中递归搜索文件内容，支持glob过滤、.gitignore和上下文行',
+    {
+      path: z.string().describe('目录路径'),
+      pattern: z.string().describe('搜索模式'),
+      regex: z.boolean().optional().describe('是否使用正则表达式'),
+      ignoreCase: z.boolean().optional().describe('是否忽略大小写'),
+      include: z.union([z.string(), z.array(z.string())]).optional().describe('包含的文件glob模式，如 *.js，字符串时以逗号分隔'),
+      exclude: z.union([z.string(), z.array(z.string())]).optional().describe('排除的文件或目录glob模式，如 node_modules'),
+      respectGitignore: z.boolean().optional().describe('是否遵守.gitignore规则，默认true'),
+      contextBefore: z.number().int().min(0).optional().describe('匹配行之前的上下文行数'),
+      contextAfter: z.number().int().min(0).optional().describe('匹配行之后的上下文行数'),
+      maxResults: z.number().int().positive().optional().describe('最大匹配数，默认1000'),
+      maxBytes: z.number().int().positive().optional().describe('返回内容的最大字节数，默认1MB'),
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk、gb18030、shift_jis等，auto表示逐个文件自动检测')
+    },
+    async (params) => {
+      try {
+        const result = await lineTools.searchDirectory(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`搜索目录内容工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `搜索目录内容失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 替换文件行工具
+  server.tool(
+    'write_lines',
+    '替换文件指定行范围的内容(流式处理，支持大文件)',
+    {
+      path: z.string().describe('文件路径'),
+      start: z.number().int().describe('起始行号(从1开始)'),
+      end: z.number().int().optional().describe('结束行号，默认等于起始行'),
+      content: z.string().describe('新内容，可包含多行'),
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk等；为auto时沿用原文件的编码和BOM')
+    },
+    async (params) => {
+      try {
+        const result = await lineTools.writeFileLines(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`写入文件行工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `写入文件行失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 插入文件行工具
+  server.tool(
+    'insert_line',
+    '在文件指定行之前或之后插入内容(流式处理，支持大文件)',
+    {
+      path: z.string().describe('文件路径'),
+      line: z.number().int().describe('参考行号(从1开始)'),
+      content: z.string().describe('插入的内容，可包含多行'),
+      position: z.enum(['before', 'after']).optional().describe('插入位置，默认before'),
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk等；为auto时沿用原文件的编码和BOM')
+    },
+    async (params) => {
+      try {
+        const result = await lineTools.insertFileLine(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`插入文件行工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `插入文件行失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // 删除文件行工具
+  server.tool(
+    'delete_lines',
+    '删除文件指定行范围(流式处理，支持大文件)',
+    {
+      path: z.string().describe('文件路径'),
+      start: z.number().int().describe('起始行号(从1开始)'),
+      end: z.number().int().optional().describe('结束行号，默认等于起始行'),
+      encoding: z.string().optional().describe('编码方式，默认utf-8，支持gbk等；为auto时沿用原文件的编码和BOM')
+    },
+    async (params) => {
+      try {
+        const result = await lineTools.deleteFileLines(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`删除文件行工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `删除文件行失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
 }
 
 // 注册文件监控工具
 function registerWatchTools() {
+  // 将watch_path监控器的事件推送给客户端
+  watchTools.addWatchEventListener((watcherId, event) => {
+    notifyWatchEvent({ watcherId, ...event });
+  });
+
   // 监控文件或目录变更工具
   server.tool(
     'watch_path',
@@ -499,9 +922,13 @@ function registerWatchTools() {
     },
     async (params) => {
       try {
-        const result = await watchTools.watchPath(params);
+        const result = await watchTools.watchPath(params.path, {
+          recursive: params.recursive,
+          events: params.events
+        });
         return {
-          content: [{ type: 'text', text: JSON.stringify(result) }]
+          content: [{ type: 'text', text: JSON.stringify(result) }],
+          isError: result.success === false
         };
       } catch (error) {
         logger.error(`监控文件工具执行失败: ${error.message}`, { error });
@@ -522,9 +949,10 @@ function registerWatchTools() {
     },
     async (params) => {
       try {
-        const result = await watchTools.stopWatch(params);
+        const result = await watchTools.stopWatch(params.watcherId);
         return {
-          content: [{ type: 'text', text: JSON.stringify(result) }]
+          content: [{ type: 'text', text: JSON.stringify(result) }],
+          isError: result.success === false
         };
       } catch (error) {
         logger.error(`停止监控工具执行失败: ${error.message}`, { error });
@@ -536,6 +964,32 @@ function registerWatchTools() {
     }
   );
 
+  // 轮询监控事件工具
+  server.tool(
+    'poll_watch_events',
+    '按游标分页获取监控器收集到的文件变更事件',
+    {
+      watcherId: z.string().describe('监控ID(watch_path返回的watcherId)'),
+      cursor: z.number().int().nonnegative().optional().describe('游标，返回序号大于该值的事件，首次调用传0，之后传上次返回的nextCursor'),
+      limit: z.number().int().positive().optional().describe('每页最大事件数量，默认100')
+    },
+    async (params) => {
+      try {
+        const result = await watchTools.pollWatchEvents(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }],
+          isError: result.success === false
+        };
+      } catch (error) {
+        logger.error(`轮询监控事件工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `轮询监控事件失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
   // 获取监控列表工具
   server.tool(
     'list_watchers',
@@ -565,9 +1019,10 @@ function registerOfficeTools() {
     'read_word_document',
     '读取Word文档内容并转换为文本',
     {
-      path: z.string().describe('Word文件路径(.doc或.docx格式)'),
+      path: z.string().describe('Word文件路径(.doc、.docx或.odt格式)'),
       outputFormat: z.enum(['text', 'html']).optional().describe('输出格式，支持text和html，默认text'),
-      extractImages: z.boolean().optional().describe('是否提取图片信息，默认false'),
+      extractImages: z.boolean().optional().describe('是否提取.docx中的图片，正文中以文件名引用图片，默认false'),
+      imageOutputDir: z.string().optional().describe('图片输出目录，未指定时图片以image内容块返回'),
       includeStyles: z.boolean().optional().describe('是否包含样式信息，默认false'),
       pagination: z.object({
         pageSize: z.number().int().positive().optional().describe('每页字符数'),
@@ -583,11 +1038,16 @@ function registerOfficeTools() {
       try {
         const result = await officeTools.readWordDocument(params);
         
+        // 未写入磁盘的图片以image内容块返回，文件名与正文中的引用对应
+        const imageContent = (result.images || [])
+          .filter(image => image.data)
+          .map(image => ({ type: 'image', data: image.data, mimeType: image.contentType }));
+        
         // 根据输出格式返回不同结构
         if (params.outputFormat === 'html') {
           // office-tools已经转换了内容为HTML格式，直接使用
           return {
-            content: [{ type: 'html', text: result.content }]
+            content: [{ type: 'html', text: result.content }, ...imageContent]
           };
         } else {
           // 构建响应内容
@@ -619,22 +1079,22 @@ function registerOfficeTools() {
           
           // 添加图片信息
           if (result.images && result.images.length > 0) {
+            const imageList = result.images
+              .map(image => `${image.name} (${image.contentType}, ${image.size}字节)${image.path ? `: ${image.path}` : ''}`)
+              .join('\n');
             responseContent.push({ 
               type: 'text', 
-              text: `\n\n图片数量: ${result.images.length}` 
+              text: `\n\n图片数量: ${result.images.length}\n${imageList}` 
             });
           }
           
           return {
-            content: responseContent
+            content: [...responseContent, ...imageContent]
           };
         }
       } catch (error) {
         logger.error(`读取Word文档工具执行失败: ${error.message}`, { error });
-        return {
-          content: [{ type: 'text', text: `读取Word文档失败: ${error.message}` }],
-          isError: true
-        };
+        return toolErrorResponse('读取Word文档失败', error);
       }
     }
   );
@@ -644,7 +1104,7 @@ function registerOfficeTools() {
     'read_excel_file',
     '读取Excel文件内容',
     {
-      path: z.string().describe('Excel文件路径(.xlsx、.xls或.csv格式)'),
+      path: z.string().describe('Excel文件路径(.xlsx、.csv或.ods格式，不支持旧版二进制.xls)'),
       sheet: z.union([
         z.string(),
         z.number()
@@ -657,12 +1117,24 @@ function registerOfficeTools() {
         endCol: z.number().optional()
       }).optional().describe('读取范围，例如{startRow:1, endRow:10, startCol:1, endCol:5}'),
       includeFormulas: z.boolean().optional().describe('是否包含公式，默认false'),
-      headerRow: z.boolean().optional().describe('是否将第一行作为表头，默认false')
+      headerRow: z.boolean().optional().describe('是否将第一行作为表头，默认false'),
+      streaming: z.boolean().optional().describe('是否流式分页读取大型.xlsx文件，默认false'),
+      offset: z.number().int().nonnegative().optional().describe('流式读取时跳过的数据行数(不含表头和空行)，默认0'),
+      limit: z.number().int().positive().optional().describe('流式读取时每页的最大行数，默认1000，最大5000'),
+      cursor: z.string().optional().describe('上一页返回的nextCursor，用于读取下一页。每页都从工作表开头重新解析，越靠后的页耗时越长'),
+      sheetsOnly: z.boolean().optional().describe('只返回工作表名称、区域和行数，不读取单元格内容，默认false')
     },
     async (params) => {
       try {
         const result = await officeTools.readExcelFile(params);
         
+        // 流式读取和工作表信息直接返回完整结果
+        if (result.streaming || params.sheetsOnly) {
+          return {
+            content: [{ type: 'text', text: JSON.stringify(result) }]
+          };
+        }
+        
         // 根据输出格式返回不同结构
         if (params.outputFormat === 'csv') {
           return {
@@ -686,8 +1158,130 @@ function registerOfficeTools() {
         }
       } catch (error) {
         logger.error(`读取Excel文件工具执行失败: ${error.message}`, { error });
+        return toolErrorResponse('读取Excel文件失败', error);
+      }
+    }
+  );
+
+  // PowerPoint文件读取工具
+  server.tool(
+    'read_powerpoint',
+    '读取PowerPoint演示文稿内容，按幻灯片提取标题、正文、表格和演讲者备注',
+    {
+      path: z.string().describe('PowerPoint文件路径(.pptx格式)'),
+      includeNotes: z.boolean().optional().describe('是否包含演讲者备注，默认true'),
+      pagination: z.object({
+        pageSize: z.number().optional().describe('每页幻灯片数，默认10'),
+        pageNum: z.number().optional().describe('页码，从1开始')
+      }).optional().describe('分页参数，按幻灯片数分页'),
+      range: z.object({
+        startSlide: z.number().optional().describe('起始幻灯片，从1开始'),
+        endSlide: z.number().optional().describe('结束幻灯片')
+      }).optional().describe('读取范围，例如{startSlide:1, endSlide:5}')
+    },
+    async (params) => {
+      try {
+        const result = await officeTools.readPowerPoint(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`读取PowerPoint文件工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `读取PowerPoint文件失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // PDF文件读取工具
+  server.tool(
+    'read_pdf',
+    '读取PDF文档内容，按页返回文本以及标题、作者、页数等元数据',
+    {
+      path: z.string().describe('PDF文件路径(.pdf格式)'),
+      range: z.object({
+        startPage: z.number().optional().describe('起始页，从1开始'),
+        endPage: z.number().optional().describe('结束页')
+      }).optional().describe('读取范围，例如{startPage:1, endPage:5}'),
+      password: z.string().optional().describe('加密文档的密码')
+    },
+    async (params) => {
+      try {
+        const result = await officeTools.readPdfDocument(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`读取PDF文件工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `读取PDF文件失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Excel文件写入工具
+  const excelCellValue = z.union([z.string(), z.number(), z.boolean(), z.null()]);
+  server.tool(
+    'write_excel_file',
+    '创建或更新Excel文件，支持写入行、追加行、设置单元格和公式、添加工作表',
+    {
+      path: z.string().describe('Excel文件路径(.xlsx或.csv格式)，不存在时自动创建'),
+      sheet: z.string().optional().describe('工作表名称，不存在时自动创建，默认第一个工作表'),
+      rows: z.array(z.union([
+        z.array(excelCellValue),
+        z.record(excelCellValue)
+      ])).optional().describe('要写入的行，可以是数组或对象，以=开头的字符串视为公式'),
+      headers: z.array(z.string()).optional().describe('表头，对象行按表头顺序写入'),
+      mode: z.enum(['replace', 'append']).optional().describe('行写入模式，replace替换工作表内容，append追加到末尾，默认replace'),
+      cells: z.record(excelCellValue).optional().describe('要设置的单元格，例如{"A1": "标题", "B10": "=SUM(B2:B9)"}'),
+      range: z.object({
+        start: z.string().describe('起始单元格，例如B2'),
+        values: z.array(z.array(excelCellValue)).describe('二维数组形式的值')
+      }).optional().describe('要写入的区域'),
+      addSheets: z.array(z.string()).optional().describe('要添加的工作表名称')
+    },
+    async (params) => {
+      try {
+        const result = await officeTools.writeExcelFile(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`写入Excel文件工具执行失败: ${error.message}`, { error });
+        return {
+          content: [{ type: 'text', text: `写入Excel文件失败: ${error.message}` }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Word文档生成工具
+  server.tool(
+    'write_word_document',
+    '从Markdown或HTML生成Word文档(.docx)，支持标题、段落、列表、表格、粗体/斜体和代码块',
+    {
+      path: z.string().describe('Word文件路径(.docx格式)'),
+      content: z.string().describe('Markdown或HTML内容'),
+      inputFormat: z.enum(['markdown', 'html']).optional().describe('输入格式，支持markdown和html，默认markdown'),
+      title: z.string().optional().describe('文档标题(写入文档属性)'),
+      author: z.string().optional().describe('文档作者(写入文档属性)'),
+      overwrite: z.boolean().optional().describe('文件已存在时是否覆盖，默认false')
+    },
+    async (params) => {
+      try {
+        const result = await officeTools.writeWordDocument(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`生成Word文档工具执行失败: ${error.message}`, { error });
         return {
-          content: [{ type: 'text', text: `读取Excel文件失败: ${error.message}` }],
+          content: [{ type: 'text', text: `生成Word文档失败: ${error.message}` }],
           isError: true
         };
       }
@@ -709,7 +1303,9 @@ server.tool(
         pid: process.pid,
         uptime: process.uptime(),
         memoryUsage: process.memoryUsage(),
-        isDebug
+        isDebug,
+        roots: securityUtils.getAllowedRoots(),
+        clientRoots: securityUtils.getClientRoots()
       };
       return {
         content: [{ type: 'text', text: JSON.stringify(status) }]
@@ -724,6 +1320,72 @@ server.tool(
   }
 );
 
+// 注册备份与撤销工具
+function registerBackupTools() {
+  // 列出备份工具
+  server.tool(
+    'list_backups',
+    '列出覆盖、删除和移动操作前创建的备份记录，最新的在前',
+    {
+      path: z.string().optional().describe('只列出与该路径相关的备份'),
+      limit: z.number().optional().describe('最多返回的记录数，默认50')
+    },
+    async (params) => {
+      try {
+        const result = await backupTools.listBackups(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`列出备份工具执行失败: ${error.message}`, { error });
+        return toolErrorResponse('列出备份失败', error);
+      }
+    }
+  );
+
+  // 恢复备份工具
+  server.tool(
+    'restore_backup',
+    '从备份恢复文件或目录',
+    {
+      id: z.string().describe('list_backups返回的备份ID'),
+      destination: z.string().optional().describe('恢复到的路径，默认为原路径'),
+      overwrite: z.boolean().optional().describe('目标已存在时是否覆盖，默认false')
+    },
+    async (params) => {
+      try {
+        const result = await backupTools.restoreBackup(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`恢复备份工具执行失败: ${error.message}`, { error });
+        return toolErrorResponse('恢复备份失败', error);
+      }
+    }
+  );
+
+  // 撤销上一次操作工具
+  server.tool(
+    'undo_last_operation',
+    '撤销最近一次尚未撤销的写入、删除或移动操作，路径在操作之后又被修改时返回CONFLICT错误',
+    {
+      skip: z.boolean().optional().describe('只将最近一条记录标记为已跳过而不撤销，用于跳过无法撤销的记录，默认false')
+    },
+    async (params) => {
+      try {
+        const result = await backupTools.undoLastOperation(params);
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result) }]
+        };
+      } catch (error) {
+        logger.error(`撤销操作工具执行失败: ${error.message}`, { error });
+        return toolErrorResponse('撤销操作失败', error);
+      }
+    }
+  );
+}
+
 // 注册文件缓存工具
 function registerCacheTools() {
   // 获取缓存统计信息
@@ -806,14 +1468,25 @@ function registerMonitorCallbackTools() {
     },
     async (params) => {
       try {
-        const result = await watchTools.setFileChangeCallback(
+        const eventTypes = params.eventTypes ? params.eventTypes.split(',').map(e => e.trim()) : ['change'];
+        let result = null;
+        
+        result = await watchTools.setFileChangeCallback(
           params.filePath,
-          (event, path) => {
-            logger.info(`文件变更事件: ${event}, 路径: ${path}`);
-            // 这里可以添加更多回调处理逻辑
+          (event, changedPath) => {
+            if (!eventTypes.includes(event)) {
+              return;
+            }
+            logger.info(`文件变更事件: ${event}, 路径: ${changedPath}`);
+            notifyWatchEvent({
+              watcherId: result ? result._poolId : undefined,
+              event,
+              path: changedPath,
+              time: Date.now()
+            });
           },
           {
-            events: params.eventTypes ? params.eventTypes.split(',') : ['change'],
+            events: eventTypes,
             ignoreInitial: true
           }
         );
@@ -865,14 +1538,25 @@ function registerMonitorCallbackTools() {
     },
     async (params) => {
       try {
-        const result = await watchTools.setDirChangeCallback(
+        const eventTypes = params.eventTypes ? params.eventTypes.split(',').map(e => e.trim()) : ['add', 'change', 'unlink'];
+        let result = null;
+        
+        result = await watchTools.setDirChangeCallback(
           params.dirPath,
-          (event, path) => {
-            logger.info(`目录变更事件: ${event}, 路径: ${path}`);
-            // 这里可以添加更多回调处理逻辑
+          (event, changedPath) => {
+            if (!eventTypes.includes(event)) {
+              return;
+            }
+            logger.info(`目录变更事件: ${event}, 路径: ${changedPath}`);
+            notifyWatchEvent({
+              watcherId: result ? result._poolId : undefined,
+              event,
+              path: changedPath,
+              time: Date.now()
+            });
           },
           {
-            events: params.eventTypes ? params.eventTypes.split(',') : ['add', 'change', 'unlink'],
+            events: eventTypes,
             ignoreInitial: false,
             recursive: params.recursive !== false
           }
@@ -922,6 +1606,7 @@ function registerMonitorCallbackTools() {
     async () => {
       try {
         const closedCount = watchTools.closeAllWatchers();
+        RESOURCE_SUBSCRIPTIONS.clear();
         return {
           content: [{ 
             type: 'text', 
@@ -970,6 +1655,220 @@ function registerMonitorCallbackTools() {
   );
 }
 
+// 将file://资源URI转换为本地路径
+function resourceUriToPath(uri) {
+  const uriString = uri.toString();
+  if (!uriString.startsWith('file://')) {
+    throw new McpError(ErrorCode.InvalidParams, `不支持的资源URI: ${uriString}`);
+  }
+  
+  try {
+    return fileURLToPath(uriString);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `无效的资源URI: ${uriString}`);
+  }
+}
+
+// 注册文件和目录资源
+function registerResources() {
+  // file:// 资源模板，文件返回内容，目录返回列表
+  server.resource(
+    'file',
+    new ResourceTemplate('file://{+path}', {
+      // 列出根目录及其直接子项 (未设置根目录时不列出任何资源)
+      list: async () => {
+        await clientRootsReady;
+        const roots = securityUtils.getClientRoots() || securityUtils.getAllowedRoots();
+        const resources = [];
+        
+        for (const root of roots) {
+          resources.push({
+            uri: pathToFileURL(root).href,
+            name: path.basename(root) || root,
+            mimeType: 'application/json'
+          });
+          
+          const result = await dirTools.listFiles(root);
+          if (!result.success) {
+            continue;
+          }
+          
+          // 列表中的文件只按扩展名推断类型，无法推断时不提供mimeType，读取时再按文件内容检测
+          for (const item of result.data) {
+            const mimeType = item.isDirectory ? 'application/json' : mimeUtils.getMimeTypeByExtension(item.path);
+            resources.push({
+              uri: pathToFileURL(item.path).href,
+              name: item.name,
+              ...(mimeType ? { mimeType } : {})
+            });
+          }
+        }
+        
+        return { resources };
+      }
+    }),
+    { description: '本地文件或目录，文本文件返回文本内容，二进制文件返回base64数据，目录返回目录列表(JSON)' },
+    async (uri) => {
+      await clientRootsReady;
+      const targetPath = resourceUriToPath(uri);
+      
+      // 先做路径安全检查，避免通过资源读取探测受限路径是否存在
+      if (!securityUtils.isPathSafe(targetPath).isValid) {
+        throw new McpError(ErrorCode.InvalidRequest, `路径访问被拒绝: ${targetPath}`);
+      }
+      
+      if (!fs.existsSync(targetPath)) {
+        throw new McpError(ErrorCode.InvalidParams, `资源不存在: ${targetPath}`);
+      }
+      
+      // 目录返回目录列表
+      if (fs.statSync(targetPath).isDirectory()) {
+        const result = await dirTools.listFiles(targetPath);
+        if (!result.success) {
+          throw new McpError(ErrorCode.InvalidRequest, `读取目录资源失败: ${result.message}`);
+        }
+        return {
+          contents: [{ 
+            uri: uri.href, 
+            mimeType: 'application/json', 
+            text: JSON.stringify(result.data) 
+          }]
+        };
+      }
+      
+      const { mimeType, binary } = await mimeUtils.detectMimeType(targetPath);
+      
+      // 二进制文件按原始字节以base64返回
+      if (binary) {
+        const maxReadSize = config.security.operationSecurity.maxReadSize;
+        const { size } = fs.statSync(targetPath);
+        if (size > maxReadSize) {
+          throw new McpError(ErrorCode.InvalidRequest, `文件大小(${size}字节)超过允许的最大值(${maxReadSize}字节): ${targetPath}`);
+        }
+        return {
+          contents: [{ 
+            uri: uri.href, 
+            mimeType, 
+            blob: fs.readFileSync(targetPath).toString('base64') 
+          }]
+        };
+      }
+      
+      // 文本文件返回文本内容
+      const result = await fileTools.readFile({ path: targetPath });
+      if (!result.success) {
+        throw new McpError(ErrorCode.InvalidRequest, `读取文件资源失败: ${result.error}`);
+      }
+      return {
+        contents: [{ 
+          uri: uri.href, 
+          mimeType, 
+          text: result.content 
+        }]
+      };
+    }
+  );
+  
+  // 订阅资源变更，复用文件监控回调
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    await clientRootsReady;
+    const targetPath = resourceUriToPath(uri);
+    
+    if (!securityUtils.isPathSafe(targetPath).isValid) {
+      throw new McpError(ErrorCode.InvalidRequest, `路径访问被拒绝: ${targetPath}`);
+    }
+    
+    if (RESOURCE_SUBSCRIPTIONS.has(uri)) {
+      return {};
+    }
+    
+    if (!fs.existsSync(targetPath)) {
+      throw new McpError(ErrorCode.InvalidParams, `资源不存在: ${targetPath}`);
+    }
+    
+    const notifyUpdated = (event, changedPath) => {
+      logger.debug(`资源变更: ${uri}, 事件: ${event}, 路径: ${changedPath}`);
+      server.server.sendResourceUpdated({ uri }).catch(error => {
+        logger.error(`发送资源变更通知失败: ${error.message}`, { uri, error });
+      });
+    };
+    
+    // 目录只监控直接子项
+    const watcher = fs.statSync(targetPath).isDirectory()
+      ? watchTools.setDirChangeCallback(targetPath, notifyUpdated, { ignoreInitial: true, depth: 0 })
+      : watchTools.setFileChangeCallback(targetPath, notifyUpdated, { ignoreInitial: true });
+    
+    if (!watcher) {
+      throw new McpError(ErrorCode.InternalError, `订阅资源失败: ${uri}`);
+    }
+    
+    RESOURCE_SUBSCRIPTIONS.set(uri, watcher);
+    logger.info(`已订阅资源: ${uri}`);
+    
+    return {};
+  });
+  
+  // 取消订阅资源
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const watcher = RESOURCE_SUBSCRIPTIONS.get(uri);
+    
+    if (watcher) {
+      watchTools.closeWatcher(watcher);
+      RESOURCE_SUBSCRIPTIONS.delete(uri);
+      logger.info(`已取消订阅资源: ${uri}`);
+    }
+    
+    return {};
+  });
+}
+
+// 从客户端同步根目录 (MCP roots能力)
+// 首次同步失败时拒绝所有路径，之后的同步失败保留之前的根目录
+async function syncClientRoots(initial = false) {
+  const clientCapabilities = server.server.getClientCapabilities();
+  if (!clientCapabilities || !clientCapabilities.roots) {
+    logger.debug('客户端不支持roots能力，使用静态配置的根目录');
+    return;
+  }
+  
+  try {
+    const result = await server.server.listRoots();
+    const roots = [];
+    
+    for (const root of result.roots || []) {
+      // 只支持file://协议的根目录
+      if (!root.uri || !root.uri.startsWith('file://')) {
+        logger.warn(`忽略不支持的根目录URI: ${root.uri}`);
+        continue;
+      }
+      roots.push(fileURLToPath(root.uri));
+    }
+    
+    securityUtils.setClientRoots(roots);
+  } catch (error) {
+    logger.error(`获取客户端根目录失败: ${error.message}`, { error });
+    if (initial) {
+      securityUtils.setClientRoots([]);
+    }
+  }
+}
+
+// 注册根目录相关处理
+function registerRootsHandlers() {
+  // 客户端完成初始化后获取根目录
+  server.server.oninitialized = () => {
+    clientRootsReady = syncClientRoots(true);
+  };
+  
+  // 客户端根目录变更时重新获取
+  server.server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+    logger.info('客户端根目录已变更，重新获取根目录列表');
+    await syncClientRoots();
+  });
+}
+
 // 启动MCP服务器的主函数
 async function startServer(options = {}) {
   try {
@@ -1001,6 +1900,11 @@ async function startServer(options = {}) {
     // 配置日志
     logger.initialize(logConfig);
     
+    // 设置工作区根目录 (根目录沙箱模式)
+    if (Array.isArray(options.roots) && options.roots.length > 0) {
+      securityUtils.setAllowedRoots(options.roots);
+    }
+    
     // 记录启动信息
     logger.info('启动文件系统MCP服务器', { 
       options, 
@@ -1016,8 +1920,11 @@ registerDirectoryTools();
 registerLineTools();
 registerWatchTools();
 registerOfficeTools();
+registerBackupTools();
     registerCacheTools();
     registerMonitorCallbackTools();
+    registerResources();
+    registerRootsHandlers();
     
     // 创建STDIO传输层
     const transport = new StdioServerTransport();
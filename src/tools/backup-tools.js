@@ -0,0 +1,777 @@
+/**
+ * 备份工具模块
+ * 在覆盖、删除和移动前记录操作并保存原内容，提供备份列表、恢复和撤销功能
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logging');
+const streamUtils = require('../utils/stream-utils');
+const pathUtils = require('../utils/path-utils');
+const trashUtils = require('../utils/trash-utils');
+const fileVersion = require('../utils/file-version');
+const securityUtils = require('../config/security');
+const config = require('../config');
+const defaultConfig = require('../config/default');
+
+// 每条备份记录是备份目录下的一个子目录，包含元数据文件和原内容；
+// 批量操作的记录包含多个条目，各条目的原内容分别保存为data-<序号>
+const META_FILE = 'backup.json';
+const DATA_NAME = 'data';
+
+// 同一毫秒内创建的备份按序号排序
+let sequence = 0;
+
+// 备份记录索引 { dir, mtimeMs, entries }，避免每次写入时重新读取所有backup.json；
+// 备份目录的修改时间与索引不一致时(如其他进程新增或清理了备份)重新读取
+let entryIndex = null;
+
+/**
+ * 获取备份配置
+ * @returns {Object} { enabled, dir, maxBackups, maxTotalSize }
+ */
+function getBackupConfig() {
+  // 用户配置会整体替换fileOperations，缺少的项使用默认配置
+  return { ...defaultConfig.fileOperations.backup, ...(config?.fileOperations?.backup || {}) };
+}
+
+/**
+ * 生成按时间排序的备份ID
+ * @returns {string} 备份ID
+ */
+function createBackupId() {
+  sequence = (sequence + 1) % 1000000;
+  return `${Date.now()}-${String(sequence).padStart(6, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * 获取路径状态，不存在时返回null
+ * @param {string} targetPath 路径
+ * @returns {Promise<fs.Stats|null>} 文件状态
+ */
+async function lstatOrNull(targetPath) {
+  try {
+    return await fs.promises.lstat(targetPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 计算文件或目录的总大小
+ * @param {string} targetPath 路径
+ * @returns {Promise<number>} 字节数
+ */
+async function getPathSize(targetPath) {
+  const stats = await fs.promises.lstat(targetPath);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let total = 0;
+  for (const name of await fs.promises.readdir(targetPath)) {
+    total += await getPathSize(path.join(targetPath, name));
+  }
+  return total;
+}
+
+/**
+ * 获取目录的修改时间，目录不存在时返回null
+ * @param {string} dir 目录路径
+ * @returns {Promise<number|null>} 修改时间(毫秒)
+ */
+async function getDirMtime(dir) {
+  const stats = await lstatOrNull(dir);
+  return stats ? stats.mtimeMs : null;
+}
+
+/**
+ * 加载备份记录索引，备份目录未变化时直接使用已加载的索引
+ * @returns {Promise<Map<string, Object>>} 备份ID到备份记录的映射
+ */
+async function loadEntryIndex() {
+  const { dir } = getBackupConfig();
+  const mtimeMs = await getDirMtime(dir);
+  if (mtimeMs === null) {
+    entryIndex = null;
+    return new Map();
+  }
+  if (entryIndex && entryIndex.dir === dir && entryIndex.mtimeMs === mtimeMs) {
+    return entryIndex.entries;
+  }
+
+  const entries = new Map();
+  for (const name of await fs.promises.readdir(dir)) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(path.join(dir, name, META_FILE), 'utf8'));
+      entries.set(entry.id, entry);
+    } catch (error) {
+      logger.debug(`跳过无效的备份记录: ${name}`, { error: error.message });
+    }
+  }
+
+  entryIndex = { dir, mtimeMs, entries };
+  return entries;
+}
+
+/**
+ * 在索引中更新或移除一条备份记录，并记录备份目录当前的修改时间
+ * @param {string} id 备份ID
+ * @param {Object|null} entry 备份记录，为null时移除
+ * @returns {Promise<void>}
+ */
+async function updateEntryIndex(id, entry) {
+  const { dir } = getBackupConfig();
+  if (!entryIndex || entryIndex.dir !== dir) {
+    return;
+  }
+
+  if (entry) {
+    entryIndex.entries.set(id, structuredClone(entry));
+  } else {
+    entryIndex.entries.delete(id);
+  }
+
+  // 新建或删除备份记录目录会改变备份目录的修改时间，这里同步后索引仍然有效
+  const mtimeMs = await getDirMtime(dir);
+  if (mtimeMs === null) {
+    entryIndex = null;
+  } else {
+    entryIndex.mtimeMs = mtimeMs;
+  }
+}
+
+/**
+ * 读取所有备份记录
+ * @returns {Promise<Array<Object>>} 备份记录，最新的在前
+ */
+async function readEntries() {
+  const entries = await loadEntryIndex();
+  // 返回副本，调用方修改记录后需要通过writeEntry保存
+  return Array.from(entries.values(), entry => structuredClone(entry))
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * 保存备份记录的元数据
+ * @param {Object} entry 备份记录
+ * @returns {Promise<void>}
+ */
+async function writeEntry(entry) {
+  const { dir } = getBackupConfig();
+  await fs.promises.writeFile(path.join(dir, entry.id, META_FILE), JSON.stringify(entry, null, 2));
+  await updateEntryIndex(entry.id, entry);
+}
+
+/**
+ * 删除备份记录目录
+ * @param {string} id 备份ID
+ * @returns {Promise<void>}
+ */
+async function removeEntry(id) {
+  const { dir } = getBackupConfig();
+  await fs.promises.rm(path.join(dir, id), { recursive: true, force: true });
+  await updateEntryIndex(id, null);
+}
+
+/**
+ * 按数量和总大小清理最旧的备份记录
+ * @returns {Promise<void>}
+ */
+async function enforceRetention() {
+  const settings = getBackupConfig();
+  const entries = await readEntries();
+  let totalSize = 0;
+
+  for (const [index, entry] of entries.entries()) {
+    totalSize += entry.size || 0;
+    if (index >= settings.maxBackups || totalSize > settings.maxTotalSize) {
+      await removeEntry(entry.id);
+      logger.debug(`清理旧备份: ${entry.id}`);
+    }
+  }
+}
+
+/**
+ * 获取路径当前状态的标识，撤销前据此确认路径在操作之后没有再被修改
+ * 普通文件使用内容的SHA-256，撤销较新的操作重写文件后仍能撤销同一文件上更早的操作；
+ * 目录和符号链接不跟随，使用与get_file_info返回的version相同格式的版本标识
+ * @param {string} targetPath 路径
+ * @returns {Promise<string|null>} 状态标识，路径不存在时为null
+ */
+async function captureState(targetPath) {
+  try {
+    const stats = await fs.promises.lstat(targetPath, { bigint: true });
+    return stats.isFile() ? await fileVersion.hashFile(targetPath) : fileVersion.createVersionToken(stats);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 获取操作完成后结果所在的路径：移动为目标路径，其他操作为原路径
+ * @param {Object} item 备份条目
+ * @returns {string} 路径
+ */
+function getResultPath(item) {
+  return item.operation === 'move' ? item.destination : item.path;
+}
+
+/**
+ * 生成备份条目，并把路径的当前内容保存到备份记录目录
+ * @param {string} entryDir 备份记录目录
+ * @param {string} dataName 内容在备份记录目录中的名称
+ * @param {string} targetPath 路径
+ * @param {Object} options 选项，同recordOperation
+ * @param {number} sizeLimit 可保存内容的最大字节数，超过时只记录操作
+ * @returns {Promise<Object>} 备份条目
+ */
+async function captureItem(entryDir, dataName, targetPath, options, sizeLimit) {
+  const { operation, destination, saveContent = true, type } = options;
+  const resolvedPath = path.resolve(targetPath);
+  const stats = await lstatOrNull(resolvedPath);
+  const item = {
+    operation,
+    path: resolvedPath,
+    destination: destination ? path.resolve(destination) : undefined,
+    // 为null表示操作前路径不存在，撤销写入时删除新建的文件
+    type: type || (stats ? (stats.isDirectory() ? 'directory' : 'file') : null),
+    mode: stats ? stats.mode : undefined,
+    size: 0,
+    hasContent: false,
+    data: dataName
+  };
+
+  if (saveContent && stats) {
+    const size = await getPathSize(resolvedPath);
+    if (size > sizeLimit) {
+      logger.warn(`内容大小(${size}字节)超过备份总大小上限，不保存内容: ${resolvedPath}`);
+    } else {
+      await fs.promises.cp(resolvedPath, path.join(entryDir, dataName), {
+        recursive: true,
+        preserveTimestamps: true,
+        verbatimSymlinks: true
+      });
+      item.size = size;
+      item.hasContent = true;
+    }
+  }
+
+  return item;
+}
+
+/**
+ * 记录即将执行的操作，并备份目标路径的当前内容
+ * 备份失败只记录警告，不阻止原操作；操作成功后应调用completeOperation记录结果
+ * @param {string} targetPath 即将被覆盖、删除或移动的路径
+ * @param {Object} options 选项
+ * @param {string} options.operation 操作类型: write、delete、delete_directory、move、trash
+ * @param {string} options.destination 移动操作的目标路径或回收站中的位置
+ * @param {boolean} options.saveContent 是否保存当前内容，默认true
+ * @param {string} options.type 路径类型(file或directory)，操作完成后才记录时由调用方指定
+ * @returns {Promise<Object|null>} 备份记录，未启用备份或备份失败时返回null
+ */
+async function recordOperation(targetPath, options = {}) {
+  const settings = getBackupConfig();
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const id = createBackupId();
+  const entryDir = path.join(settings.dir, id);
+
+  try {
+    await fs.promises.mkdir(entryDir, { recursive: true });
+    const item = await captureItem(entryDir, DATA_NAME, targetPath, options, settings.maxTotalSize);
+    const entry = {
+      id,
+      ...item,
+      createdAt: new Date().toISOString(),
+      restored: false
+    };
+
+    await writeEntry(entry);
+    await enforceRetention();
+    logger.debug(`已创建备份: ${id}`, { operation: entry.operation, path: entry.path });
+    return entry;
+  } catch (error) {
+    logger.warn(`创建备份失败: ${path.resolve(targetPath)}`, { error: error.message });
+    await removeEntry(id).catch(() => {});
+    return null;
+  }
+}
+
+/**
+ * 记录操作完成后结果路径的状态，撤销时状态不一致说明路径已被再次修改
+ * @param {Object|null} entry recordOperation返回的备份记录
+ * @returns {Promise<void>}
+ */
+async function completeOperation(entry) {
+  if (!entry) {
+    return;
+  }
+  try {
+    entry.after = await captureState(getResultPath(entry));
+    await writeEntry(entry);
+  } catch (error) {
+    logger.warn(`记录操作结果失败: ${entry.path}`, { error: error.message });
+  }
+}
+
+/**
+ * 丢弃备份记录，用于原操作失败的情况
+ * @param {Object|null} entry recordOperation返回的备份记录
+ * @returns {Promise<void>}
+ */
+async function discardBackup(entry) {
+  if (!entry) {
+    return;
+  }
+  await removeEntry(entry.id).catch(() => {});
+}
+
+/**
+ * 开始记录批量操作(如复制、移动目录)，每个文件的变更通过addBatchItem记录，撤销时整体撤销
+ * @param {string} operation 操作类型，如copy_directory、move_directory
+ * @param {string} source 源路径
+ * @param {string} destination 目标路径
+ * @returns {Promise<Object|null>} 批量记录，未启用备份或创建失败时返回null
+ */
+async function startBatch(operation, source, destination) {
+  const settings = getBackupConfig();
+  if (!settings.enabled) {
+    return null;
+  }
+
+  const entry = {
+    id: createBackupId(),
+    operation,
+    path: path.resolve(source),
+    destination: path.resolve(destination),
+    size: 0,
+    items: [],
+    createdAt: new Date().toISOString(),
+    restored: false
+  };
+  const entryDir = path.join(settings.dir, entry.id);
+
+  try {
+    await fs.promises.mkdir(entryDir, { recursive: true });
+    return { entry, dir: entryDir, nextData: 0 };
+  } catch (error) {
+    logger.warn(`创建备份失败: ${entry.path}`, { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * 在批量记录中添加一个条目，并备份该路径的当前内容
+ * @param {Object|null} batch startBatch返回的批量记录
+ * @param {string} targetPath 即将被覆盖、新建或移动的路径
+ * @param {Object} options 选项，同recordOperation，operation还可以是mkdir(新建的目录)
+ * @returns {Promise<Object|null>} 备份条目，备份失败时返回null
+ */
+async function addBatchItem(batch, targetPath, options = {}) {
+  if (!batch) {
+    return null;
+  }
+
+  const settings = getBackupConfig();
+  const dataName = `${DATA_NAME}-${batch.nextData++}`;
+  try {
+    const item = await captureItem(batch.dir, dataName, targetPath, options, settings.maxTotalSize - batch.entry.size);
+    batch.entry.items.push(item);
+    batch.entry.size += item.size;
+    return item;
+  } catch (error) {
+    logger.warn(`创建备份失败: ${path.resolve(targetPath)}`, { error: error.message });
+    await fs.promises.rm(path.join(batch.dir, dataName), { recursive: true, force: true }).catch(() => {});
+    return null;
+  }
+}
+
+/**
+ * 从批量记录中移除条目，用于该项操作失败的情况
+ * @param {Object|null} batch startBatch返回的批量记录
+ * @param {Object|null} item addBatchItem返回的备份条目
+ * @returns {Promise<void>}
+ */
+async function dropBatchItem(batch, item) {
+  if (!batch || !item) {
+    return;
+  }
+  const index = batch.entry.items.indexOf(item);
+  if (index !== -1) {
+    batch.entry.items.splice(index, 1);
+    batch.entry.size -= item.size;
+  }
+  await fs.promises.rm(path.join(batch.dir, item.data), { recursive: true, force: true }).catch(() => {});
+}
+
+/**
+ * 记录各条目的结果状态并保存批量记录，没有任何条目时丢弃
+ * @param {Object|null} batch startBatch返回的批量记录
+ * @returns {Promise<Object|null>} 备份记录
+ */
+async function finishBatch(batch) {
+  if (!batch) {
+    return null;
+  }
+  if (batch.entry.items.length === 0) {
+    await discardBackup(batch.entry);
+    return null;
+  }
+
+  try {
+    // 批量操作中同一路径可能被多次修改(如目录中新增文件)，在全部完成后统一记录结果状态
+    for (const item of batch.entry.items) {
+      if (item.operation !== 'mkdir') {
+        item.after = await captureState(getResultPath(item));
+      }
+    }
+    await writeEntry(batch.entry);
+    await enforceRetention();
+    logger.debug(`已创建备份: ${batch.entry.id}`, { operation: batch.entry.operation, items: batch.entry.items.length });
+    return batch.entry;
+  } catch (error) {
+    logger.warn(`创建备份失败: ${batch.entry.path}`, { error: error.message });
+    await discardBackup(batch.entry);
+    return null;
+  }
+}
+
+/**
+ * 查找备份记录
+ * @param {string} id 备份ID
+ * @returns {Promise<Object>} 备份记录
+ */
+async function findEntry(id) {
+  const entry = (await readEntries()).find(item => item.id === id);
+  if (!entry) {
+    throw new Error(`备份不存在: ${id}`);
+  }
+  return entry;
+}
+
+/**
+ * 将备份内容写回指定路径
+ * @param {string} id 备份ID
+ * @param {Object} item 备份条目
+ * @param {string} target 目标路径
+ * @param {boolean} overwrite 目标已存在时是否覆盖
+ * @returns {Promise<void>}
+ */
+async function restoreContent(id, item, target, overwrite) {
+  if (!item.hasContent) {
+    throw new Error(`备份未保存内容，无法恢复: ${item.path}`);
+  }
+
+  const { dir } = getBackupConfig();
+  const source = path.join(dir, id, item.data || DATA_NAME);
+  const existing = await lstatOrNull(target);
+  if (existing && !overwrite) {
+    throw new Error(`目标路径已存在: ${target}。如需覆盖，请设置 overwrite 为 true`);
+  }
+
+  if (item.type === 'directory') {
+    if (existing) {
+      await fs.promises.rm(target, { recursive: true, force: true });
+    }
+    await fs.promises.cp(source, target, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+  } else {
+    await streamUtils.atomicWriteFile(target, fs.createReadStream(source), { mode: item.mode });
+  }
+}
+
+/**
+ * 删除操作中新建的目录，目录中还有其他内容时保留
+ * @param {string} dirPath 目录路径
+ * @returns {Promise<void>}
+ */
+async function removeEmptyDirectory(dirPath) {
+  let dirents;
+  try {
+    dirents = await fs.promises.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return;
+    }
+    throw error;
+  }
+
+  for (const dirent of dirents) {
+    if (dirent.isDirectory()) {
+      await removeEmptyDirectory(path.join(dirPath, dirent.name));
+    }
+  }
+
+  await fs.promises.rmdir(dirPath).catch((error) => {
+    if (!['ENOTEMPTY', 'EEXIST', 'ENOENT'].includes(error.code)) {
+      throw error;
+    }
+  });
+}
+
+/**
+ * 标记备份记录已恢复
+ * @param {Object} entry 备份记录
+ * @returns {Promise<void>}
+ */
+async function markRestored(entry) {
+  entry.restored = true;
+  entry.restoredAt = new Date().toISOString();
+  await writeEntry(entry);
+}
+
+/**
+ * 列出备份记录
+ * @param {Object} params 参数
+ * @param {string} params.path 只列出与该路径相关的备份
+ * @param {number} params.limit 最多返回的记录数，默认50
+ * @returns {Promise<Object>} { success, dir, count, totalSize, backups }
+ */
+async function listBackups(params = {}) {
+  const { path: filterPath, limit = 50 } = params;
+  const settings = getBackupConfig();
+  let entries = await readEntries();
+  const totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  const count = entries.length;
+
+  if (filterPath) {
+    const resolved = path.resolve(filterPath);
+    entries = entries.filter(entry => entry.path === resolved || entry.destination === resolved);
+  }
+
+  // 批量记录可能包含大量条目，列表中只返回条目数
+  const backups = entries.slice(0, limit).map(({ items, ...entry }) =>
+    (items ? { ...entry, itemCount: items.length } : entry));
+
+  return {
+    success: true,
+    enabled: settings.enabled,
+    dir: settings.dir,
+    count,
+    totalSize,
+    backups
+  };
+}
+
+/**
+ * 从备份恢复文件或目录
+ * 批量操作的备份把其中保存了内容的条目恢复到各自的原路径
+ * @param {Object} params 参数
+ * @param {string} params.id 备份ID
+ * @param {string} params.destination 恢复到的路径，默认为原路径，批量操作的备份不支持
+ * @param {boolean} params.overwrite 目标已存在时是否覆盖，默认false
+ * @returns {Promise<Object>} 恢复结果
+ */
+async function restoreBackup(params) {
+  const { id, destination, overwrite = false } = params;
+  const entry = await findEntry(id);
+
+  if (entry.items) {
+    if (destination) {
+      throw new Error(`批量操作的备份只能恢复到原路径: ${id}`);
+    }
+    const items = entry.items.filter(item => item.hasContent);
+    if (items.length === 0) {
+      throw new Error(`备份未保存内容，无法恢复: ${id}`);
+    }
+    for (const item of items) {
+      if (!securityUtils.validateToolCall('restore_backup', { path: item.path })) {
+        throw new Error('没有权限恢复到该路径');
+      }
+    }
+
+    for (const item of items) {
+      await restoreContent(entry.id, item, item.path, overwrite);
+    }
+    await markRestored(entry);
+    logger.info(`已从备份恢复${items.length}项`, { id });
+
+    return {
+      success: true,
+      id,
+      path: entry.path,
+      restored: items.map(item => item.path)
+    };
+  }
+
+  const target = destination ? path.resolve(destination) : entry.path;
+
+  // 检查权限
+  if (!securityUtils.validateToolCall('restore_backup', { path: target })) {
+    throw new Error('没有权限恢复到该路径');
+  }
+
+  await restoreContent(entry.id, entry, target, overwrite);
+  await markRestored(entry);
+  logger.info(`已从备份恢复: ${target}`, { id });
+
+  return {
+    success: true,
+    id,
+    path: target,
+    type: entry.type
+  };
+}
+
+/**
+ * 创建无法撤销的错误，提示可以跳过该记录
+ * @param {string} message 错误消息
+ * @param {string} code 错误码
+ * @param {Object} details 错误详情
+ * @returns {Error} 错误
+ */
+function createUndoError(message, code, details) {
+  const error = new Error(`${message}。如需跳过这条记录，请设置 skip 为 true`);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * 检查备份条目能否撤销：结果路径在操作之后没有再被修改，恢复所需的内容也已保存
+ * @param {Object} item 备份条目
+ * @returns {Promise<void>}
+ */
+async function assertUndoable(item) {
+  if (item.operation === 'mkdir') {
+    return;
+  }
+
+  // 旧版本的记录没有操作后的状态，不检查
+  const resultPath = getResultPath(item);
+  if (item.after !== undefined) {
+    const current = await captureState(resultPath);
+    if (current !== item.after) {
+      throw createUndoError(`路径在操作之后已被修改，无法撤销: ${resultPath}`, 'CONFLICT', {
+        path: resultPath,
+        expected: item.after,
+        current
+      });
+    }
+  }
+
+  if (item.operation === 'move' && await lstatOrNull(item.path)) {
+    throw createUndoError(`原路径已存在，无法撤销移动: ${item.path}`, 'CONFLICT', { path: item.path });
+  }
+
+  const needsContent = item.operation === 'delete' || item.operation === 'delete_directory' ||
+    (item.operation === 'write' && item.type !== null);
+  if (needsContent && !item.hasContent) {
+    throw createUndoError(`备份未保存内容，无法撤销: ${item.path}`, 'NO_CONTENT', { path: item.path });
+  }
+}
+
+/**
+ * 执行备份条目的相反操作
+ * @param {string} id 备份ID
+ * @param {Object} item 备份条目
+ * @returns {Promise<void>}
+ */
+async function undoItem(id, item) {
+  switch (item.operation) {
+    case 'move':
+      await fs.promises.mkdir(path.dirname(item.path), { recursive: true });
+      await pathUtils.movePath(item.destination, item.path);
+      break;
+
+    case 'trash':
+      await trashUtils.restoreFromTrash(item.destination, item.path);
+      break;
+
+    case 'mkdir':
+      await removeEmptyDirectory(item.path);
+      break;
+
+    case 'write':
+      if (item.type === null) {
+        await fs.promises.rm(item.path, { force: true });
+      } else {
+        await restoreContent(id, item, item.path, true);
+      }
+      break;
+
+    default:
+      await restoreContent(id, item, item.path, false);
+      break;
+  }
+}
+
+/**
+ * 撤销最近一次尚未恢复的操作
+ * 删除和覆盖写入恢复原内容，新建文件的写入删除该文件，移动操作移回原位置，移入回收站的内容从回收站恢复，
+ * 批量操作按相反顺序撤销其中的每一项。路径在操作之后又被修改时返回CONFLICT错误，不做任何改动
+ * @param {Object} params 参数
+ * @param {boolean} params.skip 将最近一条记录标记为已跳过而不撤销，之后的撤销从更早的记录开始，默认false
+ * @returns {Promise<Object>} 撤销结果
+ */
+async function undoLastOperation(params = {}) {
+  const { skip = false } = params;
+  const entry = (await readEntries()).find(item => !item.restored && !item.skipped);
+  if (!entry) {
+    throw new Error('没有可撤销的操作');
+  }
+
+  const summary = {
+    id: entry.id,
+    operation: entry.operation,
+    path: entry.path,
+    destination: entry.destination
+  };
+
+  if (skip) {
+    entry.skipped = true;
+    entry.skippedAt = new Date().toISOString();
+    await writeEntry(entry);
+    logger.info(`已跳过操作记录: ${entry.operation} ${entry.path}`, { id: entry.id });
+    return { success: true, skipped: true, ...summary };
+  }
+
+  const items = entry.items || [entry];
+
+  // 检查权限，回收站位于允许的路径之外，不检查
+  for (const item of items) {
+    const destination = item.operation === 'trash' ? undefined : item.destination;
+    if (!securityUtils.validateToolCall('undo_last_operation', { path: item.path, destination })) {
+      throw new Error('没有权限撤销该操作');
+    }
+  }
+
+  // 先检查所有条目，避免撤销到一半才发现冲突
+  for (const item of items) {
+    await assertUndoable(item);
+  }
+  for (const item of [...items].reverse()) {
+    await undoItem(entry.id, item);
+  }
+
+  await markRestored(entry);
+  logger.info(`已撤销操作: ${entry.operation} ${entry.path}`, { id: entry.id });
+
+  return {
+    success: true,
+    ...summary,
+    itemCount: entry.items ? entry.items.length : undefined
+  };
+}
+
+module.exports = {
+  recordOperation,
+  completeOperation,
+  discardBackup,
+  startBatch,
+  addBatchItem,
+  dropBatchItem,
+  finishBatch,
+  listBackups,
+  restoreBackup,
+  undoLastOperation
+};
@@ -5,17 +5,23 @@
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
 const logger = require('../utils/logging');
 const pathUtils = require('../utils/path-utils');
+const fileVersion = require('../utils/file-version');
 const securityUtils = require('../config/security');
 const config = require('../config');
 const watchTools = require('./watch-tools');
+const backupTools = require('./backup-tools');
+const trashUtils = require('../utils/trash-utils');
 
 // 将回调API转换为Promise
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
+const lstat = promisify(fs.lstat);
 const mkdir = promisify(fs.mkdir);
 const rmdir = promisify(fs.rmdir);
+const rename = promisify(fs.rename);
 
 // 目录缓存配置
 const DIR_CACHE = {
@@ -37,6 +43,21 @@ const DIR_MONITORS = {
   monitoredPaths: new Set()
 };
 
+// find_files支持的排序字段
+const FIND_SORT_FIELDS = {
+  name: item => item.name,
+  path: item => item.relativePath,
+  size: item => item.size || 0,
+  modifiedAt: item => (item.modifiedAt ? item.modifiedAt.getTime() : 0)
+};
+
+// copy_directory和move_directory支持的冲突策略和符号链接处理方式
+const TRANSFER_CONFLICT_POLICIES = ['overwrite', 'skip', 'rename'];
+const TRANSFER_SYMLINK_POLICIES = ['preserve', 'follow', 'skip'];
+
+// 汇总报告中每类明细的最大条数
+const MAX_TRANSFER_REPORT_ITEMS = 1000;
+
 /**
  * 初始化目录缓存监控
  */
@@ -188,12 +209,14 @@ async function createDirectory(dirPath, options = {}) {
  * 删除目录
  * @param {string} dirPath 目录路径
  * @param {object} options 选项
+ * @param {boolean} options.useTrash 是否将整个目录移入回收站而不是永久删除，默认false
  * @returns {Promise<object>} 结果
  */
 async function deleteDirectory(dirPath, options = {}) {
-  const defaultOptions = { recursive: false, force: false };
+  const defaultOptions = { recursive: false, force: false, useTrash: false };
   options = { ...defaultOptions, ...options };
   
+  let backup = null;
   try {
     // 验证路径
     dirPath = pathUtils.sanitizePath(dirPath);
@@ -207,25 +230,40 @@ async function deleteDirectory(dirPath, options = {}) {
       return { success: false, message: '目录不存在', code: 'NOT_FOUND' };
     }
     
-    // 如果使用递归删除
-    if (options.recursive) {
-      // 这里我们使用Node.js内置的fs.rmdir或第三方库如fs-extra
-      if (options.force) {
-        // 使用fs-extra提供的更强大的移除功能
-        // 需要先检查是否安装了fs-extra
-        try {
-          const fsExtra = require('fs-extra');
-          await fsExtra.remove(dirPath);
-        } catch (moduleError) {
-          // 如果没有fs-extra，退回到递归删除
+    // 非递归删除只允许删除空目录，移入回收站时同样如此
+    if (!options.recursive && (await readdir(dirPath)).length > 0) {
+      return { success: false, message: '目录不为空，如需删除请设置recursive为true', code: 'NOT_EMPTY' };
+    }
+    
+    let trashPath;
+    if (options.useTrash) {
+      // 移入回收站，只记录操作以便撤销
+      trashPath = (await trashUtils.moveToTrash(dirPath)).path;
+      backup = await backupTools.recordOperation(dirPath, { operation: 'trash', destination: trashPath, saveContent: false, type: 'directory' });
+    } else {
+      // 删除前备份整个目录，可通过restore_backup或undo_last_operation恢复
+      backup = await backupTools.recordOperation(dirPath, { operation: 'delete_directory' });
+      
+      // 如果使用递归删除
+      if (options.recursive) {
+        // 这里我们使用Node.js内置的fs.rmdir或第三方库如fs-extra
+        if (options.force) {
+          // 使用fs-extra提供的更强大的移除功能
+          // 需要先检查是否安装了fs-extra
+          try {
+            const fsExtra = require('fs-extra');
+            await fsExtra.remove(dirPath);
+          } catch (moduleError) {
+            // 如果没有fs-extra，退回到递归删除
+            await rmdir(dirPath, { recursive: true });
+          }
+        } else {
           await rmdir(dirPath, { recursive: true });
         }
       } else {
-        await rmdir(dirPath, { recursive: true });
+        // 非递归删除只有在目录为空时才能成功
+        await rmdir(dirPath);
       }
-    } else {
-      // 非递归删除只有在目录为空时才能成功
-      await rmdir(dirPath);
     }
     
     // 使目录和父目录的缓存失效
@@ -236,13 +274,61 @@ async function deleteDirectory(dirPath, options = {}) {
     // 停止监控已删除的目录
     stopMonitoringDirectory(dirPath);
     
-    return { success: true, message: '目录删除成功' };
+    await backupTools.completeOperation(backup);
+    return { success: true, message: trashPath ? '目录已移入回收站' : '目录删除成功', trashPath, backupId: backup?.id };
   } catch (error) {
+    await backupTools.discardBackup(backup);
     logger.error(`删除目录失败: ${dirPath}`, { error });
     return { success: false, message: `删除目录失败: ${error.message}`, error };
   }
 }
 
+/**
+ * 按名称顺序深度优先遍历目录，不跟随符号链接目录，避免循环
+ * @param {string} rootPath 根目录路径
+ * @param {object} options 选项
+ * @param {number} options.maxDepth 最大遍历深度，1表示只遍历直接子项，默认不限制
+ * @param {Function} options.filter (entry, itemPath, relativePath) => boolean，返回false时跳过该项及其子项
+ * @param {Function} options.descend (itemPath, relativePath) => boolean，返回false时不进入该目录
+ * @param {boolean} options.throwOnRootError 根目录无法读取时抛出错误，默认跳过
+ * @returns {AsyncGenerator<object>} 目录项 { entry, path, relativePath, depth }
+ */
+async function* walkDirectory(rootPath, options = {}) {
+  const { maxDepth = Infinity, filter = null, descend = null, throwOnRootError = false } = options;
+  
+  async function* walk(currentDir, depth) {
+    let entries;
+    try {
+      entries = await readdir(currentDir, { withFileTypes: true });
+    } catch (error) {
+      if (throwOnRootError && depth === 1) {
+        throw error;
+      }
+      logger.debug(`无法读取目录: ${currentDir}`, { error: error.message });
+      return;
+    }
+    
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    
+    for (const entry of entries) {
+      const itemPath = path.join(currentDir, entry.name);
+      const relativePath = path.relative(rootPath, itemPath);
+      
+      if (filter && !filter(entry, itemPath, relativePath)) {
+        continue;
+      }
+      
+      yield { entry, path: itemPath, relativePath, depth };
+      
+      if (entry.isDirectory() && depth < maxDepth && (!descend || descend(itemPath, relativePath))) {
+        yield* walk(itemPath, depth + 1);
+      }
+    }
+  }
+  
+  yield* walk(rootPath, 1);
+}
+
 /**
  * 列出目录内容
  * @param {string} dirPath 目录路径
@@ -275,30 +361,29 @@ async function listFiles(dirPath, options = {}) {
     }
     
     const result = [];
+    const childrenByDir = new Map([[dirPath, result]]);
     
-    // 读取目录内容
-    const entries = await readdir(dirPath, { withFileTypes: true });
+    // 读取目录内容，递归时子项挂到所在目录的children下
+    const items = walkDirectory(dirPath, {
+      maxDepth: options.recursive ? Infinity : 1,
+      descend: itemPath => securityUtils.isPathSafe(itemPath).isValid,
+      throwOnRootError: true
+    });
     
-    for (const entry of entries) {
-      const itemPath = path.join(dirPath, entry.name);
-      const relativePath = path.relative(dirPath, itemPath);
-      
+    for await (const { entry, path: itemPath } of items) {
       // 创建基本信息对象
       const itemInfo = {
         name: entry.name,
         path: itemPath,
-        relativePath: relativePath,
+        relativePath: entry.name,
         isDirectory: entry.isDirectory(),
         isFile: entry.isFile(),
         isSymbolicLink: entry.isSymbolicLink()
       };
       
-      // 如果是目录且需要递归，则递归获取内容
       if (entry.isDirectory() && options.recursive) {
-        const subDirContent = await listFiles(itemPath, options);
-        if (subDirContent.success) {
-          itemInfo.children = subDirContent.data;
-        }
+        itemInfo.children = [];
+        childrenByDir.set(itemPath, itemInfo.children);
       }
       
       // 尝试获取详细信息
@@ -313,7 +398,7 @@ async function listFiles(dirPath, options = {}) {
         logger.debug(`无法获取文件详细信息: ${itemPath}`, { error: error.message });
       }
       
-      result.push(itemInfo);
+      childrenByDir.get(path.dirname(itemPath)).push(itemInfo);
     }
     
     // 如果不是递归调用则缓存结果
@@ -328,6 +413,641 @@ async function listFiles(dirPath, options = {}) {
   }
 }
 
+/**
+ * 解析时间参数
+ * @param {string|number|undefined} value ISO日期字符串或毫秒时间戳
+ * @param {string} name 参数名称
+ * @returns {number|null} 毫秒时间戳
+ */
+function parseTimeOption(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`无效的时间参数 ${name}: ${value}`);
+  }
+  
+  return time;
+}
+
+/**
+ * 获取目录项类型
+ * @param {fs.Dirent} entry 目录项
+ * @returns {string} file、directory、symlink或other
+ */
+function getEntryType(entry) {
+  if (entry.isSymbolicLink()) return 'symlink';
+  if (entry.isDirectory()) return 'directory';
+  if (entry.isFile()) return 'file';
+  return 'other';
+}
+
+/**
+ * 按名称模式查找文件
+ * @param {string} dirPath 目录路径
+ * @param {object} options 选项
+ * @param {string|Array<string>} options.pattern glob模式，如 **\/*.ts，不含 / 的模式只匹配名称
+ * @param {string|Array<string>} options.exclude 排除的glob模式，匹配的目录不会被遍历
+ * @param {number} options.maxDepth 最大遍历深度，1表示只查找直接子项，默认不限制
+ * @param {string|Array<string>} options.type 类型过滤: file、directory、symlink
+ * @param {number} options.minSize 最小文件大小(字节)
+ * @param {number} options.maxSize 最大文件大小(字节)
+ * @param {string|number} options.modifiedAfter 修改时间下限(ISO日期或时间戳)
+ * @param {string|number} options.modifiedBefore 修改时间上限(ISO日期或时间戳)
+ * @param {string} options.sortBy 排序字段: name、path、size、modifiedAt
+ * @param {string} options.order 排序方向: asc或desc，默认asc
+ * @param {number} options.limit 最大返回数量，默认1000
+ * @returns {Promise<object>} 查找结果
+ */
+async function findFiles(dirPath, options = {}) {
+  const defaultOptions = { maxDepth: Infinity, order: 'asc', limit: 1000 };
+  options = { ...defaultOptions, ...options };
+  
+  try {
+    // 验证路径
+    dirPath = pathUtils.sanitizePath(dirPath);
+    if (!await securityUtils.isPathAllowed(dirPath)) {
+      return { success: false, message: '路径访问被拒绝', code: 'ACCESS_DENIED' };
+    }
+    
+    // 检查目录是否存在
+    const exists = await directoryExists(dirPath);
+    if (!exists.success || !exists.exists) {
+      return { success: false, message: '目录不存在', code: 'NOT_FOUND' };
+    }
+    
+    let sortGetter = null;
+    if (options.sortBy) {
+      sortGetter = FIND_SORT_FIELDS[options.sortBy === 'mtime' ? 'modifiedAt' : options.sortBy];
+      if (!sortGetter) {
+        return { success: false, message: `不支持的排序字段: ${options.sortBy}`, code: 'INVALID_ARGUMENT' };
+      }
+    }
+    
+    const include = pathUtils.createGlobMatcher(options.pattern);
+    const exclude = pathUtils.createGlobMatcher(options.exclude);
+    const types = options.type
+      ? (Array.isArray(options.type) ? options.type : String(options.type).split(','))
+        .map(type => type.trim() === 'dir' ? 'directory' : type.trim())
+      : null;
+    const modifiedAfter = parseTimeOption(options.modifiedAfter, 'modifiedAfter');
+    const modifiedBefore = parseTimeOption(options.modifiedBefore, 'modifiedBefore');
+    const needsStats = options.minSize !== undefined || options.maxSize !== undefined ||
+      modifiedAfter !== null || modifiedBefore !== null;
+    
+    // 未指定排序时，达到数量限制即可停止遍历
+    const stopAtLimit = !sortGetter;
+    const result = [];
+    let total = 0;
+    let truncated = false;
+    
+    const items = walkDirectory(dirPath, {
+      maxDepth: options.maxDepth,
+      filter: (entry, itemPath, relativePath) =>
+        !(exclude && exclude(relativePath)) && securityUtils.isPathSafe(itemPath).isValid
+    });
+    
+    for await (const { entry, path: itemPath, relativePath } of items) {
+      const type = getEntryType(entry);
+      const matched = (!include || include(relativePath)) && (!types || types.includes(type));
+      
+      if (matched) {
+        // 创建基本信息对象
+        const itemInfo = {
+          name: entry.name,
+          path: itemPath,
+          relativePath: pathUtils.toPosixPath(relativePath),
+          type,
+          isDirectory: entry.isDirectory(),
+          isFile: entry.isFile(),
+          isSymbolicLink: entry.isSymbolicLink()
+        };
+        
+        // 尝试获取详细信息，符号链接目标不存在时使用链接本身的信息
+        let stats = null;
+        try {
+          stats = await stat(itemPath);
+        } catch (error) {
+          stats = await lstat(itemPath).catch(() => null);
+        }
+        
+        if (stats) {
+          itemInfo.size = stats.size;
+          itemInfo.createdAt = stats.birthtime;
+          itemInfo.modifiedAt = stats.mtime;
+          itemInfo.accessedAt = stats.atime;
+        }
+        
+        let accepted = true;
+        if (needsStats) {
+          if (!stats) {
+            accepted = false;
+          } else {
+            const isFileLike = !stats.isDirectory();
+            const mtime = stats.mtime.getTime();
+            if (isFileLike && options.minSize !== undefined && stats.size < options.minSize) accepted = false;
+            if (isFileLike && options.maxSize !== undefined && stats.size > options.maxSize) accepted = false;
+            if (modifiedAfter !== null && mtime < modifiedAfter) accepted = false;
+            if (modifiedBefore !== null && mtime > modifiedBefore) accepted = false;
+          }
+        }
+        
+        if (accepted) {
+          total++;
+          result.push(itemInfo);
+          if (stopAtLimit && result.length >= options.limit) {
+            truncated = true;
+            break;
+          }
+        }
+      }
+    }
+    
+    // 排序
+    if (sortGetter) {
+      const direction = options.order === 'desc' ? -1 : 1;
+      result.sort((a, b) => {
+        const valueA = sortGetter(a);
+        const valueB = sortGetter(b);
+        if (typeof valueA === 'string') {
+          return valueA.localeCompare(valueB) * direction;
+        }
+        return (valueA - valueB) * direction;
+      });
+      
+      if (result.length > options.limit) {
+        result.length = options.limit;
+        truncated = true;
+      }
+    }
+    
+    return { success: true, data: result, total, truncated };
+  } catch (error) {
+    logger.error(`查找文件失败: ${dirPath}`, { error });
+    return { success: false, message: `查找文件失败: ${error.message}`, error };
+  }
+}
+
+/**
+ * 为重名的目标生成可用的新路径，如 a.txt 变为 a (1).txt
+ * @param {string} targetPath 目标路径
+ * @param {boolean} isDirectory 是否为目录，目录名不拆分扩展名
+ * @returns {Promise<string>} 不存在的路径
+ */
+async function findAvailablePath(targetPath, isDirectory) {
+  const extension = isDirectory ? '' : path.extname(targetPath);
+  const base = targetPath.slice(0, targetPath.length - extension.length);
+  for (let index = 1; ; index++) {
+    const candidate = `${base} (${index})${extension}`;
+    if (!await lstat(candidate).catch(() => null)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * 按冲突策略确定实际写入的目标路径
+ * 同名目录直接合并；覆盖时返回已存在目标的状态，由调用方备份后再替换
+ * @param {string} destPath 目标路径
+ * @param {string} kind 源类型: file、directory或symlink
+ * @param {string} conflict 冲突策略: overwrite、skip或rename
+ * @returns {Promise<object|null>} { path, merge, renamed, existing }，跳过时返回null
+ */
+async function resolveTransferTarget(destPath, kind, conflict) {
+  const existing = await lstat(destPath).catch(() => null);
+  if (!existing) {
+    return { path: destPath };
+  }
+  if (kind === 'directory' && existing.isDirectory()) {
+    return { path: destPath, merge: true };
+  }
+  if (conflict === 'skip') {
+    return null;
+  }
+  if (conflict === 'rename') {
+    return { path: await findAvailablePath(destPath, kind === 'directory'), renamed: true };
+  }
+  
+  if (existing.isDirectory()) {
+    throw new Error('目标位置已存在同名目录，不能覆盖');
+  }
+  return { path: destPath, existing };
+}
+
+/**
+ * 统计目录中的文件数、子目录数和总字节数(不跟随符号链接)
+ * @param {string} dirPath 目录路径
+ * @returns {Promise<object>} { files, directories, bytes }
+ */
+async function countTree(dirPath) {
+  const counts = { files: 0, directories: 0, bytes: 0 };
+  const walk = async (currentDir) => {
+    for (const entry of await readdir(currentDir, { withFileTypes: true })) {
+      const itemPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        counts.directories++;
+        await walk(itemPath);
+      } else {
+        counts.files++;
+        counts.bytes += (await lstat(itemPath)).size;
+      }
+    }
+  };
+  await walk(dirPath);
+  return counts;
+}
+
+/**
+ * 递归复制或移动目录
+ * @param {string} source 源目录
+ * @param {string} destination 目标目录，已存在时合并
+ * @param {object} options 选项，见copyDirectory
+ * @param {string} operation copy或move
+ * @returns {Promise<object>} 汇总报告
+ */
+async function transferDirectory(source, destination, options, operation) {
+  const defaultOptions = { conflict: 'skip', symlinks: 'preserve', preserveTimestamps: true, preserveMode: true };
+  options = { ...defaultOptions, ...options };
+  const isMove = operation === 'move';
+  const label = isMove ? '移动目录' : '复制目录';
+  const doneKey = isMove ? 'moved' : 'copied';
+  let batch = null;
+  
+  try {
+    // 验证路径
+    source = pathUtils.sanitizePath(source);
+    destination = pathUtils.sanitizePath(destination);
+    if (!await securityUtils.isPathAllowed(source) || !await securityUtils.isPathAllowed(destination)) {
+      return { success: false, message: '路径访问被拒绝', code: 'ACCESS_DENIED' };
+    }
+    
+    if (!TRANSFER_CONFLICT_POLICIES.includes(options.conflict)) {
+      return { success: false, message: `不支持的冲突策略: ${options.conflict}`, code: 'INVALID_ARGUMENT' };
+    }
+    if (!TRANSFER_SYMLINK_POLICIES.includes(options.symlinks)) {
+      return { success: false, message: `不支持的符号链接处理方式: ${options.symlinks}`, code: 'INVALID_ARGUMENT' };
+    }
+    if (options.ifMatch !== undefined && (typeof options.ifMatch !== 'object' || options.ifMatch === null || Array.isArray(options.ifMatch))) {
+      return { success: false, message: 'ifMatch必须是以相对路径为键、版本标识为值的对象', code: 'INVALID_ARGUMENT' };
+    }
+    
+    // 检查源目录是否存在
+    const sourceStats = await stat(source).catch(() => null);
+    if (!sourceStats || !sourceStats.isDirectory()) {
+      return { success: false, message: '源目录不存在', code: 'NOT_FOUND' };
+    }
+    
+    // 目标不能位于源目录内，否则会无限递归
+    const relative = path.relative(path.resolve(source), path.resolve(destination));
+    if (relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative))) {
+      return { success: false, message: '目标目录不能是源目录本身或其子目录', code: 'INVALID_ARGUMENT' };
+    }
+    
+    const destStats = await lstat(destination).catch(() => null);
+    if (destStats && !destStats.isDirectory()) {
+      return { success: false, message: `目标路径已存在且不是目录: ${destination}`, code: 'ALREADY_EXISTS' };
+    }
+    
+    const include = pathUtils.createGlobMatcher(options.include);
+    const exclude = pathUtils.createGlobMatcher(options.exclude);
+    
+    // 移动到不存在的目标且没有过滤条件时整体重命名，并记录操作以便撤销
+    if (isMove && !destStats && !include && !exclude && options.symlinks === 'preserve') {
+      const counts = await countTree(source);
+      await mkdir(path.dirname(destination), { recursive: true });
+      const backup = await backupTools.recordOperation(source, { operation: 'move', destination, saveContent: false });
+      try {
+        await rename(source, destination);
+        invalidateDirCache(source);
+        invalidateDirCache(path.dirname(source));
+        invalidateDirCache(path.dirname(destination));
+        stopMonitoringDirectory(source);
+        await backupTools.completeOperation(backup);
+        
+        return {
+          success: true,
+          message: `${label}完成`,
+          source,
+          destination,
+          method: 'rename',
+          summary: { moved: counts.files, renamed: 0, skipped: 0, failed: 0, excluded: 0, directories: counts.directories, bytes: counts.bytes },
+          backupId: backup?.id
+        };
+      } catch (error) {
+        await backupTools.discardBackup(backup);
+        if (error.code !== 'EXDEV') {
+          throw error;
+        }
+        // 跨文件系统时逐项复制后删除
+      }
+    }
+    
+    // 逐项转移时把新建的目录、覆盖或新建的文件和移动的文件记入同一条备份记录，撤销时整体撤销
+    batch = await backupTools.startBatch(isMove ? 'move_directory' : 'copy_directory', source, destination);
+    
+    const summary = { [doneKey]: 0, renamed: 0, skipped: 0, failed: 0, excluded: 0, directories: 0, bytes: 0 };
+    const report = { [doneKey]: [], renamed: [], skipped: [], failed: [] };
+    let truncated = false;
+    const record = (kind, item) => {
+      summary[kind]++;
+      if (report[kind].length < MAX_TRANSFER_REPORT_ITEMS) {
+        report[kind].push(item);
+      } else {
+        truncated = true;
+      }
+    };
+    
+    // 创建目录并记录其中第一个新建的目录，撤销时删除
+    const makeDirectory = async (dirPath) => {
+      const created = await mkdir(dirPath, { recursive: true });
+      if (created) {
+        await backupTools.addBatchItem(batch, created, { operation: 'mkdir', saveContent: false, type: 'directory' });
+      }
+    };
+    
+    // 检查ifMatch中列出的目标文件自读取后没有被修改，覆盖前备份已存在的目标，
+    // 再删除不能被原地替换的目标(符号链接、类型不同的项)
+    const replaceTarget = async (target, kind, reportPath) => {
+      if (!target.renamed && options.ifMatch) {
+        await fileVersion.assertIfMatch(target.path, options.ifMatch[reportPath]);
+      }
+      if (!target.existing) {
+        return;
+      }
+      await backupTools.addBatchItem(batch, target.path, { operation: 'write' });
+      if (kind !== 'file' || !target.existing.isFile()) {
+        await fs.promises.unlink(target.path);
+      }
+    };
+    
+    const applyMetadata = async (targetPath, stats) => {
+      if (options.preserveMode) {
+        await fs.promises.chmod(targetPath, stats.mode & 0o7777);
+      }
+      if (options.preserveTimestamps) {
+        await fs.promises.utimes(targetPath, stats.atime, stats.mtime);
+      }
+    };
+    
+    // 移动时优先重命名，跨文件系统时复制后删除源文件
+    const transferFile = async (srcPath, destPath, stats, removeSource) => {
+      if (removeSource) {
+        try {
+          await rename(srcPath, destPath);
+          return;
+        } catch (error) {
+          if (error.code !== 'EXDEV') throw error;
+        }
+      }
+      
+      if (options.preserveMode) {
+        await fs.promises.copyFile(srcPath, destPath);
+      } else {
+        // fs.copyFile会复制权限，不保留权限时以默认权限新建文件
+        await pipeline(fs.createReadStream(srcPath), fs.createWriteStream(destPath));
+      }
+      await applyMetadata(destPath, stats);
+      
+      if (removeSource) {
+        await fs.promises.unlink(srcPath);
+      }
+    };
+    
+    const transferSymlink = async (srcPath, destPath, stats, removeSource) => {
+      if (removeSource) {
+        try {
+          await rename(srcPath, destPath);
+          return;
+        } catch (error) {
+          if (error.code !== 'EXDEV') throw error;
+        }
+      }
+      
+      await fs.promises.symlink(await fs.promises.readlink(srcPath), destPath);
+      if (options.preserveTimestamps) {
+        await fs.promises.lutimes(destPath, stats.atime, stats.mtime).catch(() => {});
+      }
+      
+      if (removeSource) {
+        await fs.promises.unlink(srcPath);
+      }
+    };
+    
+    // 处理单个目录项，返回该项是否已全部转移(移动时据此决定能否删除源目录)
+    // keepSource为true时只复制，用于移动时跟随符号链接进入的链接目标
+    const transferEntry = async (entry, srcPath, destPath, relativePath, ancestors, keepSource) => {
+      const reportPath = pathUtils.toPosixPath(relativePath);
+      const removeSource = isMove && !keepSource;
+      let kind = getEntryType(entry);
+      let stats = await lstat(srcPath);
+      let followed = false;
+      
+      if (kind === 'symlink' && options.symlinks !== 'preserve') {
+        if (options.symlinks === 'skip') {
+          record('skipped', { path: reportPath, reason: 'symlink' });
+          return false;
+        }
+        stats = await stat(srcPath);
+        kind = stats.isDirectory() ? 'directory' : (stats.isFile() ? 'file' : 'other');
+        followed = true;
+      }
+      
+      if (kind === 'other') {
+        record('skipped', { path: reportPath, reason: 'unsupported_type' });
+        return false;
+      }
+      
+      if (kind === 'directory') {
+        // 跟随符号链接时避免循环
+        const realPath = await fs.promises.realpath(srcPath);
+        if (ancestors.has(realPath)) {
+          record('skipped', { path: reportPath, reason: 'cycle' });
+          return false;
+        }
+        
+        const target = await resolveTransferTarget(destPath, 'directory', options.conflict);
+        if (!target) {
+          record('skipped', { path: reportPath, reason: 'exists' });
+          return false;
+        }
+        if (target.renamed) {
+          record('renamed', { path: reportPath, destination: target.path });
+        }
+        await replaceTarget(target, kind, reportPath);
+        
+        // 指定include时目录在有匹配的文件时才创建
+        if (!include) {
+          await makeDirectory(target.path);
+        }
+        const complete = await walk(srcPath, target.path, relativePath, new Set(ancestors).add(realPath), keepSource || followed);
+        if (!target.merge && fs.existsSync(target.path)) {
+          summary.directories++;
+          await applyMetadata(target.path, stats);
+        }
+        
+        if (removeSource && complete) {
+          // 跟随的符号链接只删除链接本身
+          await (followed ? fs.promises.unlink(srcPath) : rmdir(srcPath));
+        }
+        return complete;
+      }
+      
+      if (include && !include(relativePath)) {
+        summary.excluded++;
+        return false;
+      }
+      
+      const target = await resolveTransferTarget(destPath, kind, options.conflict);
+      if (!target) {
+        record('skipped', { path: reportPath, reason: 'exists' });
+        return false;
+      }
+      
+      await makeDirectory(path.dirname(target.path));
+      await replaceTarget(target, kind, reportPath);
+      
+      // 复制记录为写入(目标原本不存在时撤销即删除)，移动记录为移动，撤销时移回原位置
+      const item = removeSource
+        ? await backupTools.addBatchItem(batch, srcPath, { operation: 'move', destination: target.path, saveContent: false })
+        : (target.existing ? null : await backupTools.addBatchItem(batch, target.path, { operation: 'write' }));
+      try {
+        if (kind === 'symlink') {
+          await transferSymlink(srcPath, target.path, stats, removeSource);
+        } else {
+          await transferFile(srcPath, target.path, stats, removeSource && !followed);
+          summary.bytes += stats.size;
+          if (removeSource && followed) {
+            await fs.promises.unlink(srcPath);
+          }
+        }
+      } catch (error) {
+        // 源文件仍在原位置时移动没有发生，不需要撤销
+        if (removeSource && await lstat(srcPath).catch(() => null)) {
+          await backupTools.dropBatchItem(batch, item);
+        }
+        throw error;
+      }
+      
+      record(doneKey, reportPath);
+      if (target.renamed) {
+        record('renamed', { path: reportPath, destination: target.path });
+      }
+      return true;
+    };
+    
+    const walk = async (srcDir, destDir, relativeDir, ancestors, keepSource) => {
+      let entries;
+      try {
+        entries = await readdir(srcDir, { withFileTypes: true });
+      } catch (error) {
+        record('failed', { path: pathUtils.toPosixPath(relativeDir) || '.', error: error.message });
+        return false;
+      }
+      
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+      
+      let complete = true;
+      for (const entry of entries) {
+        const srcPath = path.join(srcDir, entry.name);
+        const relativePath = path.join(relativeDir, entry.name);
+        
+        if (exclude && exclude(relativePath)) {
+          summary.excluded++;
+          complete = false;
+          continue;
+        }
+        if (!securityUtils.isPathSafe(srcPath).isValid) {
+          record('skipped', { path: pathUtils.toPosixPath(relativePath), reason: 'access_denied' });
+          complete = false;
+          continue;
+        }
+        
+        try {
+          if (!await transferEntry(entry, srcPath, path.join(destDir, entry.name), relativePath, ancestors, keepSource)) {
+            complete = false;
+          }
+        } catch (error) {
+          record('failed', { path: pathUtils.toPosixPath(relativePath), error: error.message, code: error.code });
+          complete = false;
+        }
+      }
+      return complete;
+    };
+    
+    if (!destStats) {
+      await makeDirectory(destination);
+    }
+    const complete = await walk(source, destination, '', new Set([await fs.promises.realpath(source)]), false);
+    if (!destStats) {
+      await applyMetadata(destination, sourceStats);
+    }
+    
+    // 移动时全部转移成功才删除源目录
+    if (isMove && complete) {
+      await rmdir(source).catch(error => logger.debug(`删除源目录失败: ${source}`, { error: error.message }));
+    }
+    
+    // 使目录缓存失效
+    invalidateDirCache(destination);
+    invalidateDirCache(path.dirname(destination));
+    if (isMove) {
+      invalidateDirCache(source);
+      invalidateDirCache(path.dirname(source));
+    }
+    
+    const backup = await backupTools.finishBatch(batch);
+    
+    return {
+      success: summary.failed === 0,
+      message: `${label}完成: ${isMove ? '移动' : '复制'}${summary[doneKey]}项，跳过${summary.skipped}项，失败${summary.failed}项`,
+      source,
+      destination,
+      summary,
+      ...report,
+      truncated,
+      backupId: backup?.id
+    };
+  } catch (error) {
+    // 保存已完成部分的记录，以便撤销
+    await backupTools.finishBatch(batch);
+    logger.error(`${label}失败: ${source}`, { destination, error });
+    return { success: false, message: `${label}失败: ${error.message}`, error };
+  }
+}
+
+/**
+ * 递归复制目录
+ * @param {string} source 源目录
+ * @param {string} destination 目标目录，已存在时合并
+ * @param {object} options 选项
+ * @param {string|Array<string>} options.include 只复制匹配的文件(glob模式)，不含 / 的模式只匹配名称
+ * @param {string|Array<string>} options.exclude 排除的glob模式，匹配的目录不会被遍历
+ * @param {string} options.conflict 目标文件已存在时的处理方式: overwrite、skip或rename，默认skip；同名目录总是合并
+ * @param {string} options.symlinks 符号链接的处理方式: preserve(复制链接本身)、follow(复制链接指向的内容)或skip，默认preserve
+ * @param {boolean} options.preserveTimestamps 是否保留访问和修改时间，默认true
+ * @param {boolean} options.preserveMode 是否保留权限，默认true
+ * @param {Object<string, string>} options.ifMatch 覆盖时的前置条件，键为相对于目标目录的路径(以/分隔)，
+ *   值为get_file_info返回的version或sha256；目标文件已被修改时该项失败，错误码为CONFLICT
+ * @returns {Promise<object>} 汇总报告，包含copied、renamed、skipped、failed明细
+ */
+async function copyDirectory(source, destination, options = {}) {
+  return transferDirectory(source, destination, options, 'copy');
+}
+
+/**
+ * 递归移动目录
+ * 目标不存在且没有过滤条件时整体重命名，否则逐项移动，全部成功后删除源目录
+ * @param {string} source 源目录
+ * @param {string} destination 目标目录，已存在时合并
+ * @param {object} options 选项，同copyDirectory
+ * @returns {Promise<object>} 汇总报告，包含moved、renamed、skipped、failed明细
+ */
+async function moveDirectory(source, destination, options = {}) {
+  return transferDirectory(source, destination, options, 'move');
+}
+
 /**
  * 检查目录是否存在
  * @param {Object|string} params 参数或目录路径字符串
@@ -357,6 +1077,11 @@ async function directoryExists(params) {
     };
   }
   
+  // 验证路径
+  if (!await securityUtils.isPathAllowed(dirPath)) {
+    return { success: false, message: '路径访问被拒绝', code: 'ACCESS_DENIED' };
+  }
+  
   try {
     // 检查路径是否存在
     let exists = false;
@@ -415,6 +1140,11 @@ async function getDirectoryInfo(params) {
     };
   }
   
+  // 验证路径
+  if (!await securityUtils.isPathAllowed(dirPath)) {
+    return { success: false, message: '路径访问被拒绝', code: 'ACCESS_DENIED' };
+  }
+  
   try {
     // 检查目录是否存在
     if (!fs.existsSync(dirPath)) {
@@ -659,6 +1389,9 @@ module.exports = {
   createDirectory,
   deleteDirectory,
   listFiles,
+  findFiles,
+  copyDirectory,
+  moveDirectory,
   directoryExists,
   getDirectoryInfo,
   getDirectoryContents,
@@ -8,11 +8,17 @@ const { promisify } = require('util');
 const logger = require('../utils/logging');
 const pathUtils = require('../utils/path-utils');
 const streamUtils = require('../utils/stream-utils');
+const encodingUtils = require('../utils/encoding-utils');
+const fileVersion = require('../utils/file-version');
+const trashUtils = require('../utils/trash-utils');
 const securityUtils = require('../config/security');
 const config = require('../config');
+const { Readable } = require('stream');
 const { pipeline } = require('stream/promises');
 const zlib = require('zlib');
+const Diff = require('diff');
 const watchTools = require('./watch-tools');
+const backupTools = require('./backup-tools');
 
 // 将回调API转换为Promise
 const fsCopyFile = promisify(fs.copyFile);
@@ -49,6 +55,9 @@ const LARGE_FILE_THRESHOLD = {
   write: 5 * 1024 * 1024   // 5MB
 };
 
+// base64内容分块解码的块大小(字符数，须为4的倍数)
+const BASE64_CHUNK_SIZE = 64 * 1024;
+
 /**
  * 初始化缓存监控
  */
@@ -188,11 +197,13 @@ function clearAllFileMonitors() {
  * 读取文件内容
  * @param {Object} params 参数
  * @param {string} params.path 文件路径
- * @param {string} params.encoding 编码方式，默认utf-8
+ * @param {string} params.encoding 编码方式，默认utf-8，二进制内容可使用base64，auto表示自动检测
+ * @param {number} params.offset 起始字节位置，指定offset或length时只读取该范围
+ * @param {number} params.length 读取的字节数，默认读取到文件末尾
  * @returns {Promise<string>} 文件内容
  */
 async function readFile(params) {
-  const { path: filePath, encoding = 'utf8' } = params;
+  const { path: filePath, encoding = 'utf8', offset, length } = params;
   
   // 检查权限
   if (!securityUtils.validateToolCall('read_file', params)) {
@@ -205,6 +216,16 @@ async function readFile(params) {
       return { success: false, error: `文件不存在: ${filePath}` };
     }
 
+    // 按字节范围读取
+    if (offset !== undefined || length !== undefined) {
+      return await readFileRange(filePath, { offset, length, encoding });
+    }
+
+    // 自动检测编码，或使用Node原生不支持的编码(如GBK)解码
+    if (encoding === 'auto' || !Buffer.isEncoding(encoding)) {
+      return { success: true, ...encodingUtils.decodeText(fs.readFileSync(filePath), encoding) };
+    }
+
     // 检查缓存
     if (FILE_CACHE.enabled) {
       const cachedContent = getFromCache(filePath);
@@ -265,44 +286,188 @@ function readLargeFile(filePath, encoding) {
   }
 }
 
+/**
+ * 按字节范围读取文件
+ * 只读取指定范围的数据，大文件不会整体加载到内存中
+ * @param {string} filePath 文件路径
+ * @param {Object} options 选项
+ * @param {number} options.offset 起始字节位置，默认0
+ * @param {number} options.length 读取的字节数，默认读取到文件末尾
+ * @param {string} options.encoding 编码方式，按utf-8解码时范围边界可能截断多字节字符
+ * @returns {Promise<Object>} { success, content, encoding, bom, offset, length, size, eof }
+ */
+async function readFileRange(filePath, options) {
+  const { offset = 0, length, encoding } = options;
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`无效的offset: ${offset}`);
+  }
+  if (length !== undefined && (!Number.isInteger(length) || length < 0)) {
+    throw new Error(`无效的length: ${length}`);
+  }
+
+  const { size } = fs.statSync(filePath);
+  const available = Math.max(size - offset, 0);
+  const byteLength = length === undefined ? available : Math.min(length, available);
+
+  const maxReadSize = config.security.operationSecurity.maxReadSize;
+  if (byteLength > maxReadSize) {
+    throw new Error(`读取长度(${byteLength}字节)超过允许的最大值(${maxReadSize}字节)，请减小length`);
+  }
+
+  const chunks = [];
+  if (byteLength > 0) {
+    await streamUtils.streamReadFile(filePath, {
+      encoding: null,
+      start: offset,
+      end: offset + byteLength - 1,
+      onChunk: (chunk) => chunks.push(chunk)
+    });
+  }
+  const buffer = Buffer.concat(chunks);
+
+  return {
+    success: true,
+    ...encodingUtils.decodeText(buffer, encoding),
+    offset,
+    length: buffer.length,
+    size,
+    eof: offset + buffer.length >= size
+  };
+}
+
+/**
+ * 创建逐块解码base64内容的可读流
+ * @param {string} content base64内容
+ * @returns {Readable} 输出Buffer的可读流
+ */
+function createBase64Stream(content) {
+  const data = content.replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(data) || data.length % 4 === 1) {
+    throw new Error('无效的base64内容');
+  }
+
+  let position = 0;
+  return new Readable({
+    read() {
+      if (position >= data.length) {
+        this.push(null);
+        return;
+      }
+      this.push(Buffer.from(data.slice(position, position + BASE64_CHUNK_SIZE), 'base64'));
+      position += BASE64_CHUNK_SIZE;
+    }
+  });
+}
+
+/**
+ * 确定写入文本时使用的编码
+ * 编码为auto时沿用已有文件的编码和BOM，文件不存在时使用utf-8
+ * @param {string} filePath 文件路径
+ * @param {string} encoding 编码名称
+ * @returns {Promise<Object>} { encoding, bom }
+ */
+async function resolveWriteEncoding(filePath, encoding) {
+  if (encoding !== 'auto') {
+    return { encoding, bom: false };
+  }
+  if (!fs.existsSync(filePath)) {
+    return { encoding: 'utf8', bom: false };
+  }
+  return encodingUtils.detectFileEncoding(filePath);
+}
+
 /**
  * 写入文件内容
  * @param {Object} params 参数
  * @param {string} params.path 文件路径
  * @param {string} params.content 文件内容
- * @param {string} params.encoding 编码方式，默认utf-8
+ * @param {string} params.encoding 编码方式，默认utf-8，为base64时写入解码后的二进制内容，为auto时沿用原文件的编码
+ * @param {boolean} params.atomic 是否原子写入(写入临时文件后重命名覆盖)，默认true
+ * @param {string} params.ifMatch 前置条件，文件当前版本(version或sha256)与之不一致时抛出CONFLICT错误
  * @returns {Promise<Object>} 写入结果
  */
 async function writeFile(params) {
-  const { path: filePath, content, encoding = 'utf8' } = params;
+  const { path: filePath, content, encoding = 'utf8', atomic = true, ifMatch } = params;
   
   // 检查权限
   if (!securityUtils.validateToolCall('write_file', params)) {
     throw new Error('没有权限写入文件');
   }
   
+  let backup = null;
   try {
+    // 检查文件自读取后是否被修改
+    await fileVersion.assertIfMatch(filePath, ifMatch);
+    
+    // 覆盖前备份原内容，新建文件时只记录操作以便撤销
+    backup = await backupTools.recordOperation(filePath, { operation: 'write' });
+    
     // 确保目标目录存在
     const dir = path.dirname(filePath);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
     
-    // 检查文件内容大小，大文件使用流处理
-    if (content.length > (config?.fileOperations?.streamThresholds?.write || LARGE_FILE_THRESHOLD.write)) {
-      return writeLargeFile(filePath, content, encoding);
+    // 二进制内容逐块解码写入
+    if (encoding === 'base64') {
+      const stream = createBase64Stream(content);
+      if (atomic) {
+        await streamUtils.atomicWriteFile(filePath, stream);
+      } else {
+        await streamUtils.streamWriteFile(filePath, stream);
+      }
+      if (FILE_CACHE.enabled && FILE_CACHE.items.has(filePath)) {
+        FILE_CACHE.items.delete(filePath);
+      }
+      await backupTools.completeOperation(backup);
+      return { success: true, path: filePath, backupId: backup?.id };
     }
     
-    // 写入文件内容
-    fs.writeFileSync(filePath, content, encoding);
+    // 自动沿用原文件编码，或使用Node原生不支持的编码(如GBK)编码
+    if (encoding === 'auto' || !Buffer.isEncoding(encoding)) {
+      const target = await resolveWriteEncoding(filePath, encoding);
+      const buffer = encodingUtils.encode(content, target.encoding, { bom: target.bom });
+      if (atomic) {
+        await streamUtils.atomicWriteFile(filePath, buffer);
+      } else {
+        fs.writeFileSync(filePath, buffer);
+      }
+      if (FILE_CACHE.enabled && FILE_CACHE.items.has(filePath)) {
+        FILE_CACHE.items.delete(filePath);
+      }
+      await backupTools.completeOperation(backup);
+      return { success: true, path: filePath, encoding: target.encoding, bom: target.bom, backupId: backup?.id };
+    }
+    
+    if (atomic) {
+      // 写入临时文件后重命名覆盖，中途失败不会留下写了一半的文件
+      await streamUtils.atomicWriteFile(filePath, content, { encoding });
+    } else {
+      // 检查文件内容大小，大文件使用流处理
+      if (content.length > (config?.fileOperations?.streamThresholds?.write || LARGE_FILE_THRESHOLD.write)) {
+        const result = await writeLargeFile(filePath, content, encoding);
+        if (!result.success) {
+          await backupTools.discardBackup(backup);
+          return result;
+        }
+        await backupTools.completeOperation(backup);
+        return { ...result, backupId: backup?.id };
+      }
+      
+      // 写入文件内容
+      fs.writeFileSync(filePath, content, encoding);
+    }
     
     // 如果内容在缓存中，更新缓存
     if (FILE_CACHE.enabled && FILE_CACHE.items.has(filePath)) {
       addToCache(filePath, content);
     }
     
-    return { success: true, path: filePath };
+    await backupTools.completeOperation(backup);
+    return { success: true, path: filePath, backupId: backup?.id };
   } catch (error) {
+    await backupTools.discardBackup(backup);
     logger.error(`写入文件失败: ${error.message}`, { path: filePath, error });
     throw error;
   }
@@ -337,27 +502,62 @@ function writeLargeFile(filePath, content, encoding) {
  * @param {Object} params 参数
  * @param {string} params.path 文件路径
  * @param {string} params.content 追加的内容
- * @param {string} params.encoding 编码方式，默认utf-8
+ * @param {string} params.encoding 编码方式，默认utf-8，为base64时追加解码后的二进制内容，为auto时沿用原文件的编码
+ * @param {string} params.ifMatch 前置条件，文件当前版本(version或sha256)与之不一致时抛出CONFLICT错误
  * @returns {Promise<Object>} 追加结果
  */
 async function appendFile(params) {
-  const { path: filePath, content, encoding = 'utf8' } = params;
+  const { path: filePath, content, encoding = 'utf8', ifMatch } = params;
   
   // 检查权限
   if (!securityUtils.validateToolCall('append_file', params)) {
     throw new Error('没有权限追加文件内容');
   }
   
+  let backup = null;
   try {
+    // 检查文件自读取后是否被修改
+    await fileVersion.assertIfMatch(filePath, ifMatch);
+    
+    // 追加前备份原内容，文件不存在时只记录操作以便撤销
+    backup = await backupTools.recordOperation(filePath, { operation: 'write' });
+    
     // 确保目标目录存在
     const dir = path.dirname(filePath);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
     
+    // 二进制内容逐块解码追加
+    if (encoding === 'base64') {
+      await streamUtils.streamWriteFile(filePath, createBase64Stream(content), { append: true });
+      if (FILE_CACHE.enabled && FILE_CACHE.items.has(filePath)) {
+        FILE_CACHE.items.delete(filePath);
+      }
+      await backupTools.completeOperation(backup);
+      return { success: true, path: filePath, backupId: backup?.id };
+    }
+    
+    // 自动沿用原文件编码，或使用Node原生不支持的编码(如GBK)编码，追加内容不写入BOM
+    if (encoding === 'auto' || !Buffer.isEncoding(encoding)) {
+      const target = await resolveWriteEncoding(filePath, encoding);
+      fs.appendFileSync(filePath, encodingUtils.encode(content, target.encoding));
+      if (FILE_CACHE.enabled && FILE_CACHE.items.has(filePath)) {
+        FILE_CACHE.items.delete(filePath);
+      }
+      await backupTools.completeOperation(backup);
+      return { success: true, path: filePath, encoding: target.encoding, backupId: backup?.id };
+    }
+    
     // 检查文件内容大小，大文件使用流处理
     if (content.length > (config?.fileOperations?.streamThresholds?.append || LARGE_FILE_THRESHOLD.write)) {
-      return appendLargeFile(filePath, content, encoding);
+      const result = await appendLargeFile(filePath, content, encoding);
+      if (!result.success) {
+        await backupTools.discardBackup(backup);
+        return result;
+      }
+      await backupTools.completeOperation(backup);
+      return { ...result, backupId: backup?.id };
     }
     
     // 追加文件内容
@@ -368,8 +568,10 @@ async function appendFile(params) {
       FILE_CACHE.items.delete(filePath);
     }
     
-    return { success: true, path: filePath };
+    await backupTools.completeOperation(backup);
+    return { success: true, path: filePath, backupId: backup?.id };
   } catch (error) {
+    await backupTools.discardBackup(backup);
     logger.error(`追加文件内容失败: ${error.message}`, { path: filePath, error });
     throw error;
   }
@@ -406,22 +608,47 @@ function appendLargeFile(filePath, content, encoding) {
  * 删除文件
  * @param {Object} params 参数
  * @param {string} params.path 文件路径
+ * @param {string} params.ifMatch 前置条件，文件当前版本(version或sha256)与之不一致时抛出CONFLICT错误
+ * @param {boolean} params.useTrash 是否移入回收站而不是永久删除，默认false
  * @returns {Promise<Object>} 删除结果
  */
 async function deleteFile(params) {
-  const { path: filePath } = params;
+  const { path: filePath, ifMatch, useTrash = false } = params;
   
   // 检查权限
   if (!securityUtils.validateToolCall('delete_file', params)) {
     throw new Error('没有权限删除文件');
   }
   
+  let backup = null;
   try {
+    // 检查文件自读取后是否被修改
+    await fileVersion.assertIfMatch(filePath, ifMatch);
+    
     // 检查文件是否存在
     if (!fs.existsSync(filePath)) {
       return { success: true, deleted: false, path: filePath };
     }
     
+    // 目录需要通过delete_directory删除，以检查recursive等限制
+    if (fs.lstatSync(filePath).isDirectory()) {
+      throw new Error(`路径是目录，请使用delete_directory删除: ${filePath}`);
+    }
+    
+    // 移入回收站，只记录操作以便撤销
+    if (useTrash) {
+      const trashed = await trashUtils.moveToTrash(filePath);
+      backup = await backupTools.recordOperation(filePath, { operation: 'trash', destination: trashed.path, saveContent: false, type: 'file' });
+      await backupTools.completeOperation(backup);
+      if (FILE_CACHE.enabled && FILE_CACHE.items.has(filePath)) {
+        FILE_CACHE.items.delete(filePath);
+      }
+      return { success: true, deleted: true, path: filePath, trashPath: trashed.path, backupId: backup?.id };
+    }
+    
+    // 删除前备份，可通过restore_backup或undo_last_operation恢复
+    backup = await backupTools.recordOperation(filePath, { operation: 'delete' });
+    
     // 删除文件
     logger.info(`删除文件: ${filePath}`);
     fs.unlinkSync(filePath);
@@ -431,8 +658,10 @@ async function deleteFile(params) {
       FILE_CACHE.items.delete(filePath);
     }
     
-    return { success: true, deleted: true, path: filePath };
+    await backupTools.completeOperation(backup);
+    return { success: true, deleted: true, path: filePath, backupId: backup?.id };
   } catch (error) {
+    await backupTools.discardBackup(backup);
     logger.error(`删除文件失败: ${error.message}`, { path: filePath, error });
     throw error;
   }
@@ -444,16 +673,23 @@ async function deleteFile(params) {
  * @param {string} params.source 源文件路径
  * @param {string} params.destination 目标文件路径
  * @param {boolean} params.overwrite 是否覆盖目标文件，默认false
+ * @param {string} params.ifMatch 覆盖时的前置条件，目标文件当前版本(version或sha256)与之不一致时抛出CONFLICT错误
  * @returns {Promise<Object>} 复制结果
  */
 async function copyFile(params) {
-  const { source, destination, overwrite = false } = params;
+  const { source, destination, overwrite = false, ifMatch } = params;
   
   // 检查权限
   if (!securityUtils.validateToolCall('copy_file', params)) {
     throw new Error('没有权限复制文件');
   }
   
+  // 检查被覆盖的目标文件自读取后是否被修改
+  if (overwrite) {
+    await fileVersion.assertIfMatch(destination, ifMatch);
+  }
+  
+  let backup = null;
   try {
     // 检查源文件是否存在
     if (!fs.existsSync(source)) {
@@ -469,9 +705,18 @@ async function copyFile(params) {
     // 获取文件状态
     const stats = fs.statSync(source);
     
+    // 覆盖前备份目标文件，目标不存在时只记录操作以便撤销
+    backup = await backupTools.recordOperation(destination, { operation: 'write', saveContent: overwrite });
+    
     // 检查文件大小，大文件使用流处理
     if (stats.size > (config?.fileOperations?.streamThresholds?.copy || LARGE_FILE_THRESHOLD.read)) {
-      return copyLargeFile(source, destination, overwrite);
+      const result = await copyLargeFile(source, destination, overwrite);
+      if (!result.success) {
+        await backupTools.discardBackup(backup);
+        return result;
+      }
+      await backupTools.completeOperation(backup);
+      return { ...result, backupId: backup?.id };
     }
 
     // 使用标准 fs.copyFile 复制文件
@@ -481,8 +726,10 @@ async function copyFile(params) {
     }
 
     await fsCopyFile(source, destination, copyFlag);
-    return { success: true, source, destination };
+    await backupTools.completeOperation(backup);
+    return { success: true, source, destination, backupId: backup?.id };
   } catch (error) {
+    await backupTools.discardBackup(backup);
     // 处理特定错误：文件已存在
     if (error.code === 'EEXIST') {
       return { 
@@ -527,15 +774,19 @@ async function copyLargeFile(source, destination, overwrite) {
   }
 }
 
-// 移动文件
+// 移动文件，指定ifMatch时源文件版本不一致则抛出CONFLICT错误
 async function moveFile(params) {
-  const { source, destination } = params;
+  const { source, destination, ifMatch } = params;
   
   // 检查权限
   if (!securityUtils.validateToolCall('move_file', params)) {
     throw new Error('没有权限移动文件');
   }
   
+  // 检查源文件自读取后是否被修改
+  await fileVersion.assertIfMatch(source, ifMatch);
+  
+  let backup = null;
   try {
     // 尝试使用重命名（通常更快，但只在同一文件系统上工作）
     try {
@@ -553,6 +804,9 @@ async function moveFile(params) {
         fs.mkdirSync(dir, { recursive: true });
       }
       
+      // 移动不会覆盖文件，只记录操作以便撤销
+      backup = await backupTools.recordOperation(source, { operation: 'move', destination, saveContent: false });
+      
       // 尝试直接重命名
       fs.renameSync(source, destination);
       
@@ -565,39 +819,237 @@ async function moveFile(params) {
         }
       }
       
-      return { success: true, source, destination };
+      await backupTools.completeOperation(backup);
+      return { success: true, source, destination, backupId: backup?.id };
     } catch (renameError) {
-      // 在不同文件系统上可能失败，尝试复制然后删除
-      const copyResult = await copyFile({ 
-        source, 
-        destination, 
-        overwrite: true 
-      });
+      // 在不同文件系统上可能失败，原子复制到目标位置后删除源文件
+      if (!fs.existsSync(source)) {
+        await backupTools.discardBackup(backup);
+        return { success: false, error: `源文件不存在: ${source}` };
+      }
       
-      if (copyResult.success) {
-        fs.unlinkSync(source);
-        
-        // 更新缓存
-        if (FILE_CACHE.enabled && FILE_CACHE.items.has(source)) {
-          FILE_CACHE.items.delete(source);
-        }
-        
-        return { 
-          success: true, 
-          source, 
-          destination,
-          method: 'copy-delete'
-        };
-      } else {
-        return copyResult;
+      try {
+        const sourceStats = fs.statSync(source);
+        await streamUtils.atomicWriteFile(destination, fs.createReadStream(source), {
+          mode: sourceStats.mode
+        });
+      } catch (copyError) {
+        await backupTools.discardBackup(backup);
+        logger.error(`复制文件失败: ${copyError.message}`, { source, destination, error: copyError });
+        return { success: false, error: copyError.message };
+      }
+      
+      fs.unlinkSync(source);
+      
+      // 更新缓存
+      if (FILE_CACHE.enabled && FILE_CACHE.items.has(source)) {
+        FILE_CACHE.items.delete(source);
       }
+      
+      await backupTools.completeOperation(backup);
+      return { 
+        success: true, 
+        source, 
+        destination,
+        method: 'copy-delete',
+        backupId: backup?.id
+      };
     }
   } catch (error) {
+    await backupTools.discardBackup(backup);
     logger.error(`移动文件失败: ${error.message}`, { source, destination, error });
     throw error;
   }
 }
 
+/**
+ * 将编辑操作解析为原始内容中的字符区间
+ * 所有编辑都基于原始内容定位，互相不能重叠
+ * @param {string} content 原始内容
+ * @param {Array<Object>} edits 编辑操作列表
+ * @returns {Array<Object>} 按起始位置排序的区间列表 {start, end, text}
+ */
+function resolveEdits(content, edits) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const ranges = [];
+  
+  // 计算每行的起始位置
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n' && i + 1 < content.length) {
+      lineStarts.push(i + 1);
+    }
+  }
+  const totalLines = content.length === 0 ? 0 : lineStarts.length;
+  
+  edits.forEach((edit, index) => {
+    const label = `编辑 #${index + 1}`;
+    const newText = edit.newText === undefined ? '' : edit.newText;
+    
+    if (typeof edit.oldText === 'string') {
+      // 精确字符串替换
+      if (edit.oldText.length === 0) {
+        throw new Error(`${label}: oldText不能为空`);
+      }
+      
+      const positions = [];
+      let position = content.indexOf(edit.oldText);
+      while (position !== -1) {
+        positions.push(position);
+        position = content.indexOf(edit.oldText, position + edit.oldText.length);
+      }
+      
+      if (positions.length === 0) {
+        throw new Error(`${label}: 未找到要替换的文本`);
+      }
+      if (positions.length > 1 && !edit.replaceAll) {
+        throw new Error(`${label}: 要替换的文本匹配到${positions.length}处，请提供更多上下文或设置replaceAll为true`);
+      }
+      
+      for (const start of positions) {
+        ranges.push({ start, end: start + edit.oldText.length, text: newText, label });
+      }
+    } else if (typeof edit.startLine === 'number') {
+      // 行范围替换
+      const startLine = edit.startLine;
+      const endLine = typeof edit.endLine === 'number' ? edit.endLine : startLine;
+      
+      if (startLine < 1 || endLine < startLine || endLine > totalLines) {
+        throw new Error(`${label}: 无效的行范围 ${startLine}-${endLine}，文件共${totalLines}行`);
+      }
+      
+      const start = lineStarts[startLine - 1];
+      const end = endLine < totalLines ? lineStarts[endLine] : content.length;
+      
+      // 被替换的行以换行结尾时，保证替换内容也以换行结尾
+      let text = newText;
+      const replacedEndsWithNewline = content.slice(start, end).endsWith('\n');
+      if (text.length > 0 && replacedEndsWithNewline && !text.endsWith('\n')) {
+        text += eol;
+      }
+      
+      ranges.push({ start, end, text, label });
+    } else {
+      throw new Error(`${label}: 必须提供oldText或startLine`);
+    }
+  });
+  
+  // 检查区间是否重叠
+  ranges.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].start < ranges[i - 1].end) {
+      throw new Error(`${ranges[i - 1].label} 与 ${ranges[i].label} 的修改范围重叠`);
+    }
+  }
+  
+  return ranges;
+}
+
+/**
+ * 编辑文件内容 (字符串替换、行范围替换或统一diff补丁)
+ * 所有修改在内存中完成后一次性写入，任何一处修改失败都不会改动文件
+ * @param {Object} params 参数
+ * @param {string} params.path 文件路径
+ * @param {Array<Object>} params.edits 编辑操作列表，每项为 {oldText, newText, replaceAll} 或 {startLine, endLine, newText}
+ * @param {string} params.patch 统一diff格式的补丁，与edits二选一
+ * @param {boolean} params.dryRun 是否只预览修改而不写入，默认false
+ * @param {string} params.encoding 编码方式，默认utf-8，支持gbk等，为auto时自动检测并沿用原文件的编码和BOM
+ * @param {string} params.ifMatch 前置条件，文件当前版本(version或sha256)与之不一致时抛出CONFLICT错误
+ * @returns {Promise<Object>} 编辑结果，包含统一diff格式的修改内容
+ */
+async function editFile(params) {
+  const { 
+    path: filePath, 
+    edits = [], 
+    patch, 
+    dryRun = false, 
+    encoding = 'utf8',
+    ifMatch
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('edit_file', params)) {
+    throw new Error('没有权限编辑文件');
+  }
+  
+  let backup = null;
+  try {
+    if (!patch && (!Array.isArray(edits) || edits.length === 0)) {
+      throw new Error('必须提供edits或patch参数');
+    }
+    
+    // 检查文件自读取后是否被修改
+    await fileVersion.assertIfMatch(filePath, ifMatch);
+    
+    // 检查文件是否存在
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`文件不存在: ${filePath}`);
+    }
+    
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile()) {
+      throw new Error(`路径不是文件: ${filePath}`);
+    }
+    
+    // 检查文件大小
+    if (stats.size > securityUtils.operationSecurity.maxReadSize) {
+      throw new Error(`文件大小(${stats.size}字节)超过允许的最大值(${securityUtils.operationSecurity.maxReadSize}字节)`);
+    }
+    
+    // 按指定编码解码，写回时使用相同的编码和BOM
+    const decoded = encodingUtils.decodeText(fs.readFileSync(filePath), encoding);
+    const original = decoded.content;
+    let modified;
+    
+    if (patch) {
+      // 应用统一diff补丁
+      modified = Diff.applyPatch(original, patch);
+      if (modified === false) {
+        throw new Error('补丁无法应用: 上下文与文件内容不匹配');
+      }
+    } else {
+      // 从后往前应用，避免位置偏移
+      const ranges = resolveEdits(original, edits);
+      modified = original;
+      for (let i = ranges.length - 1; i >= 0; i--) {
+        const { start, end, text } = ranges[i];
+        modified = modified.slice(0, start) + text + modified.slice(end);
+      }
+    }
+    
+    const changed = modified !== original;
+    const diff = Diff.createTwoFilesPatch(filePath, filePath, original, modified, '', '', { context: 3 });
+    
+    if (!dryRun && changed) {
+      logger.info(`编辑文件: ${filePath}`);
+      
+      // 写入前备份原内容，可通过restore_backup或undo_last_operation恢复
+      backup = await backupTools.recordOperation(filePath, { operation: 'write' });
+      await streamUtils.atomicWriteFile(filePath, encodingUtils.encode(modified, decoded.encoding, { bom: decoded.bom }));
+      await backupTools.completeOperation(backup);
+      
+      // 缓存按读取时的编码保存，直接移除
+      if (FILE_CACHE.enabled && FILE_CACHE.items.has(filePath)) {
+        FILE_CACHE.items.delete(filePath);
+      }
+    }
+    
+    return {
+      success: true,
+      path: filePath,
+      encoding: decoded.encoding,
+      dryRun,
+      changed,
+      diff,
+      backupId: backup?.id
+    };
+  } catch (error) {
+    await backupTools.discardBackup(backup);
+    logger.error(`编辑文件失败: ${error.message}`, { path: filePath, error });
+    throw error;
+  }
+}
+
 /**
  * 获取文件信息
  * @param {Object} params 参数
@@ -621,6 +1073,9 @@ async function getFileInfo(params) {
     // 获取文件信息
     const stats = fs.statSync(filePath);
     
+    // 版本标识，可作为修改操作的ifMatch参数
+    const { version, sha256 } = await fileVersion.getFileVersion(filePath, { hash: stats.isFile() });
+    
     logger.info(`获取文件信息: ${filePath}`);
     
     return {
@@ -635,6 +1090,8 @@ async function getFileInfo(params) {
       modified: stats.mtime,
       accessed: stats.atime,
       permissions: stats.mode,
+      version,
+      sha256,
       inCache: FILE_CACHE.enabled && FILE_CACHE.items.has(filePath)
     };
   } catch (error) {
@@ -925,6 +1382,7 @@ module.exports = {
   deleteFile,
   copyFile,
   moveFile,
+  editFile,
   getFileInfo,
   fileExists,
   getCacheStats,
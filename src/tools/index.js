@@ -7,6 +7,7 @@ const dirTools = require('./dir-tools');
 const lineTools = require('./line-tools');
 const watchTools = require('./watch-tools');
 const officeTools = require('./office-tools');
+const backupTools = require('./backup-tools');
 
 // 工具定义
 const tools = {
@@ -20,16 +21,81 @@ const tools = {
       },
       required: ['path']
     },
-    implementation: dirTools.listFiles
+    implementation: (params) => dirTools.listFiles(params.path, params)
+  },
+  
+  find_files: {
+    name: 'find_files',
+    description: '按glob模式查找文件和目录',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: '起始目录路径' },
+        pattern: { type: 'string', description: 'glob模式，如 **/*.ts' },
+        exclude: { type: 'array', items: { type: 'string' }, description: '排除的glob模式' },
+        maxDepth: { type: 'integer', description: '最大遍历深度' },
+        type: { type: 'string', enum: ['file', 'directory', 'symlink'], description: '类型过滤' },
+        minSize: { type: 'integer', description: '最小文件大小(字节)' },
+        maxSize: { type: 'integer', description: '最大文件大小(字节)' },
+        modifiedAfter: { type: 'string', description: '修改时间下限(ISO日期)' },
+        modifiedBefore: { type: 'string', description: '修改时间上限(ISO日期)' },
+        sortBy: { type: 'string', enum: ['name', 'path', 'size', 'modifiedAt'], description: '排序字段' },
+        order: { type: 'string', enum: ['asc', 'desc'], description: '排序方向' },
+        limit: { type: 'integer', description: '最大返回数量，默认1000' }
+      },
+      required: ['path']
+    },
+    implementation: (params) => dirTools.findFiles(params.path, params)
+  },
+  
+  copy_directory: {
+    name: 'copy_directory',
+    description: '递归复制目录，返回复制、跳过和失败的汇总报告',
+    parameters: {
+      properties: {
+        source: { type: 'string', description: '源目录路径' },
+        destination: { type: 'string', description: '目标目录路径，已存在时合并' },
+        include: { type: 'array', items: { type: 'string' }, description: '只复制匹配的文件(glob模式)' },
+        exclude: { type: 'array', items: { type: 'string' }, description: '排除的glob模式，匹配的目录不会被遍历' },
+        conflict: { type: 'string', enum: ['overwrite', 'skip', 'rename'], description: '目标文件已存在时的处理方式，默认skip' },
+        symlinks: { type: 'string', enum: ['preserve', 'follow', 'skip'], description: '符号链接处理方式，默认preserve' },
+        preserveTimestamps: { type: 'boolean', description: '是否保留访问和修改时间，默认true' },
+        preserveMode: { type: 'boolean', description: '是否保留权限，默认true' },
+        ifMatch: { type: 'object', additionalProperties: { type: 'string' }, description: '覆盖时的前置条件，键为相对于目标目录的路径，值为目标文件的version或sha256' }
+      },
+      required: ['source', 'destination']
+    },
+    implementation: (params) => dirTools.copyDirectory(params.source, params.destination, params)
+  },
+  
+  move_directory: {
+    name: 'move_directory',
+    description: '递归移动目录，返回移动、跳过和失败的汇总报告',
+    parameters: {
+      properties: {
+        source: { type: 'string', description: '源目录路径' },
+        destination: { type: 'string', description: '目标目录路径，已存在时合并' },
+        include: { type: 'array', items: { type: 'string' }, description: '只移动匹配的文件(glob模式)' },
+        exclude: { type: 'array', items: { type: 'string' }, description: '排除的glob模式，匹配的目录不会被遍历' },
+        conflict: { type: 'string', enum: ['overwrite', 'skip', 'rename'], description: '目标文件已存在时的处理方式，默认skip' },
+        symlinks: { type: 'string', enum: ['preserve', 'follow', 'skip'], description: '符号链接处理方式，默认preserve' },
+        preserveTimestamps: { type: 'boolean', description: '是否保留访问和修改时间，默认true' },
+        preserveMode: { type: 'boolean', description: '是否保留权限，默认true' },
+        ifMatch: { type: 'object', additionalProperties: { type: 'string' }, description: '覆盖时的前置条件，键为相对于目标目录的路径，值为目标文件的version或sha256' }
+      },
+      required: ['source', 'destination']
+    },
+    implementation: (params) => dirTools.moveDirectory(params.source, params.destination, params)
   },
   
   read_file: {
     name: 'read_file',
-    description: '读取文件内容',
+    description: '读取文件内容，图片以image内容返回，其他二进制文件以base64资源返回',
     parameters: {
       properties: {
         path: { type: 'string', description: '文件路径' },
-        encoding: { type: 'string', description: '编码方式，默认utf-8' }
+        encoding: { type: 'string', description: '编码方式，默认utf-8，支持gbk、gb18030、shift_jis等，auto表示自动检测；按字节范围读取二进制内容时可使用base64' },
+        offset: { type: 'number', description: '起始字节位置，指定offset或length时只读取该范围' },
+        length: { type: 'number', description: '读取的字节数，默认读取到文件末尾' }
       },
       required: ['path']
     },
@@ -43,7 +109,9 @@ const tools = {
       properties: {
         path: { type: 'string', description: '文件路径' },
         content: { type: 'string', description: '文件内容' },
-        encoding: { type: 'string', description: '编码方式，默认utf-8' }
+        encoding: { type: 'string', description: '编码方式，默认utf-8，支持gbk等；为base64时写入解码后的二进制内容，为auto时沿用原文件的编码和BOM' },
+        atomic: { type: 'boolean', description: '是否原子写入(写入临时文件并fsync后重命名覆盖)，默认true' },
+        ifMatch: { type: 'string', description: '前置条件，get_file_info返回的version或sha256，文件已被修改时返回CONFLICT错误' }
       },
       required: ['path', 'content']
     },
@@ -55,7 +123,9 @@ const tools = {
     description: '删除文件',
     parameters: {
       properties: {
-        path: { type: 'string', description: '文件路径' }
+        path: { type: 'string', description: '文件路径' },
+        ifMatch: { type: 'string', description: '前置条件，get_file_info返回的version或sha256，文件已被修改时返回CONFLICT错误' },
+        useTrash: { type: 'boolean', description: '是否移入系统回收站而不是永久删除，默认false' }
       },
       required: ['path']
     },
@@ -81,11 +151,12 @@ const tools = {
     parameters: {
       properties: {
         path: { type: 'string', description: '目录路径' },
-        recursive: { type: 'boolean', description: '是否递归删除目录内容' }
+        recursive: { type: 'boolean', description: '是否递归删除目录内容' },
+        useTrash: { type: 'boolean', description: '是否将整个目录移入系统回收站而不是永久删除，默认false' }
       },
       required: ['path']
     },
-    implementation: dirTools.deleteDirectory
+    implementation: (params) => dirTools.deleteDirectory(params.path, params)
   },
   
   copy_file: {
@@ -94,7 +165,9 @@ const tools = {
     parameters: {
       properties: {
         source: { type: 'string', description: '源文件路径' },
-        destination: { type: 'string', description: '目标文件路径' }
+        destination: { type: 'string', description: '目标文件路径' },
+        overwrite: { type: 'boolean', description: '如果目标文件存在是否覆盖' },
+        ifMatch: { type: 'string', description: '覆盖时的前置条件，目标文件的version或sha256，目标文件已被修改时返回CONFLICT错误' }
       },
       required: ['source', 'destination']
     },
@@ -107,16 +180,34 @@ const tools = {
     parameters: {
       properties: {
         source: { type: 'string', description: '源文件路径' },
-        destination: { type: 'string', description: '目标文件路径' }
+        destination: { type: 'string', description: '目标文件路径' },
+        ifMatch: { type: 'string', description: '前置条件，源文件的version或sha256，源文件已被修改时返回CONFLICT错误' }
       },
       required: ['source', 'destination']
     },
     implementation: fileTools.moveFile
   },
   
+  edit_file: {
+    name: 'edit_file',
+    description: '编辑文件内容(字符串替换、行范围替换或统一diff补丁)',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: '文件路径' },
+        edits: { type: 'array', description: '编辑操作列表，每项为 {oldText, newText, replaceAll} 或 {startLine, endLine, newText}' },
+        patch: { type: 'string', description: '统一diff格式的补丁，与edits二选一' },
+        dryRun: { type: 'boolean', description: '是否只预览修改而不写入' },
+        encoding: { type: 'string', description: '编码方式，默认utf-8，为auto时自动检测' },
+        ifMatch: { type: 'string', description: '前置条件，get_file_info返回的version或sha256，文件已被修改时返回CONFLICT错误' }
+      },
+      required: ['path']
+    },
+    implementation: fileTools.editFile
+  },
+  
   file_info: {
     name: 'file_info',
-    description: '获取文件信息',
+    description: '获取文件信息，包含可用作ifMatch前置条件的version和sha256',
     parameters: {
       properties: {
         path: { type: 'string', description: '文件路径' }
@@ -188,6 +279,20 @@ const tools = {
     implementation: watchTools.listWatchers
   },
   
+  poll_watch_events: {
+    name: 'poll_watch_events',
+    description: '按游标分页获取监控器收集到的文件变更事件',
+    parameters: {
+      properties: {
+        watcherId: { type: 'string', description: '监控ID' },
+        cursor: { type: 'integer', description: '游标，返回序号大于该值的事件，默认0' },
+        limit: { type: 'integer', description: '每页最大事件数量，默认100' }
+      },
+      required: ['watcherId']
+    },
+    implementation: watchTools.pollWatchEvents
+  },
+  
   read_file_lines: {
     name: 'read_file_lines',
     description: '读取文件指定行范围',
@@ -196,13 +301,83 @@ const tools = {
         path: { type: 'string', description: '文件路径' },
         start: { type: 'integer', description: '起始行(从1开始)' },
         end: { type: 'integer', description: '结束行' },
-        encoding: { type: 'string', description: '编码方式，默认utf-8' }
+        encoding: { type: 'string', description: '编码方式，默认utf-8，支持gbk、gb18030、shift_jis等，auto表示自动检测' }
       },
       required: ['path', 'start', 'end']
     },
     implementation: lineTools.readFileLines
   },
   
+  search_directory: {
+    name: 'search_directory',
+    description: '在目录中递归搜索文件内容',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: '目录路径' },
+        pattern: { type: 'string', description: '搜索模式' },
+        regex: { type: 'boolean', description: '是否使用正则表达式' },
+        ignoreCase: { type: 'boolean', description: '是否忽略大小写' },
+        include: { type: 'array', items: { type: 'string' }, description: '包含的文件glob模式' },
+        exclude: { type: 'array', items: { type: 'string' }, description: '排除的文件或目录glob模式' },
+        respectGitignore: { type: 'boolean', description: '是否遵守.gitignore规则，默认true' },
+        contextBefore: { type: 'integer', description: '匹配行之前的上下文行数' },
+        contextAfter: { type: 'integer', description: '匹配行之后的上下文行数' },
+        maxResults: { type: 'integer', description: '最大匹配数，默认1000' },
+        maxBytes: { type: 'integer', description: '返回内容的最大字节数，默认1MB' },
+        encoding: { type: 'string', description: '编码方式，默认utf-8，支持gbk、gb18030、shift_jis等，auto表示逐个文件自动检测' }
+      },
+      required: ['path', 'pattern']
+    },
+    implementation: lineTools.searchDirectory
+  },
+  
+  write_lines: {
+    name: 'write_lines',
+    description: '替换文件指定行范围的内容',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: '文件路径' },
+        start: { type: 'integer', description: '起始行(从1开始)' },
+        end: { type: 'integer', description: '结束行，默认等于起始行' },
+        content: { type: 'string', description: '新内容，可包含多行' },
+        encoding: { type: 'string', description: '编码方式，默认utf-8' }
+      },
+      required: ['path', 'start', 'content']
+    },
+    implementation: lineTools.writeFileLines
+  },
+  
+  insert_line: {
+    name: 'insert_line',
+    description: '在文件指定行之前或之后插入内容',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: '文件路径' },
+        line: { type: 'integer', description: '参考行(从1开始)' },
+        content: { type: 'string', description: '插入的内容，可包含多行' },
+        position: { type: 'string', enum: ['before', 'after'], description: '插入位置，默认before' },
+        encoding: { type: 'string', description: '编码方式，默认utf-8' }
+      },
+      required: ['path', 'line', 'content']
+    },
+    implementation: lineTools.insertFileLine
+  },
+  
+  delete_lines: {
+    name: 'delete_lines',
+    description: '删除文件指定行范围',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: '文件路径' },
+        start: { type: 'integer', description: '起始行(从1开始)' },
+        end: { type: 'integer', description: '结束行，默认等于起始行' },
+        encoding: { type: 'string', description: '编码方式，默认utf-8' }
+      },
+      required: ['path', 'start']
+    },
+    implementation: lineTools.deleteFileLines
+  },
+  
   append_file: {
     name: 'append_file',
     description: '追加内容到文件',
@@ -210,7 +385,8 @@ const tools = {
       properties: {
         path: { type: 'string', description: '文件路径' },
         content: { type: 'string', description: '追加的内容' },
-        encoding: { type: 'string', description: '编码方式，默认utf-8' }
+        encoding: { type: 'string', description: '编码方式，默认utf-8，支持gbk等；为base64时追加解码后的二进制内容，为auto时沿用原文件的编码' },
+        ifMatch: { type: 'string', description: '前置条件，get_file_info返回的version或sha256，文件已被修改时返回CONFLICT错误' }
       },
       required: ['path', 'content']
     },
@@ -234,7 +410,7 @@ const tools = {
     description: '读取Word文档内容并转换为文本',
     parameters: {
       properties: {
-        path: { type: 'string', description: 'Word文件路径(.doc或.docx格式)' },
+        path: { type: 'string', description: 'Word文件路径(.doc、.docx或.odt格式)' },
         outputFormat: { 
           type: 'string', 
           enum: ['text', 'html'],
@@ -242,7 +418,11 @@ const tools = {
         },
         extractImages: { 
           type: 'boolean', 
-          description: '是否提取图片信息，默认false'
+          description: '是否提取.docx中的图片，正文中以文件名引用图片，默认false'
+        },
+        imageOutputDir: {
+          type: 'string',
+          description: '图片输出目录，未指定时图片以base64数据返回'
         },
         includeStyles: { 
           type: 'boolean', 
@@ -279,7 +459,7 @@ const tools = {
     description: '读取Excel文件内容',
     parameters: {
       properties: {
-        path: { type: 'string', description: 'Excel文件路径(.xlsx、.xls或.csv格式)' },
+        path: { type: 'string', description: 'Excel文件路径(.xlsx、.csv或.ods格式，不支持旧版二进制.xls)' },
         sheet: { 
           oneOf: [
             { type: 'string', description: '工作表名称' },
@@ -309,11 +489,176 @@ const tools = {
         headerRow: {
           type: 'boolean',
           description: '是否将第一行作为表头，默认false'
+        },
+        streaming: {
+          type: 'boolean',
+          description: '是否流式分页读取大型.xlsx文件，默认false'
+        },
+        offset: {
+          type: 'integer',
+          description: '流式读取时跳过的数据行数(不含表头和空行)，默认0'
+        },
+        limit: {
+          type: 'integer',
+          description: '流式读取时每页的最大行数，默认1000，最大5000'
+        },
+        cursor: {
+          type: 'string',
+          description: '上一页返回的nextCursor，用于读取下一页。每页都从工作表开头重新解析，越靠后的页耗时越长'
+        },
+        sheetsOnly: {
+          type: 'boolean',
+          description: '只返回工作表名称、区域和行数，不读取单元格内容，默认false'
         }
       },
       required: ['path']
     },
     implementation: officeTools.readExcelFile
+  },
+  
+  read_powerpoint: {
+    name: 'read_powerpoint',
+    description: '读取PowerPoint演示文稿内容',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: 'PowerPoint文件路径(.pptx格式)' },
+        includeNotes: {
+          type: 'boolean',
+          description: '是否包含演讲者备注，默认true'
+        },
+        pagination: {
+          type: 'object',
+          properties: {
+            pageSize: { type: 'integer', description: '每页幻灯片数，默认10' },
+            pageNum: { type: 'integer', description: '页码(从1开始)' }
+          },
+          description: '分页参数，按幻灯片数分页'
+        },
+        range: {
+          type: 'object',
+          properties: {
+            startSlide: { type: 'integer', description: '起始幻灯片(从1开始)' },
+            endSlide: { type: 'integer', description: '结束幻灯片' }
+          },
+          description: '读取范围，例如{startSlide:1, endSlide:5}'
+        }
+      },
+      required: ['path']
+    },
+    implementation: officeTools.readPowerPoint
+  },
+  
+  read_pdf: {
+    name: 'read_pdf',
+    description: '读取PDF文档内容',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: 'PDF文件路径(.pdf格式)' },
+        range: {
+          type: 'object',
+          properties: {
+            startPage: { type: 'integer', description: '起始页(从1开始)' },
+            endPage: { type: 'integer', description: '结束页' }
+          },
+          description: '读取范围，例如{startPage:1, endPage:5}'
+        },
+        password: {
+          type: 'string',
+          description: '加密文档的密码'
+        }
+      },
+      required: ['path']
+    },
+    implementation: officeTools.readPdfDocument
+  },
+  
+  write_excel_file: {
+    name: 'write_excel_file',
+    description: '创建或更新Excel文件',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: 'Excel文件路径(.xlsx或.csv格式)' },
+        sheet: { type: 'string', description: '工作表名称，不存在时自动创建' },
+        rows: { type: 'array', description: '要写入的行，可以是数组或对象，以=开头的字符串视为公式' },
+        headers: { type: 'array', items: { type: 'string' }, description: '表头' },
+        mode: {
+          type: 'string',
+          enum: ['replace', 'append'],
+          description: '行写入模式，默认replace'
+        },
+        cells: { type: 'object', description: '要设置的单元格，例如{"A1": "标题", "B10": "=SUM(B2:B9)"}' },
+        range: {
+          type: 'object',
+          properties: {
+            start: { type: 'string', description: '起始单元格' },
+            values: { type: 'array', description: '二维数组形式的值' }
+          },
+          description: '要写入的区域'
+        },
+        addSheets: { type: 'array', items: { type: 'string' }, description: '要添加的工作表名称' }
+      },
+      required: ['path']
+    },
+    implementation: officeTools.writeExcelFile
+  },
+  
+  write_word_document: {
+    name: 'write_word_document',
+    description: '从Markdown或HTML生成Word文档',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: 'Word文件路径(.docx格式)' },
+        content: { type: 'string', description: 'Markdown或HTML内容' },
+        inputFormat: {
+          type: 'string',
+          enum: ['markdown', 'html'],
+          description: '输入格式，默认markdown'
+        },
+        title: { type: 'string', description: '文档标题' },
+        author: { type: 'string', description: '文档作者' },
+        overwrite: { type: 'boolean', description: '文件已存在时是否覆盖，默认false' }
+      },
+      required: ['path', 'content']
+    },
+    implementation: officeTools.writeWordDocument
+  },
+  
+  // 备份与撤销工具
+  list_backups: {
+    name: 'list_backups',
+    description: '列出覆盖、删除和移动操作前创建的备份记录，最新的在前',
+    parameters: {
+      properties: {
+        path: { type: 'string', description: '只列出与该路径相关的备份' },
+        limit: { type: 'number', description: '最多返回的记录数，默认50' }
+      }
+    },
+    implementation: backupTools.listBackups
+  },
+  
+  restore_backup: {
+    name: 'restore_backup',
+    description: '从备份恢复文件或目录',
+    parameters: {
+      properties: {
+        id: { type: 'string', description: 'list_backups返回的备份ID' },
+        destination: { type: 'string', description: '恢复到的路径，默认为原路径' },
+        overwrite: { type: 'boolean', description: '目标已存在时是否覆盖，默认false' }
+      },
+      required: ['id']
+    },
+    implementation: backupTools.restoreBackup
+  },
+  
+  undo_last_operation: {
+    name: 'undo_last_operation',
+    description: '撤销最近一次尚未撤销的写入、删除或移动操作，路径在操作之后又被修改时返回CONFLICT错误',
+    parameters: {
+      properties: {
+        skip: { type: 'boolean', description: '只将最近一条记录标记为已跳过而不撤销，默认false' }
+      }
+    },
+    implementation: backupTools.undoLastOperation
   }
 };
 
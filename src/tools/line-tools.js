@@ -1,13 +1,27 @@
 /**
  * 文件行操作工具模块
- * 实现文件行的读取、计数等操作
+ * 实现文件行的读取、计数、修改等操作
  */
 const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
 const logger = require('../utils/logging');
 const pathUtils = require('../utils/path-utils');
 const streamUtils = require('../utils/stream-utils');
+const encodingUtils = require('../utils/encoding-utils');
 const securityUtils = require('../config/security');
 const config = require('../config');
+const backupTools = require('./backup-tools');
+
+// 目录搜索默认限制
+const DIRECTORY_SEARCH_LIMITS = {
+  maxResults: 1000,          // 最大匹配数
+  maxBytes: 1024 * 1024,     // 返回内容的最大字节数 (1MB)
+  maxFileSize: 10 * 1024 * 1024 // 跳过超过该大小的文件 (10MB)
+};
+
+// 多行匹配的滑动窗口行数，单个匹配最多跨越该行数
+const MULTILINE_WINDOW = 1000;
 
 /**
  * 读取文件指定行范围
@@ -15,7 +29,7 @@ const config = require('../config');
  * @param {string} params.path 文件路径
  * @param {number} params.start 起始行(从1开始)
  * @param {number} params.end 结束行
- * @param {string} params.encoding 编码方式，默认utf-8
+ * @param {string} params.encoding 编码方式，默认utf-8，auto表示自动检测
  * @returns {Promise<Object>} 读取结果
  */
 async function readFileLines(params) {
@@ -65,8 +79,11 @@ async function readFileLines(params) {
       throw new Error(`文件大小(${stats.size}字节)超过允许的最大值(${config.security.operationSecurity.maxReadSize}字节)`);
     }
     
+    // 确定文件编码
+    const resolved = await encodingUtils.resolveEncoding(validPath, encoding);
+    
     // 获取总行数
-    const lineCount = await streamUtils.countFileLines(validPath);
+    const lineCount = await streamUtils.countFileLines(validPath, resolved.encoding);
     
     // 处理超出范围的情况
     if (start > lineCount) {
@@ -75,6 +92,7 @@ async function readFileLines(params) {
         lines: [], 
         range: { start, end },
         totalLines: lineCount,
+        encoding: resolved.detected ? resolved.encoding : undefined,
         message: `请求的起始行超出文件范围(共${lineCount}行)` 
       };
     }
@@ -85,12 +103,16 @@ async function readFileLines(params) {
     logger.info(`读取文件行: ${validPath}, 范围: ${start}-${actualEnd}, 总行数: ${lineCount}`);
     
     // 读取指定范围的行
-    const lines = await streamUtils.readFileLines(validPath, start, actualEnd, encoding);
+    const lines = await streamUtils.readFileLines(validPath, start, actualEnd, resolved.encoding, {
+      stripBom: resolved.bom
+    });
     
     return {
       lines,
       range: { start, end: actualEnd },
-      totalLines: lineCount
+      totalLines: lineCount,
+      // 自动检测时报告检测到的编码
+      encoding: resolved.detected ? resolved.encoding : undefined
     };
   } catch (error) {
     logger.error(`读取文件行失败: ${error.message}`, { path: filePath, start, end, error });
@@ -149,6 +171,295 @@ async function countFileLines(params) {
   }
 }
 
+/**
+ * 根据搜索模式创建正则表达式
+ * @param {string} pattern 搜索模式
+ * @param {Object} options 选项
+ * @param {boolean} options.regex 是否使用正则表达式
+ * @param {boolean} options.ignoreCase 是否忽略大小写
+ * @returns {RegExp} 正则表达式
+ */
+function createSearchRegex(pattern, options = {}) {
+  const { regex = false, ignoreCase = false } = options;
+  
+  if (regex) {
+    try {
+      return new RegExp(pattern, ignoreCase ? 'i' : '');
+    } catch (error) {
+      throw new Error(`无效的正则表达式: ${error.message}`);
+    }
+  }
+  
+  // 转义特殊字符，创建字面量匹配正则表达式
+  const escapedPattern = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(escapedPattern, ignoreCase ? 'i' : '');
+}
+
+/**
+ * 查找一行中的所有匹配位置
+ * @param {string} line 行内容
+ * @param {RegExp} globalRegex 带g标志的正则表达式
+ * @returns {Array<Object>} 匹配位置列表 {index, column, length}
+ */
+function findOccurrences(line, globalRegex) {
+  const occurrences = [];
+  globalRegex.lastIndex = 0;
+  
+  let match;
+  while ((match = globalRegex.exec(line)) !== null) {
+    occurrences.push({
+      index: match.index,
+      column: match.index + 1,
+      length: match[0].length
+    });
+    
+    // 避免空匹配导致死循环
+    if (match[0].length === 0) {
+      globalRegex.lastIndex++;
+    }
+  }
+  
+  return occurrences;
+}
+
+/**
+ * 创建带g标志的正则表达式副本
+ * @param {RegExp} searchRegex 正则表达式
+ * @param {string} extraFlags 额外的标志
+ * @returns {RegExp} 新的正则表达式
+ */
+function toGlobalRegex(searchRegex, extraFlags = '') {
+  const flags = new Set((searchRegex.flags + 'g' + extraFlags).split(''));
+  return new RegExp(searchRegex.source, Array.from(flags).join(''));
+}
+
+/**
+ * 逐行流式搜索文件
+ * 多行模式下在滑动窗口内匹配，单个匹配最多跨越 MULTILINE_WINDOW 行
+ * @param {string} filePath 已验证的文件路径
+ * @param {RegExp} searchRegex 搜索正则表达式
+ * @param {Object} options 选项
+ * @param {string} options.encoding 编码方式，默认utf-8
+ * @param {boolean} options.stripBom 是否去掉开头的BOM，默认false
+ * @param {number} options.contextBefore 匹配行之前的上下文行数，默认0
+ * @param {number} options.contextAfter 匹配行之后的上下文行数，默认0
+ * @param {number} options.maxMatches 最大匹配数，达到后停止读取，默认不限制
+ * @param {boolean} options.invertMatch 是否返回不匹配的行，默认false
+ * @param {boolean} options.multiline 是否允许匹配跨越多行，默认false
+ * @returns {Promise<Object>} {matches, totalLines, truncated}，截断时totalLines为已读取的行数
+ */
+function searchLines(filePath, searchRegex, options = {}) {
+  const {
+    encoding = 'utf8',
+    stripBom = false,
+    contextBefore = 0,
+    contextAfter = 0,
+    maxMatches = Infinity,
+    invertMatch = false,
+    multiline = false
+  } = options;
+  
+  if (invertMatch && multiline) {
+    return Promise.reject(new Error('反向匹配不支持多行模式'));
+  }
+  
+  const globalRegex = toGlobalRegex(searchRegex, multiline ? 'm' : '');
+  const matches = [];
+  const previousLines = [];
+  let pendingAfter = [];
+  let lineNumber = 0;
+  let truncated = false;
+  
+  // 多行模式的滑动窗口
+  let windowLines = [];
+  let windowStartLine = 1;
+  let consumedOffset = 0;
+  
+  const addMatch = (match) => {
+    if (contextAfter > 0) {
+      if (match.after.length < contextAfter) {
+        pendingAfter.push(match);
+      }
+    }
+    
+    matches.push(match);
+    
+    if (matches.length >= maxMatches) {
+      truncated = true;
+    }
+  };
+  
+  // 补充之前匹配的后续上下文
+  const feedPendingAfter = (line) => {
+    if (pendingAfter.length === 0) {
+      return;
+    }
+    
+    for (const match of pendingAfter) {
+      match.after.push(line);
+    }
+    pendingAfter = pendingAfter.filter(match => match.after.length < contextAfter);
+  };
+  
+  const rememberLine = (line) => {
+    if (contextBefore > 0) {
+      previousLines.push(line);
+      if (previousLines.length > contextBefore) {
+        previousLines.shift();
+      }
+    }
+  };
+  
+  const processLine = (line) => {
+    feedPendingAfter(line);
+    
+    if (!truncated) {
+      const occurrences = findOccurrences(line, globalRegex);
+      const isMatch = invertMatch ? occurrences.length === 0 : occurrences.length > 0;
+      
+      if (isMatch) {
+        const match = {
+          line: lineNumber,
+          content: line
+        };
+        
+        if (!invertMatch) {
+          match.index = occurrences[0].index;
+          match.occurrences = occurrences;
+        }
+        if (contextBefore > 0) {
+          match.before = previousLines.slice();
+        }
+        if (contextAfter > 0) {
+          match.after = [];
+        }
+        
+        addMatch(match);
+      }
+    }
+    
+    rememberLine(line);
+  };
+  
+  // 在窗口内执行多行匹配，final为false时只接受起始于前半窗口的匹配
+  const scanWindow = (final) => {
+    const text = windowLines.join('\n');
+    const lineStarts = [0];
+    for (let i = 0; i < windowLines.length - 1; i++) {
+      lineStarts.push(lineStarts[i] + windowLines[i].length + 1);
+    }
+    
+    const lineIndexAt = (offset) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return low;
+    };
+    
+    const limit = final ? windowLines.length : MULTILINE_WINDOW;
+    globalRegex.lastIndex = consumedOffset;
+    
+    let match;
+    while (!truncated && (match = globalRegex.exec(text)) !== null) {
+      const startIndex = lineIndexAt(match.index);
+      if (startIndex >= limit) {
+        break;
+      }
+      
+      const endOffset = match.index + match[0].length;
+      const endIndex = lineIndexAt(Math.max(match.index, endOffset - 1));
+      const result = {
+        line: windowStartLine + startIndex,
+        endLine: windowStartLine + endIndex,
+        content: windowLines.slice(startIndex, endIndex + 1).join('\n'),
+        index: match.index - lineStarts[startIndex],
+        column: match.index - lineStarts[startIndex] + 1,
+        length: match[0].length,
+        text: match[0]
+      };
+      
+      if (contextBefore > 0) {
+        const before = previousLines.concat(windowLines.slice(0, startIndex));
+        result.before = before.slice(Math.max(0, before.length - contextBefore));
+      }
+      if (contextAfter > 0) {
+        result.after = windowLines.slice(endIndex + 1, endIndex + 1 + contextAfter);
+      }
+      
+      addMatch(result);
+      consumedOffset = Math.max(endOffset, match.index + 1);
+      
+      if (match[0].length === 0) {
+        globalRegex.lastIndex++;
+      }
+    }
+    
+    if (!final) {
+      // 移出前半窗口，保留上下文所需的行
+      const removed = windowLines.slice(0, MULTILINE_WINDOW);
+      const removedLength = lineStarts[MULTILINE_WINDOW];
+      removed.forEach(rememberLine);
+      windowLines = windowLines.slice(MULTILINE_WINDOW);
+      windowStartLine += MULTILINE_WINDOW;
+      consumedOffset = Math.max(0, consumedOffset - removedLength);
+    }
+  };
+  
+  return new Promise((resolve, reject) => {
+    const readStream = encodingUtils.createTextReadStream(filePath, encoding, { stripBom });
+    const reader = require('readline').createInterface({
+      input: readStream,
+      crlfDelay: Infinity
+    });
+    
+    reader.on('line', (line) => {
+      if (truncated && pendingAfter.length === 0) {
+        return;
+      }
+      
+      lineNumber++;
+      
+      if (multiline) {
+        feedPendingAfter(line);
+        windowLines.push(line);
+        if (!truncated && windowLines.length >= MULTILINE_WINDOW * 2) {
+          scanWindow(false);
+        }
+      } else {
+        processLine(line);
+      }
+      
+      // 达到最大匹配数且上下文已补齐，停止读取
+      if (truncated && pendingAfter.length === 0) {
+        reader.close();
+        readStream.destroy();
+      }
+    });
+    
+    reader.on('close', () => {
+      if (multiline && !truncated && windowLines.length > 0) {
+        scanWindow(true);
+      }
+      resolve({ matches, totalLines: lineNumber, truncated });
+    });
+    
+    reader.on('error', (error) => {
+      reject(error);
+    });
+    
+    readStream.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
 /**
  * 搜索文件内容
  * @param {Object} params 参数
@@ -156,7 +467,12 @@ async function countFileLines(params) {
  * @param {string} params.pattern 搜索模式
  * @param {boolean} params.regex 是否使用正则表达式，默认false
  * @param {boolean} params.ignoreCase 是否忽略大小写，默认false
- * @param {string} params.encoding 编码方式，默认utf-8
+ * @param {number} params.contextBefore 匹配行之前的上下文行数，默认0
+ * @param {number} params.contextAfter 匹配行之后的上下文行数，默认0
+ * @param {number} params.maxMatches 最大匹配数，默认不限制
+ * @param {boolean} params.invertMatch 是否返回不匹配的行，默认false
+ * @param {boolean} params.multiline 是否允许匹配跨越多行，默认false
+ * @param {string} params.encoding 编码方式，默认utf-8，auto表示自动检测
  * @returns {Promise<Object>} 搜索结果
  */
 async function searchFileContent(params) {
@@ -165,6 +481,11 @@ async function searchFileContent(params) {
     pattern, 
     regex = false, 
     ignoreCase = false, 
+    contextBefore = 0, 
+    contextAfter = 0, 
+    maxMatches, 
+    invertMatch = false, 
+    multiline = false, 
     encoding = 'utf8' 
   } = params;
   
@@ -204,52 +525,22 @@ async function searchFileContent(params) {
     }
     
     // 编译正则表达式
-    let searchRegex;
-    if (regex) {
-      try {
-        searchRegex = new RegExp(pattern, ignoreCase ? 'i' : '');
-      } catch (error) {
-        throw new Error(`无效的正则表达式: ${error.message}`);
-      }
-    } else {
-      // 转义特殊字符，创建字面量匹配正则表达式
-      const escapedPattern = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      searchRegex = new RegExp(escapedPattern, ignoreCase ? 'i' : '');
-    }
+    const searchRegex = createSearchRegex(pattern, { regex, ignoreCase });
     
     logger.info(`搜索文件内容: ${validPath}, 模式: ${pattern}`);
     
+    // 确定文件编码
+    const resolved = await encodingUtils.resolveEncoding(validPath, encoding);
+    
     // 读取文件内容并搜索
-    const matches = [];
-    let lineNumber = 0;
-    
-    await new Promise((resolve, reject) => {
-      const readStream = fs.createReadStream(validPath, { encoding });
-      const reader = require('readline').createInterface({
-        input: readStream,
-        crlfDelay: Infinity
-      });
-      
-      reader.on('line', (line) => {
-        lineNumber++;
-        
-        // 搜索当前行
-        if (searchRegex.test(line)) {
-          matches.push({
-            line: lineNumber,
-            content: line,
-            index: line.search(searchRegex)
-          });
-        }
-      });
-      
-      reader.on('close', () => {
-        resolve();
-      });
-      
-      reader.on('error', (error) => {
-        reject(error);
-      });
+    const { matches, totalLines, truncated } = await searchLines(validPath, searchRegex, {
+      encoding: resolved.encoding,
+      stripBom: resolved.bom,
+      contextBefore,
+      contextAfter,
+      maxMatches: maxMatches || Infinity,
+      invertMatch,
+      multiline
     });
     
     return {
@@ -257,7 +548,10 @@ async function searchFileContent(params) {
       pattern: pattern,
       matches,
       matchCount: matches.length,
-      totalLines: lineNumber
+      totalLines,
+      truncated,
+      // 自动检测时报告检测到的编码
+      encoding: resolved.detected ? resolved.encoding : undefined
     };
   } catch (error) {
     logger.error(`搜索文件内容失败: ${error.message}`, { path: filePath, pattern, error });
@@ -265,8 +559,556 @@ async function searchFileContent(params) {
   }
 }
 
+/**
+ * 检查文件是否为二进制文件 (前8KB中包含NUL字节)
+ * @param {string} filePath 文件路径
+ * @returns {Promise<boolean>} 是否为二进制文件
+ */
+async function isBinaryFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  
+  try {
+    const buffer = Buffer.alloc(8192);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 读取目录下的.gitignore规则
+ * @param {string} dirPath 目录路径
+ * @returns {Promise<Object|null>} ignore实例，没有.gitignore时返回null
+ */
+async function loadGitignore(dirPath) {
+  try {
+    const content = await fs.promises.readFile(path.join(dirPath, '.gitignore'), 'utf8');
+    return ignore().add(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 检查路径是否被.gitignore规则忽略
+ * @param {Array<Object>} rules 从根目录到当前目录的规则列表 {dir, ig}
+ * @param {string} itemPath 文件或目录路径
+ * @param {boolean} isDirectory 是否为目录
+ * @returns {boolean} 是否被忽略
+ */
+function isGitignored(rules, itemPath, isDirectory) {
+  return rules.some(({ dir, ig }) => {
+    const relativePath = pathUtils.toPosixPath(path.relative(dir, itemPath));
+    return ig.ignores(isDirectory ? `${relativePath}/` : relativePath);
+  });
+}
+
+/**
+ * 递归遍历目录中待搜索的文件
+ * 不跟随符号链接目录，始终跳过.git目录
+ * @param {string} rootPath 根目录
+ * @param {Object} options 选项
+ * @param {Function|null} options.include 文件包含规则
+ * @param {Function|null} options.exclude 文件和目录排除规则
+ * @param {boolean} options.respectGitignore 是否遵守.gitignore
+ * @returns {AsyncGenerator<string>} 文件路径
+ */
+async function* walkSearchFiles(rootPath, options) {
+  const { include, exclude, respectGitignore } = options;
+  const stack = [{ dir: rootPath, rules: [] }];
+  
+  while (stack.length > 0) {
+    const { dir, rules: parentRules } = stack.pop();
+    
+    let rules = parentRules;
+    if (respectGitignore) {
+      const ig = await loadGitignore(dir);
+      if (ig) {
+        rules = [...parentRules, { dir, ig }];
+      }
+    }
+    
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      logger.debug(`无法读取目录: ${dir}`, { error: error.message });
+      continue;
+    }
+    
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    const subDirs = [];
+    
+    for (const entry of entries) {
+      const itemPath = path.join(dir, entry.name);
+      const relativePath = path.relative(rootPath, itemPath);
+      const isDirectory = entry.isDirectory();
+      
+      if (isDirectory && entry.name === '.git') {
+        continue;
+      }
+      if (exclude && exclude(relativePath)) {
+        continue;
+      }
+      if (rules.length > 0 && isGitignored(rules, itemPath, isDirectory)) {
+        continue;
+      }
+      
+      if (isDirectory) {
+        subDirs.push({ dir: itemPath, rules });
+      } else if (entry.isFile() || entry.isSymbolicLink()) {
+        if (!include || include(relativePath)) {
+          yield itemPath;
+        }
+      }
+    }
+    
+    // 逆序入栈，保证按名称顺序遍历
+    for (let i = subDirs.length - 1; i >= 0; i--) {
+      stack.push(subDirs[i]);
+    }
+  }
+}
+
+/**
+ * 计算匹配结果占用的字节数
+ * @param {Object} match 匹配结果
+ * @returns {number} 字节数
+ */
+function getMatchSize(match) {
+  const lines = [match.content, ...(match.before || []), ...(match.after || [])];
+  return lines.reduce((total, line) => total + Buffer.byteLength(line), 0);
+}
+
+/**
+ * 在目录中递归搜索文件内容
+ * @param {Object} params 参数
+ * @param {string} params.path 目录路径
+ * @param {string} params.pattern 搜索模式
+ * @param {boolean} params.regex 是否使用正则表达式，默认false
+ * @param {boolean} params.ignoreCase 是否忽略大小写，默认false
+ * @param {string|Array<string>} params.include 包含的文件glob模式，如 *.js
+ * @param {string|Array<string>} params.exclude 排除的文件或目录glob模式，如 node_modules
+ * @param {boolean} params.respectGitignore 是否遵守.gitignore规则，默认true
+ * @param {number} params.contextBefore 匹配行之前的上下文行数，默认0
+ * @param {number} params.contextAfter 匹配行之后的上下文行数，默认0
+ * @param {number} params.maxResults 最大匹配数，默认1000
+ * @param {number} params.maxBytes 返回内容的最大字节数，默认1MB
+ * @param {string} params.encoding 编码方式，默认utf-8，auto表示逐个文件自动检测
+ * @returns {Promise<Object>} 搜索结果
+ */
+async function searchDirectory(params) {
+  const { 
+    path: dirPath, 
+    pattern, 
+    regex = false, 
+    ignoreCase = false, 
+    include, 
+    exclude, 
+    respectGitignore = true, 
+    contextBefore = 0, 
+    contextAfter = 0, 
+    maxResults = DIRECTORY_SEARCH_LIMITS.maxResults, 
+    maxBytes = DIRECTORY_SEARCH_LIMITS.maxBytes, 
+    encoding = 'utf8' 
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('search_directory', params)) {
+    throw new Error('没有权限搜索目录');
+  }
+  
+  try {
+    // 验证参数
+    if (!dirPath) {
+      throw new Error('缺少目录路径参数');
+    }
+    
+    if (!pattern) {
+      throw new Error('缺少搜索模式参数');
+    }
+    
+    // 验证路径
+    const validPath = pathUtils.validatePath(dirPath);
+    
+    // 检查目录是否存在
+    const exists = await pathUtils.pathExists(validPath);
+    if (!exists) {
+      throw new Error(`目录不存在: ${validPath}`);
+    }
+    
+    const stats = await fs.promises.stat(validPath);
+    if (!stats.isDirectory()) {
+      throw new Error(`路径不是目录: ${validPath}`);
+    }
+    
+    const searchRegex = createSearchRegex(pattern, { regex, ignoreCase });
+    const maxFileSize = Math.min(
+      DIRECTORY_SEARCH_LIMITS.maxFileSize,
+      config.security.operationSecurity.maxReadSize
+    );
+    
+    logger.info(`搜索目录内容: ${validPath}, 模式: ${pattern}`);
+    
+    const results = [];
+    let matchCount = 0;
+    let totalBytes = 0;
+    let filesSearched = 0;
+    let filesSkipped = 0;
+    let truncated = false;
+    let truncatedReason = null;
+    
+    const files = walkSearchFiles(validPath, {
+      include: pathUtils.createGlobMatcher(include),
+      exclude: pathUtils.createGlobMatcher(exclude),
+      respectGitignore
+    });
+    
+    for await (const filePath of files) {
+      // 检查路径安全性 (黑名单、根目录、符号链接指向)
+      if (!securityUtils.isPathSafe(filePath).isValid) {
+        filesSkipped++;
+        continue;
+      }
+      
+      let fileStats;
+      try {
+        fileStats = await fs.promises.stat(filePath);
+      } catch (error) {
+        filesSkipped++;
+        continue;
+      }
+      
+      if (!fileStats.isFile() || fileStats.size > maxFileSize || await isBinaryFile(filePath)) {
+        filesSkipped++;
+        continue;
+      }
+      
+      filesSearched++;
+      
+      const resolved = await encodingUtils.resolveEncoding(filePath, encoding);
+      const { matches } = await searchLines(filePath, searchRegex, {
+        encoding: resolved.encoding,
+        stripBom: resolved.bom,
+        contextBefore,
+        contextAfter,
+        maxMatches: maxResults - matchCount
+      });
+      
+      if (matches.length === 0) {
+        continue;
+      }
+      
+      // 按字节数限制截断结果
+      const accepted = [];
+      for (const match of matches) {
+        const size = getMatchSize(match);
+        if (totalBytes + size > maxBytes) {
+          truncated = true;
+          truncatedReason = 'maxBytes';
+          break;
+        }
+        totalBytes += size;
+        accepted.push(match);
+      }
+      
+      if (accepted.length > 0) {
+        results.push({
+          path: filePath,
+          relativePath: pathUtils.toPosixPath(path.relative(validPath, filePath)),
+          encoding: resolved.detected ? resolved.encoding : undefined,
+          matches: accepted
+        });
+        matchCount += accepted.length;
+      }
+      
+      if (!truncated && matchCount >= maxResults) {
+        truncated = true;
+        truncatedReason = 'maxResults';
+      }
+      
+      if (truncated) {
+        break;
+      }
+    }
+    
+    return {
+      path: validPath,
+      pattern,
+      results,
+      fileCount: results.length,
+      matchCount,
+      filesSearched,
+      filesSkipped,
+      truncated,
+      truncatedReason
+    };
+  } catch (error) {
+    logger.error(`搜索目录内容失败: ${error.message}`, { path: dirPath, pattern, error });
+    throw error;
+  }
+}
+
+/**
+ * 检查待修改的文件
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object>} {validPath, lineCount}
+ */
+async function prepareLineMutation(filePath) {
+  if (!filePath) {
+    throw new Error('缺少文件路径参数');
+  }
+  
+  // 验证路径
+  const validPath = pathUtils.validatePath(filePath);
+  
+  // 检查文件是否存在
+  const exists = await pathUtils.pathExists(validPath);
+  if (!exists) {
+    throw new Error(`文件不存在: ${validPath}`);
+  }
+  
+  // 检查是否是文件
+  const stats = await fs.promises.stat(validPath);
+  if (!stats.isFile()) {
+    throw new Error(`路径不是文件: ${validPath}`);
+  }
+  
+  // 获取总行数
+  const lineCount = await streamUtils.countFileLines(validPath);
+  
+  return { validPath, lineCount };
+}
+
+/**
+ * 将内容拆分为行
+ * @param {string} content 内容
+ * @returns {Array<string>} 行列表
+ */
+function splitContentLines(content) {
+  return String(content).split(/\r?\n/);
+}
+
+/**
+ * 流式修改文件行，修改前备份原内容，可通过restore_backup或undo_last_operation恢复
+ * @param {string} validPath 已验证的文件路径
+ * @param {number} start 起始行(从1开始)
+ * @param {number} deleteCount 要删除的行数
+ * @param {Array<string>} lines 要插入的行
+ * @param {string} encoding 编码方式
+ * @returns {Promise<Object>} spliceFileLines的结果，附带backupId
+ */
+async function spliceLinesWithBackup(validPath, start, deleteCount, lines, encoding) {
+  const backup = await backupTools.recordOperation(validPath, { operation: 'write' });
+  try {
+    const result = await streamUtils.spliceFileLines(validPath, start, deleteCount, lines, encoding);
+    await backupTools.completeOperation(backup);
+    return { ...result, backupId: backup?.id };
+  } catch (error) {
+    await backupTools.discardBackup(backup);
+    throw error;
+  }
+}
+
+/**
+ * 替换文件指定行范围的内容
+ * 使用流式处理，适用于超过流处理阈值的大文件
+ * @param {Object} params 参数
+ * @param {string} params.path 文件路径
+ * @param {number} params.start 起始行(从1开始)
+ * @param {number} params.end 结束行，默认等于起始行
+ * @param {string} params.content 新内容，可包含多行
+ * @param {string} params.encoding 编码方式，默认utf-8，支持gbk等，为auto时沿用原文件的编码和BOM
+ * @returns {Promise<Object>} 写入结果
+ */
+async function writeFileLines(params) {
+  const { 
+    path: filePath, 
+    start, 
+    end = start, 
+    content, 
+    encoding = 'utf8' 
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('write_lines', params)) {
+    throw new Error('没有权限写入文件行');
+  }
+  
+  try {
+    // 验证参数
+    if (typeof start !== 'number' || start <= 0) {
+      throw new Error('起始行必须是大于0的整数');
+    }
+    
+    if (typeof end !== 'number' || end < start) {
+      throw new Error('结束行必须大于或等于起始行');
+    }
+    
+    if (typeof content !== 'string') {
+      throw new Error('缺少内容参数');
+    }
+    
+    const { validPath, lineCount } = await prepareLineMutation(filePath);
+    
+    if (start > lineCount) {
+      throw new Error(`起始行 ${start} 超出文件范围(共${lineCount}行)`);
+    }
+    
+    // 调整结束行为文件实际行数
+    const actualEnd = Math.min(end, lineCount);
+    const lines = splitContentLines(content);
+    
+    logger.info(`写入文件行: ${validPath}, 范围: ${start}-${actualEnd}, 新行数: ${lines.length}`);
+    
+    const result = await spliceLinesWithBackup(validPath, start, actualEnd - start + 1, lines, encoding);
+    
+    return {
+      path: validPath,
+      range: { start, end: actualEnd },
+      replacedLines: result.deletedLines,
+      writtenLines: result.insertedLines,
+      totalLines: result.newTotalLines,
+      backupId: result.backupId
+    };
+  } catch (error) {
+    logger.error(`写入文件行失败: ${error.message}`, { path: filePath, start, end, error });
+    throw error;
+  }
+}
+
+/**
+ * 在文件指定行之前或之后插入内容
+ * 使用流式处理，适用于超过流处理阈值的大文件
+ * @param {Object} params 参数
+ * @param {string} params.path 文件路径
+ * @param {number} params.line 参考行(从1开始)，总行数+1表示追加到末尾
+ * @param {string} params.content 插入的内容，可包含多行
+ * @param {string} params.position 插入位置，before或after，默认before
+ * @param {string} params.encoding 编码方式，默认utf-8，支持gbk等，为auto时沿用原文件的编码和BOM
+ * @returns {Promise<Object>} 插入结果
+ */
+async function insertFileLine(params) {
+  const { 
+    path: filePath, 
+    line, 
+    content, 
+    position = 'before', 
+    encoding = 'utf8' 
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('insert_line', params)) {
+    throw new Error('没有权限插入文件行');
+  }
+  
+  try {
+    // 验证参数
+    if (typeof line !== 'number' || line <= 0) {
+      throw new Error('行号必须是大于0的整数');
+    }
+    
+    if (position !== 'before' && position !== 'after') {
+      throw new Error(`无效的插入位置: ${position}，只支持before或after`);
+    }
+    
+    if (typeof content !== 'string') {
+      throw new Error('缺少内容参数');
+    }
+    
+    const { validPath, lineCount } = await prepareLineMutation(filePath);
+    
+    // 计算插入后新内容所在的起始行
+    const insertAt = position === 'after' ? line + 1 : line;
+    if (insertAt > lineCount + 1) {
+      throw new Error(`行号 ${line} 超出文件范围(共${lineCount}行)`);
+    }
+    
+    const lines = splitContentLines(content);
+    
+    logger.info(`插入文件行: ${validPath}, 位置: 第${insertAt}行, 行数: ${lines.length}`);
+    
+    const result = await spliceLinesWithBackup(validPath, insertAt, 0, lines, encoding);
+    
+    return {
+      path: validPath,
+      insertedAt: insertAt,
+      insertedLines: result.insertedLines,
+      totalLines: result.newTotalLines,
+      backupId: result.backupId
+    };
+  } catch (error) {
+    logger.error(`插入文件行失败: ${error.message}`, { path: filePath, line, error });
+    throw error;
+  }
+}
+
+/**
+ * 删除文件指定行范围
+ * 使用流式处理，适用于超过流处理阈值的大文件
+ * @param {Object} params 参数
+ * @param {string} params.path 文件路径
+ * @param {number} params.start 起始行(从1开始)
+ * @param {number} params.end 结束行，默认等于起始行
+ * @param {string} params.encoding 编码方式，默认utf-8，支持gbk等，为auto时沿用原文件的编码和BOM
+ * @returns {Promise<Object>} 删除结果
+ */
+async function deleteFileLines(params) {
+  const { 
+    path: filePath, 
+    start, 
+    end = start, 
+    encoding = 'utf8' 
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('delete_lines', params)) {
+    throw new Error('没有权限删除文件行');
+  }
+  
+  try {
+    // 验证参数
+    if (typeof start !== 'number' || start <= 0) {
+      throw new Error('起始行必须是大于0的整数');
+    }
+    
+    if (typeof end !== 'number' || end < start) {
+      throw new Error('结束行必须大于或等于起始行');
+    }
+    
+    const { validPath, lineCount } = await prepareLineMutation(filePath);
+    
+    if (start > lineCount) {
+      throw new Error(`起始行 ${start} 超出文件范围(共${lineCount}行)`);
+    }
+    
+    // 调整结束行为文件实际行数
+    const actualEnd = Math.min(end, lineCount);
+    
+    logger.info(`删除文件行: ${validPath}, 范围: ${start}-${actualEnd}`);
+    
+    const result = await spliceLinesWithBackup(validPath, start, actualEnd - start + 1, [], encoding);
+    
+    return {
+      path: validPath,
+      range: { start, end: actualEnd },
+      deletedLines: result.deletedLines,
+      totalLines: result.newTotalLines,
+      backupId: result.backupId
+    };
+  } catch (error) {
+    logger.error(`删除文件行失败: ${error.message}`, { path: filePath, start, end, error });
+    throw error;
+  }
+}
+
 module.exports = {
   readFileLines,
   countFileLines,
-  searchFileContent
+  searchFileContent,
+  searchDirectory,
+  writeFileLines,
+  insertFileLine,
+  deleteFileLines
 }; 
\ No newline at end of file
@@ -1,21 +1,115 @@
 /**
  * Office文件操作工具模块
- * 实现Word和Excel文件的内容读取
+ * 实现Word、Excel、OpenDocument、PowerPoint和PDF文件的内容读取，以及Word和Excel文件的生成
  */
 const fs = require('fs');
 const path = require('path');
 const mammoth = require('mammoth');
 const ExcelJS = require('exceljs');
+const { parseDocument } = require('htmlparser2');
 const logger = require('../utils/logging');
+const docxBuilder = require('../utils/docx-builder');
+const pptxReader = require('../utils/pptx-reader');
+const pdfReader = require('../utils/pdf-reader');
+const odfReader = require('../utils/odf-reader');
+const legacyReader = require('../utils/legacy-office-reader');
+const excelStream = require('../utils/excel-stream');
 const pathUtils = require('../utils/path-utils');
 const securityUtils = require('../config/security');
 const config = require('../config');
+const backupTools = require('./backup-tools');
+
+/**
+ * 创建不支持的文件格式错误
+ * @param {string} filePath 文件路径
+ * @param {string|null} container 识别出的容器格式
+ * @param {string} reason 原因
+ * @returns {Error} 带有UNSUPPORTED_FORMAT错误码的错误
+ */
+function createUnsupportedFormatError(filePath, container, reason) {
+  const error = new Error(`不支持的文件格式: ${path.basename(filePath)}，${reason}`);
+  error.code = 'UNSUPPORTED_FORMAT';
+  error.details = {
+    path: filePath,
+    extension: path.extname(filePath).toLowerCase(),
+    detectedFormat: container || 'unknown'
+  };
+  return error;
+}
+
+/**
+ * 将表格数据载入ExcelJS工作簿
+ * @param {ExcelJS.Workbook} workbook 工作簿
+ * @param {Object} spreadsheet 表格数据 { sheets: [{ name, rows }], properties }
+ */
+function loadSpreadsheet(workbook, spreadsheet) {
+  spreadsheet.sheets.forEach(({ name, rows }) => {
+    const worksheet = workbook.addWorksheet(name);
+    rows.forEach((values, index) => {
+      if (values.length > 0) {
+        worksheet.getRow(index + 1).values = values;
+      }
+    });
+  });
+  
+  const { properties } = spreadsheet;
+  workbook.creator = properties.creator;
+  workbook.lastModifiedBy = properties.lastModifiedBy;
+  workbook.created = properties.created ? new Date(properties.created) : undefined;
+  workbook.modified = properties.modified ? new Date(properties.modified) : undefined;
+}
+
+// 纯文本中单独成段的HTML元素
+const TEXT_BLOCK_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li']);
+
+// 图片内容类型对应的文件扩展名(未列出的取子类型)
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg',
+  'image/x-emf': 'emf',
+  'image/x-wmf': 'wmf'
+};
+
+/**
+ * 将mammoth生成的HTML转换为纯文本
+ * 段落之间以空行分隔(与mammoth.extractRawText一致)，图片替换为[图片: 文件名]
+ * @param {string} html HTML内容
+ * @returns {string} 纯文本
+ */
+function htmlToText(html) {
+  const render = (nodes) => nodes.map(node => {
+    if (node.type === 'text') {
+      return node.data;
+    }
+    if (node.type !== 'tag') {
+      return '';
+    }
+    if (node.name === 'img') {
+      return `[图片: ${node.attribs.src}]`;
+    }
+    if (node.name === 'br') {
+      return '\n';
+    }
+    
+    const inner = render(node.children || []);
+    if (node.name === 'ul' || node.name === 'ol') {
+      return `\n\n${inner}`;
+    }
+    return TEXT_BLOCK_TAGS.has(node.name) ? `${inner}\n\n` : inner;
+  }).join('');
+  
+  return render(parseDocument(html).children)
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+/, '');
+}
 
 /**
  * 读取Word文档内容并转换为文本
+ * 同时支持OpenDocument文本文档(.odt)
  * @param {Object} params 参数
  * @param {string} params.path Word文件路径
- * @param {boolean} params.extractImages 是否提取图片信息，默认false
+ * @param {boolean} params.extractImages 是否提取.docx中的图片，默认false
+ * @param {string} params.imageOutputDir 图片输出目录，未指定时图片以base64数据返回
  * @param {boolean} params.includeStyles 是否包含样式信息，默认false
  * @param {string} params.outputFormat 输出格式，支持'text'和'html'，默认'text'
  * @param {Object} params.pagination 分页参数，{ pageSize: 每页字符数, pageNum: 页码(从1开始) }
@@ -27,6 +121,7 @@ async function readWordDocument(params) {
   const { 
     path: filePath, 
     extractImages = false, 
+    imageOutputDir,
     includeStyles = false,
     outputFormat = 'text',
     pagination,
@@ -59,8 +154,8 @@ async function readWordDocument(params) {
     
     // 检查文件类型
     const ext = path.extname(validPath).toLowerCase();
-    if (ext !== '.docx' && ext !== '.doc') {
-      throw new Error(`不支持的文件类型: ${ext}，仅支持.doc和.docx格式`);
+    if (ext !== '.docx' && ext !== '.doc' && ext !== '.odt') {
+      throw new Error(`不支持的文件类型: ${ext}，仅支持.doc、.docx和.odt格式`);
     }
     
     // 检查文件大小
@@ -71,6 +166,12 @@ async function readWordDocument(params) {
     // 读取Word文档内容
     logger.info(`读取Word文档: ${validPath}，格式: ${outputFormat}`);
     
+    // 根据文件头识别实际格式，扩展名可能与内容不符
+    const container = await legacyReader.detectContainer(validPath);
+    if (!container) {
+      throw createUnsupportedFormatError(validPath, container, '文件既不是OLE2格式(.doc)也不是ZIP格式(.docx/.odt)');
+    }
+    
     // 选择输出格式
     let result;
     const options = { 
@@ -78,11 +179,50 @@ async function readWordDocument(params) {
       transformDocument: includeStyles ? undefined : mammoth.transforms.removeEmptyParagraphs
     };
     
-    // 根据不同输出格式处理
-    if (outputFormat === 'html') {
-      result = await mammoth.convertToHtml(options);
-    } else {
-      result = await mammoth.extractRawText(options);
+    // 提取图片时，正文中的图片引用提取出的文件名
+    const images = [];
+    const canExtractImages = extractImages && container === 'zip' && ext !== '.odt';
+    const conversionOptions = {};
+    if (canExtractImages) {
+      const baseName = path.basename(validPath, path.extname(validPath));
+      conversionOptions.convertImage = mammoth.images.imgElement(async (image) => {
+        const imageExt = IMAGE_EXTENSIONS[image.contentType] || (image.contentType.split('/')[1] || 'bin');
+        const entry = {
+          name: `${baseName}_image_${images.length + 1}.${imageExt}`,
+          contentType: image.contentType,
+          altText: image.altText || ''
+        };
+        images.push(entry);
+        entry.buffer = await image.read();
+        return { src: entry.name };
+      });
+    } else if (extractImages) {
+      logger.warn(`仅支持从.docx文档提取图片: ${validPath}`);
+    }
+    
+    // 根据不同格式和输出格式处理
+    try {
+      if (canExtractImages) {
+        // 纯文本提取不包含图片，因此先转换为HTML再生成文本
+        result = await mammoth.convertToHtml(options, conversionOptions);
+        if (outputFormat !== 'html') {
+          result.value = htmlToText(result.value);
+        }
+      } else if (container === 'ole2' || ext === '.odt') {
+        const document = container === 'ole2'
+          ? await legacyReader.readWordDocument(validPath)
+          : await odfReader.readTextDocument(validPath);
+        result = {
+          value: outputFormat === 'html' ? document.html : document.text,
+          messages: []
+        };
+      } else if (outputFormat === 'html') {
+        result = await mammoth.convertToHtml(options);
+      } else {
+        result = await mammoth.extractRawText(options);
+      }
+    } catch (parseError) {
+      throw createUnsupportedFormatError(validPath, container, `无法解析文档内容: ${parseError.message}`);
     }
     
     // 处理文档内容
@@ -138,27 +278,34 @@ async function readWordDocument(params) {
       paginatedContent = content.substring(startPos, endPos);
     }
     
-    // 处理图片提取
-    let images = [];
-    if (extractImages) {
-      try {
-        const imgResults = await mammoth.images.extractAll({ path: validPath });
-        images = await Promise.all(imgResults.map(async (img, index) => {
-          const imgExt = img.contentType.split('/')[1] || 'png';
-          const imgName = `image_${index + 1}.${imgExt}`;
-          const imgDataBase64 = img.buffer.toString('base64');
-          
-          return {
-            name: imgName,
-            contentType: img.contentType,
-            size: img.buffer.length,
-            dataPreview: imgDataBase64.substring(0, 100) + '...',
-            altText: img.altText || ''
-          };
-        }));
-      } catch (imgError) {
-        logger.warn(`提取文档图片失败: ${imgError.message}`, { path: validPath });
+    // 保存提取的图片，未指定输出目录时以base64数据返回
+    let outputDir = null;
+    if (canExtractImages && imageOutputDir && images.length > 0) {
+      if (!securityUtils.validateToolCall('write_file', { path: imageOutputDir })) {
+        throw new Error('没有权限写入图片输出目录');
+      }
+      outputDir = pathUtils.validatePath(imageOutputDir);
+      await pathUtils.ensureDir(outputDir);
+    }
+    const imageResults = [];
+    for (const image of images) {
+      const imageResult = {
+        name: image.name,
+        contentType: image.contentType,
+        size: image.buffer.length,
+        altText: image.altText
+      };
+      
+      if (outputDir) {
+        if (image.buffer.length > config.security.operationSecurity.maxWriteSize) {
+          throw new Error(`图片${image.name}的大小(${image.buffer.length}字节)超过允许的最大值(${config.security.operationSecurity.maxWriteSize}字节)`);
+        }
+        imageResult.path = path.join(outputDir, image.name);
+        await fs.promises.writeFile(imageResult.path, image.buffer);
+      } else {
+        imageResult.data = image.buffer.toString('base64');
       }
+      imageResults.push(imageResult);
     }
     
     // 提取文档元数据
@@ -186,7 +333,8 @@ async function readWordDocument(params) {
       content: rangedContent || paginatedContent || content,
       format: outputFormat,
       metadata,
-      images: extractImages ? images : undefined,
+      images: extractImages ? imageResults : undefined,
+      imageOutputDir: outputDir || undefined,
       messages: result.messages,
       // 分页信息
       pagination: pagination ? {
@@ -212,6 +360,7 @@ async function readWordDocument(params) {
 
 /**
  * 读取Excel文件内容
+ * 同时支持OpenDocument电子表格(.ods)
  * @param {Object} params 参数
  * @param {string} params.path Excel文件路径
  * @param {string|number} params.sheet 工作表名称或索引，默认读取第一个工作表
@@ -219,6 +368,11 @@ async function readWordDocument(params) {
  * @param {Object} params.range 读取范围，格式为{startRow, endRow, startCol, endCol}
  * @param {boolean} params.includeFormulas 是否包含公式，默认false
  * @param {boolean} params.headerRow 是否将第一行作为表头，默认false
+ * @param {boolean} params.streaming 是否流式分页读取(仅.xlsx)，默认false
+ * @param {number} params.offset 流式读取时跳过的数据行数，默认0
+ * @param {number} params.limit 流式读取时每页的最大行数，默认1000
+ * @param {string} params.cursor 上一页返回的nextCursor，指定时自动启用流式读取
+ * @param {boolean} params.sheetsOnly 只返回工作表名称、区域和行数，不读取单元格，默认false
  * @returns {Promise<Object>} Excel内容结果
  */
 async function readExcelFile(params) {
@@ -228,7 +382,12 @@ async function readExcelFile(params) {
     outputFormat = 'array',
     range,
     includeFormulas = false,
-    headerRow = false
+    headerRow = false,
+    streaming = false,
+    offset,
+    limit,
+    cursor,
+    sheetsOnly = false
   } = params;
   
   // 检查权限
@@ -256,8 +415,42 @@ async function readExcelFile(params) {
     
     // 检查文件类型
     const ext = path.extname(validPath).toLowerCase();
-    if (ext !== '.xlsx' && ext !== '.xls' && ext !== '.csv') {
-      throw new Error(`不支持的文件类型: ${ext}，仅支持.xlsx、.xls和.csv格式`);
+    if (ext !== '.xlsx' && ext !== '.xls' && ext !== '.csv' && ext !== '.ods') {
+      throw new Error(`不支持的文件类型: ${ext}，仅支持.xlsx、.xls、.csv和.ods格式`);
+    }
+    
+    // 根据文件头识别实际格式，扩展名可能与内容不符
+    const container = ext === '.csv' ? 'csv' : await legacyReader.detectContainer(validPath);
+    if (!container) {
+      throw createUnsupportedFormatError(validPath, container, '文件不是ZIP格式(.xlsx/.ods)');
+    }
+    if (container === 'ole2') {
+      throw createUnsupportedFormatError(validPath, container, '不支持旧版二进制.xls工作簿，请另存为.xlsx后读取');
+    }
+    const isXlsx = container === 'zip' && ext !== '.ods';
+    
+    const fileMetadata = {
+      fileName: path.basename(validPath),
+      fileSize: stats.size,
+      fileType: ext,
+      lastModified: stats.mtime
+    };
+    
+    // 流式分页读取，不加载整个工作簿，因此不受maxReadSize限制
+    if (streaming || cursor) {
+      if (!isXlsx) {
+        throw new Error(`流式读取仅支持.xlsx格式: ${validPath}`);
+      }
+      return await readExcelPage(validPath, stats, {
+        sheet,
+        outputFormat,
+        includeFormulas,
+        headerRow,
+        offset,
+        limit,
+        cursor,
+        metadata: fileMetadata
+      });
     }
     
     // 检查文件大小
@@ -265,6 +458,18 @@ async function readExcelFile(params) {
       throw new Error(`文件大小(${stats.size}字节)超过允许的最大值(${config.security.operationSecurity.maxReadSize}字节)`);
     }
     
+    // .xlsx文件直接读取工作表区域信息，不解析单元格
+    if (sheetsOnly && isXlsx) {
+      const sheets = await excelStream.readSheetInfo(validPath);
+      return {
+        success: true,
+        path: validPath,
+        sheets,
+        availableSheets: sheets.map(item => item.name),
+        metadata: { ...fileMetadata, sheetCount: sheets.length }
+      };
+    }
+    
     // 读取Excel文件内容
     logger.info(`读取Excel文件: ${validPath}, 格式: ${outputFormat}`);
     const workbook = new ExcelJS.Workbook();
@@ -273,12 +478,40 @@ async function readExcelFile(params) {
     if (ext === '.csv') {
       await workbook.csv.readFile(validPath);
     } else {
-      await workbook.xlsx.readFile(validPath);
+      try {
+        if (ext === '.ods') {
+          // OpenDocument表格载入工作簿后按相同方式处理
+          loadSpreadsheet(workbook, await odfReader.readSpreadsheet(validPath));
+        } else {
+          await workbook.xlsx.readFile(validPath);
+        }
+      } catch (parseError) {
+        throw createUnsupportedFormatError(validPath, container, `无法解析表格内容: ${parseError.message}`);
+      }
     }
     
     // 获取所有工作表名称
     const sheetNames = workbook.worksheets.map(ws => ws.name);
     
+    // 其他格式需要加载工作簿后再汇总工作表信息
+    if (sheetsOnly) {
+      const sheets = workbook.worksheets.map((ws, index) => ({
+        name: ws.name,
+        index,
+        state: ws.state || 'visible',
+        dimensions: ws.rowCount > 0 ? ws.dimensions.range : null,
+        rowCount: ws.rowCount,
+        columnCount: ws.columnCount
+      }));
+      return {
+        success: true,
+        path: validPath,
+        sheets,
+        availableSheets: sheetNames,
+        metadata: { ...fileMetadata, sheetCount: sheets.length }
+      };
+    }
+    
     // 如果指定了工作表，则读取指定工作表
     let targetSheet;
     if (sheet !== undefined) {
@@ -445,7 +678,644 @@ async function readExcelFile(params) {
   }
 }
 
+/**
+ * 将幻灯片内容转换为纯文本
+ * @param {Object} slide 幻灯片
+ * @returns {string} 文本内容
+ */
+function formatSlideText(slide) {
+  const lines = [`## 幻灯片 ${slide.index}${slide.title ? `: ${slide.title}` : ''}`];
+  
+  lines.push(...slide.body);
+  
+  slide.tables.forEach(table => {
+    lines.push('');
+    table.forEach(row => lines.push(`| ${row.map(cell => cell.replace(/\n/g, ' ')).join(' | ')} |`));
+  });
+  
+  if (slide.notes) {
+    lines.push('', `备注: ${slide.notes}`);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * 读取PowerPoint演示文稿内容
+ * @param {Object} params 参数
+ * @param {string} params.path PowerPoint文件路径
+ * @param {boolean} params.includeNotes 是否包含演讲者备注，默认true
+ * @param {Object} params.pagination 分页参数，{ pageSize: 每页幻灯片数, pageNum: 页码(从1开始) }
+ * @param {Object} params.range 读取范围，{ startSlide: 起始幻灯片, endSlide: 结束幻灯片 }
+ * @returns {Promise<Object>} 演示文稿内容结果
+ */
+async function readPowerPoint(params) {
+  const {
+    path: filePath,
+    includeNotes = true,
+    pagination,
+    range
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('read_powerpoint', params)) {
+    throw new Error('没有权限读取PowerPoint文件');
+  }
+  
+  try {
+    // 验证路径
+    const validPath = pathUtils.validatePath(filePath);
+    
+    // 检查文件是否存在
+    const exists = await pathUtils.pathExists(validPath);
+    if (!exists) {
+      throw new Error(`文件不存在: ${validPath}`);
+    }
+    
+    // 获取文件信息
+    const stats = await fs.promises.stat(validPath);
+    
+    // 检查是否是文件
+    if (!stats.isFile()) {
+      throw new Error(`路径不是文件: ${validPath}`);
+    }
+    
+    // 检查文件扩展名
+    const ext = path.extname(validPath).toLowerCase();
+    if (ext !== '.pptx') {
+      throw new Error(`不支持的文件类型: ${ext}，仅支持.pptx格式`);
+    }
+    
+    // 检查文件大小
+    if (stats.size > config.security.operationSecurity.maxReadSize) {
+      throw new Error(`文件大小(${stats.size}字节)超过允许的最大值(${config.security.operationSecurity.maxReadSize}字节)`);
+    }
+    
+    // 计算要读取的幻灯片范围，分页在range范围内进行
+    const rangeStart = Math.max(1, (range && range.startSlide) || 1);
+    const rangeEnd = (range && range.endSlide) || Infinity;
+    let startSlide = rangeStart;
+    let endSlide = rangeEnd;
+    let pageSize;
+    let pageNum;
+    
+    if (pagination) {
+      pageSize = Math.max(1, pagination.pageSize || 10);
+      pageNum = Math.max(1, pagination.pageNum || 1);
+      startSlide = rangeStart + (pageNum - 1) * pageSize;
+      endSlide = Math.min(rangeEnd, startSlide + pageSize - 1);
+    }
+    
+    const presentation = await pptxReader.readPresentation(validPath, {
+      startSlide,
+      endSlide,
+      includeNotes
+    });
+    const { slideCount, slides } = presentation;
+    
+    if (range && (rangeStart > slideCount || rangeEnd < rangeStart)) {
+      throw new Error(`无效的幻灯片范围: 起始${rangeStart}, 结束${range.endSlide || slideCount}, 总幻灯片数${slideCount}`);
+    }
+    
+    const rangedCount = Math.max(0, Math.min(rangeEnd, slideCount) - rangeStart + 1);
+    const totalPages = pagination ? Math.max(1, Math.ceil(rangedCount / pageSize)) : undefined;
+    if (pagination && pageNum > totalPages) {
+      throw new Error(`无效的页码: ${pageNum}, 总页数: ${totalPages}`);
+    }
+    
+    return {
+      success: true,
+      path: validPath,
+      content: slides.map(formatSlideText).join('\n\n'),
+      slides,
+      slideCount,
+      metadata: {
+        ...presentation.properties,
+        fileSize: stats.size,
+        lastModified: stats.mtime
+      },
+      // 分页信息
+      pagination: pagination ? {
+        pageSize,
+        pageNum,
+        totalPages,
+        totalSlides: rangedCount
+      } : undefined,
+      // 范围信息
+      range: range ? {
+        startSlide: rangeStart,
+        endSlide: Math.min(rangeEnd, slideCount),
+        totalSlides: slideCount
+      } : undefined
+    };
+  } catch (error) {
+    logger.error(`读取PowerPoint文件失败: ${error.message}`, { path: filePath, error });
+    throw error;
+  }
+}
+
+/**
+ * 读取PDF文档内容
+ * @param {Object} params 参数
+ * @param {string} params.path PDF文件路径
+ * @param {Object} params.range 读取范围，{ startPage: 起始页, endPage: 结束页 }
+ * @param {string} params.password 加密文档的密码
+ * @returns {Promise<Object>} 文档内容结果
+ */
+async function readPdfDocument(params) {
+  const {
+    path: filePath,
+    range,
+    password
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('read_pdf', params)) {
+    throw new Error('没有权限读取PDF文件');
+  }
+  
+  try {
+    // 验证路径
+    const validPath = pathUtils.validatePath(filePath);
+    
+    // 检查文件是否存在
+    const exists = await pathUtils.pathExists(validPath);
+    if (!exists) {
+      throw new Error(`文件不存在: ${validPath}`);
+    }
+    
+    // 获取文件信息
+    const stats = await fs.promises.stat(validPath);
+    
+    // 检查是否是文件
+    if (!stats.isFile()) {
+      throw new Error(`路径不是文件: ${validPath}`);
+    }
+    
+    // 检查文件扩展名
+    const ext = path.extname(validPath).toLowerCase();
+    if (ext !== '.pdf') {
+      throw new Error(`不支持的文件类型: ${ext}，仅支持.pdf格式`);
+    }
+    
+    // 检查文件大小
+    if (stats.size > config.security.operationSecurity.maxReadSize) {
+      throw new Error(`文件大小(${stats.size}字节)超过允许的最大值(${config.security.operationSecurity.maxReadSize}字节)`);
+    }
+    
+    const startPage = Math.max(1, (range && range.startPage) || 1);
+    const endPage = (range && range.endPage) || Infinity;
+    
+    const document = await pdfReader.readPdf(validPath, { startPage, endPage, password });
+    const { pageCount, pages } = document;
+    
+    if (range && (startPage > pageCount || endPage < startPage)) {
+      throw new Error(`无效的页码范围: 起始页${startPage}, 结束页${range.endPage || pageCount}, 总页数${pageCount}`);
+    }
+    
+    return {
+      success: true,
+      path: validPath,
+      content: pages.map(page => page.text).join('\n\n'),
+      pages,
+      pageCount,
+      metadata: {
+        ...document.info,
+        pageCount,
+        fileSize: stats.size,
+        lastModified: stats.mtime
+      },
+      // 范围信息
+      range: range ? {
+        startPage,
+        endPage: Math.min(endPage, pageCount),
+        totalPages: pageCount
+      } : undefined
+    };
+  } catch (error) {
+    logger.error(`读取PDF文件失败: ${error.message}`, { path: filePath, error });
+    throw error;
+  }
+}
+
+/**
+ * 编码流式读取游标
+ * @param {Object} state 游标状态 { sheet, offset, size, mtimeMs }
+ * @returns {string} 游标字符串
+ */
+function encodeExcelCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+/**
+ * 解码流式读取游标
+ * @param {string} cursor 游标字符串
+ * @returns {Object} 游标状态
+ */
+function decodeExcelCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof state.offset !== 'number' || state.sheet === undefined) {
+      throw new Error('缺少字段');
+    }
+    return state;
+  } catch (error) {
+    throw new Error(`无效的游标: ${cursor}`);
+  }
+}
+
+/**
+ * 流式读取Excel工作表的一页数据
+ * @param {string} validPath 已验证的文件路径
+ * @param {fs.Stats} stats 文件信息
+ * @param {Object} options 读取选项
+ * @returns {Promise<Object>} 分页读取结果
+ */
+async function readExcelPage(validPath, stats, options) {
+  const { outputFormat, includeFormulas, headerRow, metadata } = options;
+  let { sheet, offset = 0, limit = 1000 } = options;
+  
+  if (options.cursor) {
+    const state = decodeExcelCursor(options.cursor);
+    // 文件在两次读取之间被修改时，游标对应的位置已不可靠
+    if (state.size !== stats.size || state.mtimeMs !== stats.mtimeMs) {
+      throw new Error('文件在分页读取期间已被修改，请重新从第一页读取');
+    }
+    sheet = state.sheet;
+    offset = state.offset;
+  }
+  
+  offset = Math.max(0, offset);
+  limit = Math.min(5000, Math.max(1, limit));
+  
+  logger.info(`流式读取Excel文件: ${validPath}, 偏移: ${offset}, 行数: ${limit}`);
+  const page = await excelStream.readSheetRows(validPath, {
+    sheet,
+    offset,
+    limit,
+    headerRow,
+    includeFormulas
+  });
+  
+  let data = page.rows.map(row => row.values);
+  if (outputFormat === 'json' && headerRow) {
+    data = data.map(values => {
+      const rowData = {};
+      page.headers.forEach((header, index) => {
+        if (header) {
+          rowData[header] = values[index] === undefined ? null : values[index];
+        }
+      });
+      return rowData;
+    });
+  } else if (outputFormat === 'csv') {
+    const lines = data.map(values => values.map(cell => {
+      if (cell === null || cell === undefined) return '';
+      if (typeof cell === 'object') return JSON.stringify(cell);
+      return String(cell);
+    }).join(','));
+    // 表头只在第一页输出
+    if (headerRow && offset === 0 && page.headers.length > 0) {
+      lines.unshift(page.headers.join(','));
+    }
+    data = lines.join('\n');
+  }
+  
+  return {
+    success: true,
+    path: validPath,
+    format: outputFormat,
+    streaming: true,
+    sheet: page.sheet,
+    headers: page.headers,
+    data,
+    offset,
+    limit,
+    rowsReturned: page.rows.length,
+    rowRange: page.rows.length > 0 ? {
+      startRow: page.rows[0].number,
+      endRow: page.rows[page.rows.length - 1].number
+    } : null,
+    hasMore: page.hasMore,
+    nextCursor: page.hasMore ? encodeExcelCursor({
+      sheet: page.sheet.name,
+      offset: offset + page.rows.length,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs
+    }) : null,
+    availableSheets: page.availableSheets,
+    metadata
+  };
+}
+
+/**
+ * 转换要写入单元格的值
+ * 以=开头的字符串视为公式
+ * @param {*} value 原始值
+ * @returns {*} ExcelJS单元格值
+ */
+function toCellValue(value) {
+  if (typeof value === 'string' && value.startsWith('=') && value.length > 1) {
+    return { formula: value.substring(1) };
+  }
+  
+  if (value && typeof value === 'object' && !(value instanceof Date) && typeof value.formula === 'string') {
+    return {
+      formula: value.formula.replace(/^=/, ''),
+      result: value.result
+    };
+  }
+  
+  return value === undefined ? null : value;
+}
+
+/**
+ * 将对象行转换为数组行
+ * @param {Array<Object>} rows 对象行
+ * @param {Array<string>} headers 表头
+ * @returns {Array<Array>} 数组行
+ */
+function objectRowsToArrays(rows, headers) {
+  return rows.map(row => headers.map(header => row[header]));
+}
+
+/**
+ * 写入Excel文件 (创建或更新工作簿)
+ * @param {Object} params 参数
+ * @param {string} params.path Excel文件路径(.xlsx或.csv)
+ * @param {string} params.sheet 工作表名称，不存在时自动创建，默认第一个工作表或Sheet1
+ * @param {Array<Array|Object>} params.rows 要写入的行，可以是数组或对象
+ * @param {Array<string>} params.headers 对象行使用的表头，默认取所有对象的键
+ * @param {string} params.mode 行写入模式，'replace'替换工作表内容，'append'追加到末尾，默认'replace'
+ * @param {Object} params.cells 要设置的单元格，格式为{ A1: 值 }，以=开头的字符串视为公式
+ * @param {Object} params.range 要写入的区域，格式为{ start: 'B2', values: [[...], [...]] }
+ * @param {Array<string>} params.addSheets 要添加的工作表名称
+ * @returns {Promise<Object>} 写入结果
+ */
+async function writeExcelFile(params) {
+  const { 
+    path: filePath, 
+    sheet,
+    rows,
+    headers,
+    mode = 'replace',
+    cells,
+    range,
+    addSheets = []
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('write_excel_file', params)) {
+    throw new Error('没有权限写入Excel文件');
+  }
+  
+  let backup = null;
+  try {
+    // 验证路径
+    const validPath = pathUtils.validatePath(filePath);
+    
+    // 检查文件类型
+    const ext = path.extname(validPath).toLowerCase();
+    if (ext !== '.xlsx' && ext !== '.csv') {
+      throw new Error(`不支持的文件类型: ${ext}，仅支持写入.xlsx和.csv格式`);
+    }
+    
+    if (mode !== 'replace' && mode !== 'append') {
+      throw new Error(`无效的写入模式: ${mode}，只支持replace和append`);
+    }
+    
+    if (rows !== undefined && !Array.isArray(rows)) {
+      throw new Error('rows必须是数组');
+    }
+    
+    const workbook = new ExcelJS.Workbook();
+    
+    // 文件已存在时读取后更新
+    const exists = await pathUtils.pathExists(validPath);
+    if (exists) {
+      const stats = await fs.promises.stat(validPath);
+      
+      // 检查是否是文件
+      if (!stats.isFile()) {
+        throw new Error(`路径不是文件: ${validPath}`);
+      }
+      
+      // 检查文件大小
+      if (stats.size > config.security.operationSecurity.maxReadSize) {
+        throw new Error(`文件大小(${stats.size}字节)超过允许的最大值(${config.security.operationSecurity.maxReadSize}字节)`);
+      }
+      
+      if (ext === '.csv') {
+        await workbook.csv.readFile(validPath);
+      } else {
+        await workbook.xlsx.readFile(validPath);
+      }
+    }
+    
+    logger.info(`写入Excel文件: ${validPath}, 工作表: ${sheet || '(默认)'}, 模式: ${mode}`);
+    
+    // 获取目标工作表
+    let targetSheet;
+    if (sheet) {
+      targetSheet = workbook.getWorksheet(sheet) || workbook.addWorksheet(sheet);
+    } else {
+      targetSheet = workbook.worksheets[0] || workbook.addWorksheet('Sheet1');
+    }
+    
+    // 添加工作表
+    for (const name of addSheets) {
+      if (!workbook.getWorksheet(name)) {
+        workbook.addWorksheet(name);
+      }
+    }
+    
+    let rowsWritten = 0;
+    let cellsWritten = 0;
+    
+    // 写入行
+    if (rows && rows.length > 0) {
+      const isObjectRows = rows.every(row => row && typeof row === 'object' && !Array.isArray(row));
+      let dataRows = rows;
+      let headerValues = null;
+      
+      if (isObjectRows) {
+        if (mode === 'append' && targetSheet.actualRowCount > 0) {
+          // 追加时使用已有的表头
+          headerValues = targetSheet.getRow(1).values.slice(1).map(value => (value === null || value === undefined ? '' : String(value)));
+        } else {
+          headerValues = headers || Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+        }
+        dataRows = objectRowsToArrays(rows, headerValues);
+      } else if (!rows.every(Array.isArray)) {
+        throw new Error('rows中的每一行必须都是数组或都是对象');
+      }
+      
+      if (mode === 'replace') {
+        // 清空工作表原有内容
+        if (targetSheet.rowCount > 0) {
+          targetSheet.spliceRows(1, targetSheet.rowCount);
+        }
+        
+        const headerRow = isObjectRows ? headerValues : headers;
+        if (headerRow && headerRow.length > 0) {
+          targetSheet.addRow(headerRow);
+        }
+      }
+      
+      for (const row of dataRows) {
+        targetSheet.addRow(row.map(toCellValue));
+        rowsWritten++;
+      }
+    }
+    
+    // 写入区域
+    if (range) {
+      if (!range.start || !Array.isArray(range.values)) {
+        throw new Error('range必须包含start和values参数');
+      }
+      
+      const startCell = targetSheet.getCell(range.start);
+      range.values.forEach((rowValues, rowOffset) => {
+        (Array.isArray(rowValues) ? rowValues : [rowValues]).forEach((value, colOffset) => {
+          targetSheet.getCell(startCell.row + rowOffset, startCell.col + colOffset).value = toCellValue(value);
+          cellsWritten++;
+        });
+      });
+    }
+    
+    // 设置单元格
+    if (cells) {
+      for (const [address, value] of Object.entries(cells)) {
+        targetSheet.getCell(address).value = toCellValue(value);
+        cellsWritten++;
+      }
+    }
+    
+    // 确保目标目录存在
+    await pathUtils.ensureDir(path.dirname(validPath));
+    
+    // 写入前备份原文件，可通过restore_backup或undo_last_operation恢复
+    backup = await backupTools.recordOperation(validPath, { operation: 'write' });
+    if (ext === '.csv') {
+      // CSV只能保存一个工作表
+      await workbook.csv.writeFile(validPath, { sheetName: targetSheet.name });
+    } else {
+      await workbook.xlsx.writeFile(validPath);
+    }
+    await backupTools.completeOperation(backup);
+    
+    return {
+      success: true,
+      path: validPath,
+      sheet: targetSheet.name,
+      availableSheets: workbook.worksheets.map(ws => ws.name),
+      rowCount: targetSheet.actualRowCount,
+      columnCount: targetSheet.actualColumnCount,
+      rowsWritten,
+      cellsWritten,
+      created: !exists,
+      backupId: backup?.id
+    };
+  } catch (error) {
+    await backupTools.discardBackup(backup);
+    logger.error(`写入Excel文件失败: ${error.message}`, { path: filePath, error });
+    throw error;
+  }
+}
+
+/**
+ * 从Markdown或HTML生成Word文档
+ * @param {Object} params 参数
+ * @param {string} params.path Word文件路径(.docx)
+ * @param {string} params.content Markdown或HTML内容
+ * @param {string} params.inputFormat 输入格式，支持'markdown'和'html'，默认'markdown'
+ * @param {string} params.title 文档标题(写入文档属性)
+ * @param {string} params.author 文档作者(写入文档属性)
+ * @param {boolean} params.overwrite 文件已存在时是否覆盖，默认false
+ * @returns {Promise<Object>} 生成结果
+ */
+async function writeWordDocument(params) {
+  const { 
+    path: filePath, 
+    content,
+    inputFormat = 'markdown',
+    title,
+    author,
+    overwrite = false
+  } = params;
+  
+  // 检查权限
+  if (!securityUtils.validateToolCall('write_word_document', params)) {
+    throw new Error('没有权限写入Word文档');
+  }
+  
+  let backup = null;
+  try {
+    // 验证路径
+    const validPath = pathUtils.validatePath(filePath);
+    
+    // 检查文件类型
+    const ext = path.extname(validPath).toLowerCase();
+    if (ext !== '.docx') {
+      throw new Error(`不支持的文件类型: ${ext}，仅支持生成.docx格式`);
+    }
+    
+    if (inputFormat !== 'markdown' && inputFormat !== 'html') {
+      throw new Error(`不支持的输入格式: ${inputFormat}，仅支持markdown和html`);
+    }
+    
+    if (typeof content !== 'string') {
+      throw new Error('缺少文档内容参数');
+    }
+    
+    // 检查文件是否已存在
+    const exists = await pathUtils.pathExists(validPath);
+    if (exists && !overwrite) {
+      throw new Error(`文件已存在: ${validPath}，如需覆盖请设置overwrite为true`);
+    }
+    
+    logger.info(`生成Word文档: ${validPath}，输入格式: ${inputFormat}`);
+    
+    const { buffer, stats } = await docxBuilder.buildDocx(content, {
+      inputFormat,
+      title,
+      creator: author
+    });
+    
+    // 检查生成的文件大小
+    if (buffer.length > config.security.operationSecurity.maxWriteSize) {
+      throw new Error(`生成的文件大小(${buffer.length}字节)超过允许的最大值(${config.security.operationSecurity.maxWriteSize}字节)`);
+    }
+    
+    // 确保目标目录存在
+    await pathUtils.ensureDir(path.dirname(validPath));
+    
+    // 覆盖前备份原文件，可通过restore_backup或undo_last_operation恢复
+    backup = await backupTools.recordOperation(validPath, { operation: 'write' });
+    await fs.promises.writeFile(validPath, buffer);
+    await backupTools.completeOperation(backup);
+    
+    return {
+      success: true,
+      path: validPath,
+      size: buffer.length,
+      inputFormat,
+      overwritten: exists,
+      stats,
+      backupId: backup?.id
+    };
+  } catch (error) {
+    await backupTools.discardBackup(backup);
+    logger.error(`生成Word文档失败: ${error.message}`, { path: filePath, error });
+    throw error;
+  }
+}
+
 module.exports = {
   readWordDocument,
-  readExcelFile
+  readExcelFile,
+  readPowerPoint,
+  readPdfDocument,
+  writeExcelFile,
+  writeWordDocument
 }; 
\ No newline at end of file
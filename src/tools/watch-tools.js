@@ -26,6 +26,12 @@ const CHANGE_HANDLERS = {
   dirCallbacks: new Map()    // 目录变更回调
 };
 
+// 监控事件监听器，用于将watchPath收集到的事件推送给客户端
+const EVENT_LISTENERS = new Set();
+
+// 每个监控器缓冲的最大事件数量
+const MAX_BUFFERED_EVENTS = 1000;
+
 /**
  * 监控文件或目录变更
  * @param {Object} params 参数对象
@@ -197,31 +203,51 @@ async function watchPath(path, options = {}) {
     const watcherId = WATCHERS.idCounter++;
     const watcher = chokidar.watch(path, watcherOptions);
     
-    // 处理监控事件
-    const validEvents = Array.isArray(options.events) ? 
-      options.events.filter(e => ['add', 'change', 'unlink', 'addDir', 'unlinkDir'].includes(e)) : 
+    // 处理监控事件 (支持数组或逗号分隔的字符串)
+    const requestedEvents = typeof options.events === 'string' ? 
+      options.events.split(',').map(e => e.trim()) : 
+      options.events;
+    const validEvents = Array.isArray(requestedEvents) ? 
+      requestedEvents.filter(e => ['add', 'change', 'unlink', 'addDir', 'unlinkDir'].includes(e)) : 
       ['add', 'change', 'unlink'];
     
     // 创建临时存储，收集到的事件会保存在这里，等待客户端轮询
     const events = [];
     
+    // 记录事件，分配递增序号作为轮询游标，并通知事件监听器
+    const recordEvent = (eventRecord) => {
+      const watcherInfo = WATCHERS.items.get(watcherId);
+      const seq = watcherInfo ? ++watcherInfo.lastSeq : 0;
+      const record = { seq, ...eventRecord };
+      
+      events.push(record);
+      
+      // 如果事件超过缓冲上限，保留最新的事件
+      if (events.length > MAX_BUFFERED_EVENTS) {
+        events.splice(0, events.length - MAX_BUFFERED_EVENTS);
+      }
+      
+      for (const listener of EVENT_LISTENERS) {
+        try {
+          listener(watcherId, record);
+        } catch (error) {
+          logger.error(`监控事件监听器执行失败: ${path}`, { error, watcherId });
+        }
+      }
+    };
+    
     // 为每种事件添加处理函数
     validEvents.forEach(eventName => {
       watcher.on(eventName, changedPath => {
         logger.debug(`文件监控事件: ${eventName}`, { path: changedPath, watcherId });
         
         // 收集事件以供轮询
-        events.push({
+        recordEvent({
           event: eventName,
           path: changedPath,
           time: Date.now()
         });
         
-        // 如果事件超过100个，保留最新的100个
-        if (events.length > 100) {
-          events.splice(0, events.length - 100);
-        }
-        
         // 检查是否有为该路径注册的回调函数
         if (isDirectory) {
           // 触发目录回调
@@ -250,7 +276,7 @@ async function watchPath(path, options = {}) {
     // 处理错误
     watcher.on('error', error => {
       logger.error(`文件监控错误: ${path}`, { error, watcherId });
-      events.push({
+      recordEvent({
         event: 'error',
         message: error.message,
         time: Date.now()
@@ -261,8 +287,9 @@ async function watchPath(path, options = {}) {
     WATCHERS.items.set(watcherId, {
       watcher,
       path,
-      options,
+      options: { ...options, events: validEvents },
       events,
+      lastSeq: 0,
       created: Date.now()
     });
     
@@ -291,6 +318,7 @@ async function watchPath(path, options = {}) {
  */
 async function stopWatch(watcherId) {
   try {
+    watcherId = normalizeWatcherId(watcherId);
     if (!WATCHERS.items.has(watcherId)) {
       return { success: false, message: '无效的监控ID', code: 'INVALID_ID' };
     }
@@ -340,7 +368,8 @@ async function listWatchers() {
           recursive: info.options.recursive,
           events: info.options.events
         },
-        eventCount: info.events.length
+        eventCount: info.events.length,
+        lastSeq: info.lastSeq
       });
     }
     
@@ -355,6 +384,79 @@ async function listWatchers() {
   }
 }
 
+/**
+ * 标准化监控ID (支持数字、数字字符串或包含watcherId的参数对象)
+ * @param {number|string|Object} watcherId 监控ID
+ * @returns {number|string} 标准化后的监控ID
+ */
+function normalizeWatcherId(watcherId) {
+  if (watcherId && typeof watcherId === 'object') {
+    watcherId = watcherId.watcherId;
+  }
+  
+  if (typeof watcherId === 'string' && /^\d+$/.test(watcherId)) {
+    return Number(watcherId);
+  }
+  
+  return watcherId;
+}
+
+/**
+ * 按游标分页获取监控事件
+ * @param {Object} params 参数对象
+ * @param {number|string} params.watcherId 监控ID
+ * @param {number} [params.cursor=0] 游标，返回序号大于该值的事件
+ * @param {number} [params.limit=100] 每页最大事件数量
+ * @returns {Promise<object>} 事件列表及下一页游标
+ */
+async function pollWatchEvents(params = {}) {
+  const watcherId = normalizeWatcherId(params.watcherId);
+  const cursor = Math.max(0, params.cursor || 0);
+  const limit = Math.max(1, Math.min(params.limit || 100, MAX_BUFFERED_EVENTS));
+  
+  try {
+    if (!WATCHERS.items.has(watcherId)) {
+      return { success: false, message: '无效的监控ID', code: 'INVALID_ID' };
+    }
+    
+    const info = WATCHERS.items.get(watcherId);
+    const events = info.events.filter(event => event.seq > cursor).slice(0, limit);
+    
+    // 游标之后、缓冲区最早事件之前的事件已被丢弃
+    const oldestSeq = info.events.length > 0 ? info.events[0].seq : info.lastSeq + 1;
+    const missed = Math.max(0, oldestSeq - cursor - 1);
+    
+    const nextCursor = events.length > 0 ? events[events.length - 1].seq : Math.max(cursor, oldestSeq - 1);
+    
+    return {
+      success: true,
+      watcherId,
+      path: info.path,
+      events,
+      nextCursor,
+      hasMore: nextCursor < info.lastSeq,
+      missed
+    };
+  } catch (error) {
+    logger.error(`获取监控事件失败: ${watcherId}`, { error });
+    return { success: false, message: `获取监控事件失败: ${error.message}`, error };
+  }
+}
+
+/**
+ * 添加监控事件监听器，watchPath创建的监控器产生事件时调用
+ * @param {Function} listener 监听函数，参数(watcherId, event)
+ * @returns {Function} 移除该监听器的函数
+ */
+function addWatchEventListener(listener) {
+  if (typeof listener !== 'function') {
+    throw new TypeError('监听器必须是函数');
+  }
+  
+  EVENT_LISTENERS.add(listener);
+  return () => EVENT_LISTENERS.delete(listener);
+}
+
 /**
  * 为特定文件设置变更回调函数
  * @param {string} filePath 文件路径
@@ -368,6 +470,12 @@ function setFileChangeCallback(filePath, callback, options = {}) {
     return null;
   }
   
+  // 验证路径
+  if (!securityUtils.isPathSafe(filePath).isValid) {
+    logger.warn(`文件变更回调设置失败: 路径访问被拒绝 - ${filePath}`);
+    return null;
+  }
+  
   try {
     // 检查文件是否存在
     if (!fs.existsSync(filePath)) {
@@ -463,6 +571,12 @@ function setDirChangeCallback(dirPath, callback, options = {}) {
     return null;
   }
   
+  // 验证路径
+  if (!securityUtils.isPathSafe(dirPath).isValid) {
+    logger.warn(`目录变更回调设置失败: 路径访问被拒绝 - ${dirPath}`);
+    return null;
+  }
+  
   try {
     // 检查目录是否存在
     if (!fs.existsSync(dirPath)) {
@@ -608,6 +722,8 @@ module.exports = {
   watchPath,
   stopWatch,
   listWatchers,
+  pollWatchEvents,
+  addWatchEventListener,
   
   // 导出变更回调设置函数
   setFileChangeCallback,
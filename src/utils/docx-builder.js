@@ -0,0 +1,596 @@
+/**
+ * Word文档生成模块
+ * 将Markdown或简单HTML转换为.docx文档
+ */
+const { marked } = require('marked');
+const { parseDocument } = require('htmlparser2');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ExternalHyperlink,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  AlignmentType,
+  LevelFormat,
+  BorderStyle,
+  ShadingType
+} = require('docx');
+
+// 标题级别映射
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+// 代码使用的字体
+const CODE_FONT = 'Courier New';
+
+// 有序列表编号定义的引用名称
+const ORDERED_LIST_REFERENCE = 'ordered-list';
+
+// 列表最大嵌套层级
+const MAX_LIST_LEVEL = 8;
+
+/**
+ * 解码marked输出中的HTML实体
+ * @param {string} text 文本
+ * @returns {string} 解码后的文本
+ */
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/*
+ * 中间结构说明
+ * 文本片段(run): { text, bold, italics, strike, code, link, break }
+ * 块(block):
+ *   { type: 'heading', level, runs }
+ *   { type: 'paragraph', runs }
+ *   { type: 'list', ordered, items: [{ runs, children: [block] }] }
+ *   { type: 'table', header: [[run]], rows: [[[run]]] }
+ *   { type: 'code', text }
+ *   { type: 'blockquote', blocks }
+ *   { type: 'hr' }
+ */
+
+/**
+ * 将marked行内token转换为文本片段
+ * @param {Array<Object>} tokens 行内token
+ * @param {Object} format 继承的格式
+ * @returns {Array<Object>} 文本片段
+ */
+function markdownInlineToRuns(tokens = [], format = {}) {
+  const runs = [];
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...markdownInlineToRuns(token.tokens, { ...format, bold: true }));
+        break;
+      case 'em':
+        runs.push(...markdownInlineToRuns(token.tokens, { ...format, italics: true }));
+        break;
+      case 'del':
+        runs.push(...markdownInlineToRuns(token.tokens, { ...format, strike: true }));
+        break;
+      case 'codespan':
+        runs.push({ ...format, text: decodeEntities(token.text), code: true });
+        break;
+      case 'link':
+        runs.push(...markdownInlineToRuns(token.tokens, { ...format, link: token.href }));
+        break;
+      case 'br':
+        runs.push({ ...format, text: '', break: true });
+        break;
+      case 'html':
+        // 行内HTML只处理换行，其他标签忽略
+        if (/^<br\s*\/?>$/i.test(token.text.trim())) {
+          runs.push({ ...format, text: '', break: true });
+        }
+        break;
+      case 'text':
+        if (token.tokens && token.tokens.length > 0) {
+          runs.push(...markdownInlineToRuns(token.tokens, format));
+        } else {
+          // 软换行按空格处理
+          runs.push({ ...format, text: decodeEntities(token.text).replace(/\n/g, ' ') });
+        }
+        break;
+      default:
+        if (token.text) {
+          runs.push({ ...format, text: decodeEntities(token.text) });
+        }
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * 将marked块级token转换为块
+ * @param {Array<Object>} tokens 块级token
+ * @returns {Array<Object>} 块列表
+ */
+function markdownTokensToBlocks(tokens = []) {
+  const blocks = [];
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        blocks.push({ type: 'heading', level: token.depth, runs: markdownInlineToRuns(token.tokens) });
+        break;
+      case 'paragraph':
+        blocks.push({ type: 'paragraph', runs: markdownInlineToRuns(token.tokens) });
+        break;
+      case 'text':
+        blocks.push({ type: 'paragraph', runs: markdownInlineToRuns(token.tokens || [token]) });
+        break;
+      case 'list':
+        blocks.push({
+          type: 'list',
+          ordered: token.ordered,
+          items: token.items.map(item => {
+            const itemBlocks = markdownTokensToBlocks(item.tokens);
+            const first = itemBlocks[0] && itemBlocks[0].type === 'paragraph' ? itemBlocks.shift() : null;
+            return { runs: first ? first.runs : [], children: itemBlocks };
+          })
+        });
+        break;
+      case 'table':
+        blocks.push({
+          type: 'table',
+          header: token.header.map(cell => markdownInlineToRuns(cell.tokens)),
+          rows: token.rows.map(row => row.map(cell => markdownInlineToRuns(cell.tokens)))
+        });
+        break;
+      case 'code':
+        blocks.push({ type: 'code', text: token.text });
+        break;
+      case 'blockquote':
+        blocks.push({ type: 'blockquote', blocks: markdownTokensToBlocks(token.tokens) });
+        break;
+      case 'hr':
+        blocks.push({ type: 'hr' });
+        break;
+      case 'html':
+        // 块级HTML按HTML解析
+        blocks.push(...htmlToBlocks(token.text));
+        break;
+      default:
+        // space等token忽略
+        break;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * 将Markdown转换为块
+ * @param {string} markdown Markdown内容
+ * @returns {Array<Object>} 块列表
+ */
+function markdownToBlocks(markdown) {
+  return markdownTokensToBlocks(marked.lexer(markdown));
+}
+
+// HTML中作为块处理的标签
+const HTML_BLOCK_TAGS = new Set([
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'table', 'pre',
+  'blockquote', 'hr', 'div', 'section', 'article', 'header', 'footer',
+  'main', 'body', 'html', 'li', 'thead', 'tbody', 'tfoot', 'tr'
+]);
+
+/**
+ * 将HTML行内节点转换为文本片段
+ * @param {Array<Object>} nodes DOM节点
+ * @param {Object} format 继承的格式
+ * @returns {Array<Object>} 文本片段
+ */
+function htmlInlineToRuns(nodes = [], format = {}) {
+  const runs = [];
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      const text = node.data.replace(/\s+/g, ' ');
+      if (text) {
+        runs.push({ ...format, text });
+      }
+      continue;
+    }
+
+    if (node.type !== 'tag') {
+      continue;
+    }
+
+    switch (node.name) {
+      case 'strong':
+      case 'b':
+        runs.push(...htmlInlineToRuns(node.children, { ...format, bold: true }));
+        break;
+      case 'em':
+      case 'i':
+        runs.push(...htmlInlineToRuns(node.children, { ...format, italics: true }));
+        break;
+      case 's':
+      case 'del':
+      case 'strike':
+        runs.push(...htmlInlineToRuns(node.children, { ...format, strike: true }));
+        break;
+      case 'code':
+        runs.push(...htmlInlineToRuns(node.children, { ...format, code: true }));
+        break;
+      case 'a':
+        runs.push(...htmlInlineToRuns(node.children, { ...format, link: node.attribs.href }));
+        break;
+      case 'br':
+        runs.push({ ...format, text: '', break: true });
+        break;
+      default:
+        runs.push(...htmlInlineToRuns(node.children, format));
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * 去掉段落首尾的空白
+ * @param {Array<Object>} runs 文本片段
+ * @returns {Array<Object>} 处理后的文本片段
+ */
+function trimRuns(runs) {
+  const result = runs.map(run => ({ ...run }));
+
+  if (result.length > 0 && !result[0].break) {
+    result[0].text = result[0].text.replace(/^\s+/, '');
+  }
+  if (result.length > 0 && !result[result.length - 1].break) {
+    result[result.length - 1].text = result[result.length - 1].text.replace(/\s+$/, '');
+  }
+
+  return result.filter(run => run.break || run.text.length > 0);
+}
+
+/**
+ * 获取节点的纯文本内容
+ * @param {Object} node DOM节点
+ * @returns {string} 文本内容
+ */
+function getNodeText(node) {
+  if (node.type === 'text') {
+    return node.data;
+  }
+  if (node.name === 'br') {
+    return '\n';
+  }
+  return (node.children || []).map(getNodeText).join('');
+}
+
+/**
+ * 查找指定名称的子元素
+ * @param {Object} node DOM节点
+ * @param {Array<string>} names 标签名称
+ * @returns {Array<Object>} 子元素
+ */
+function childElements(node, names) {
+  return (node.children || []).filter(child => child.type === 'tag' && names.includes(child.name));
+}
+
+/**
+ * 将HTML节点列表转换为块
+ * 连续的行内节点合并为一个段落
+ * @param {Array<Object>} nodes DOM节点
+ * @returns {Array<Object>} 块列表
+ */
+function htmlNodesToBlocks(nodes = []) {
+  const blocks = [];
+  let inlineNodes = [];
+
+  const flushInline = () => {
+    const runs = trimRuns(htmlInlineToRuns(inlineNodes));
+    if (runs.length > 0) {
+      blocks.push({ type: 'paragraph', runs });
+    }
+    inlineNodes = [];
+  };
+
+  for (const node of nodes) {
+    if (node.type !== 'tag' || !HTML_BLOCK_TAGS.has(node.name)) {
+      inlineNodes.push(node);
+      continue;
+    }
+
+    flushInline();
+
+    switch (node.name) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        blocks.push({
+          type: 'heading',
+          level: Number(node.name[1]),
+          runs: trimRuns(htmlInlineToRuns(node.children))
+        });
+        break;
+      case 'p':
+        blocks.push({ type: 'paragraph', runs: trimRuns(htmlInlineToRuns(node.children)) });
+        break;
+      case 'ul':
+      case 'ol':
+        blocks.push({
+          type: 'list',
+          ordered: node.name === 'ol',
+          items: childElements(node, ['li']).map(item => {
+            const itemBlocks = htmlNodesToBlocks(item.children);
+            const first = itemBlocks[0] && itemBlocks[0].type === 'paragraph' ? itemBlocks.shift() : null;
+            return { runs: first ? first.runs : [], children: itemBlocks };
+          })
+        });
+        break;
+      case 'table': {
+        const rows = [];
+        let header = null;
+        const collectRows = (parent) => {
+          for (const child of childElements(parent, ['thead', 'tbody', 'tfoot', 'tr'])) {
+            if (child.name !== 'tr') {
+              collectRows(child);
+              continue;
+            }
+            const cells = childElements(child, ['th', 'td']);
+            const cellRuns = cells.map(cell => trimRuns(htmlInlineToRuns(cell.children)));
+            if (!header && rows.length === 0 && cells.length > 0 && cells.every(cell => cell.name === 'th')) {
+              header = cellRuns;
+            } else {
+              rows.push(cellRuns);
+            }
+          }
+        };
+        collectRows(node);
+        blocks.push({ type: 'table', header, rows });
+        break;
+      }
+      case 'pre':
+        blocks.push({ type: 'code', text: getNodeText(node).replace(/\n$/, '') });
+        break;
+      case 'blockquote':
+        blocks.push({ type: 'blockquote', blocks: htmlNodesToBlocks(node.children) });
+        break;
+      case 'hr':
+        blocks.push({ type: 'hr' });
+        break;
+      default:
+        // div等容器元素
+        blocks.push(...htmlNodesToBlocks(node.children));
+    }
+  }
+
+  flushInline();
+  return blocks;
+}
+
+/**
+ * 将HTML转换为块
+ * @param {string} html HTML内容
+ * @returns {Array<Object>} 块列表
+ */
+function htmlToBlocks(html) {
+  const document = parseDocument(html, { decodeEntities: true, lowerCaseTags: true });
+  return htmlNodesToBlocks(document.children);
+}
+
+/**
+ * 将文本片段转换为docx行内元素
+ * @param {Array<Object>} runs 文本片段
+ * @returns {Array<Object>} TextRun或ExternalHyperlink列表
+ */
+function runsToDocx(runs) {
+  return runs.map(run => {
+    if (run.break) {
+      return new TextRun({ text: '', break: 1 });
+    }
+
+    const textRun = new TextRun({
+      text: run.text,
+      bold: run.bold,
+      italics: run.italics,
+      strike: run.strike,
+      font: run.code ? CODE_FONT : undefined,
+      style: run.link ? 'Hyperlink' : undefined
+    });
+
+    if (run.link) {
+      return new ExternalHyperlink({ link: run.link, children: [textRun] });
+    }
+
+    return textRun;
+  });
+}
+
+/**
+ * 将块转换为docx元素
+ * @param {Array<Object>} blocks 块列表
+ * @param {Object} context 转换上下文 {listInstance, indent}
+ * @returns {Array<Object>} Paragraph或Table列表
+ */
+function blocksToDocx(blocks, context = { listInstance: 0, indent: 0 }) {
+  const children = [];
+  const indent = context.indent ? { left: context.indent } : undefined;
+
+  const addList = (list, level) => {
+    // 每个有序列表使用独立的编号实例，保证从1开始编号
+    const instance = list.ordered ? ++context.listInstance : 0;
+    const listLevel = Math.min(level, MAX_LIST_LEVEL);
+
+    for (const item of list.items) {
+      children.push(new Paragraph({
+        children: runsToDocx(item.runs),
+        ...(list.ordered
+          ? { numbering: { reference: ORDERED_LIST_REFERENCE, level: listLevel, instance } }
+          : { bullet: { level: listLevel } })
+      }));
+
+      for (const child of item.children) {
+        if (child.type === 'list') {
+          addList(child, level + 1);
+        } else {
+          children.push(...blocksToDocx([child], { ...context, indent: 720 * (listLevel + 1) }));
+        }
+      }
+    }
+  };
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        children.push(new Paragraph({
+          heading: HEADING_LEVELS[Math.min(block.level, 6) - 1],
+          children: runsToDocx(block.runs)
+        }));
+        break;
+      case 'paragraph':
+        children.push(new Paragraph({ children: runsToDocx(block.runs), indent }));
+        break;
+      case 'list':
+        addList(block, 0);
+        break;
+      case 'table': {
+        const rows = [];
+        const toRow = (cells, isHeader) => new TableRow({
+          // 只为表头行设置tableHeader，否则部分阅读器会把所有行都当作表头
+          ...(isHeader ? { tableHeader: true } : {}),
+          children: cells.map(cellRuns => new TableCell({
+            children: [new Paragraph({
+              children: runsToDocx(isHeader ? cellRuns.map(run => ({ ...run, bold: true })) : cellRuns)
+            })]
+          }))
+        });
+
+        if (block.header && block.header.length > 0) {
+          rows.push(toRow(block.header, true));
+        }
+        for (const row of block.rows) {
+          rows.push(toRow(row, false));
+        }
+
+        if (rows.length > 0) {
+          children.push(new Table({
+            rows,
+            width: { size: 100, type: WidthType.PERCENTAGE }
+          }));
+          // 表格后添加空段落，避免相邻表格合并
+          children.push(new Paragraph({}));
+        }
+        break;
+      }
+      case 'code':
+        for (const line of block.text.split('\n')) {
+          children.push(new Paragraph({
+            indent,
+            shading: { type: ShadingType.CLEAR, fill: 'F2F2F2', color: 'auto' },
+            spacing: { before: 0, after: 0 },
+            children: [new TextRun({ text: line, font: CODE_FONT })]
+          }));
+        }
+        break;
+      case 'blockquote':
+        children.push(...blocksToDocx(block.blocks, { ...context, indent: (context.indent || 0) + 720 }));
+        break;
+      case 'hr':
+        children.push(new Paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'auto', space: 1 } }
+        }));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return children;
+}
+
+/**
+ * 统计块数量
+ * @param {Array<Object>} blocks 块列表
+ * @returns {Object} 各类型块的数量
+ */
+function countBlocks(blocks) {
+  const stats = { headings: 0, paragraphs: 0, lists: 0, tables: 0, codeBlocks: 0 };
+
+  const visit = (items) => {
+    for (const block of items) {
+      if (block.type === 'heading') stats.headings++;
+      if (block.type === 'paragraph') stats.paragraphs++;
+      if (block.type === 'table') stats.tables++;
+      if (block.type === 'code') stats.codeBlocks++;
+      if (block.type === 'blockquote') visit(block.blocks);
+      if (block.type === 'list') {
+        stats.lists++;
+        block.items.forEach(item => visit(item.children));
+      }
+    }
+  };
+
+  visit(blocks);
+  return stats;
+}
+
+/**
+ * 生成.docx文档
+ * @param {string} content Markdown或HTML内容
+ * @param {Object} options 选项
+ * @param {string} options.inputFormat 输入格式，'markdown'或'html'，默认'markdown'
+ * @param {string} options.title 文档标题(写入文档属性)
+ * @param {string} options.creator 文档作者(写入文档属性)
+ * @returns {Promise<Object>} { buffer, stats }
+ */
+async function buildDocx(content, options = {}) {
+  const { inputFormat = 'markdown', title, creator } = options;
+
+  const blocks = inputFormat === 'html' ? htmlToBlocks(content) : markdownToBlocks(content);
+
+  const document = new Document({
+    title,
+    creator,
+    numbering: {
+      config: [{
+        reference: ORDERED_LIST_REFERENCE,
+        levels: Array.from({ length: MAX_LIST_LEVEL + 1 }, (_, level) => ({
+          level,
+          format: LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+        }))
+      }]
+    },
+    sections: [{ children: blocksToDocx(blocks) }]
+  });
+
+  const buffer = await Packer.toBuffer(document);
+
+  return { buffer, stats: countBlocks(blocks) };
+}
+
+module.exports = {
+  markdownToBlocks,
+  htmlToBlocks,
+  buildDocx
+};
@@ -0,0 +1,332 @@
+/**
+ * 文本编码工具模块
+ * 识别BOM以及GBK、GB18030、Shift_JIS、UTF-16等常见编码，并在Node原生不支持的编码上使用iconv-lite编解码
+ */
+const fs = require('fs');
+const iconv = require('iconv-lite');
+
+// 自动检测时读取的字节数
+const SAMPLE_SIZE = 64 * 1024;
+
+// 字节顺序标记
+const BOMS = [
+  { encoding: 'utf8', bytes: Buffer.from([0xef, 0xbb, 0xbf]) },
+  { encoding: 'utf16le', bytes: Buffer.from([0xff, 0xfe]) },
+  { encoding: 'utf16be', bytes: Buffer.from([0xfe, 0xff]) }
+];
+
+/**
+ * 判断是否为Node原生支持的编码
+ * @param {string} encoding 编码名称
+ * @returns {boolean} 是否原生支持
+ */
+function isNativeEncoding(encoding) {
+  return Buffer.isEncoding(encoding);
+}
+
+/**
+ * 判断编码是否可用(Node原生或iconv-lite支持)，auto表示自动检测
+ * @param {string} encoding 编码名称
+ * @returns {boolean} 是否可用
+ */
+function isSupportedEncoding(encoding) {
+  return encoding === 'auto' || isNativeEncoding(encoding) || iconv.encodingExists(encoding);
+}
+
+/**
+ * 检查编码是否可用，不可用时抛出错误
+ * @param {string} encoding 编码名称
+ */
+function assertSupportedEncoding(encoding) {
+  if (!isSupportedEncoding(encoding)) {
+    throw new Error(`不支持的编码: ${encoding}`);
+  }
+}
+
+/**
+ * 识别缓冲区开头的BOM
+ * @param {Buffer} buffer 缓冲区
+ * @returns {Object|null} { encoding, bytes }
+ */
+function detectBom(buffer) {
+  return BOMS.find(bom =>
+    buffer.length >= bom.bytes.length && buffer.subarray(0, bom.bytes.length).equals(bom.bytes)
+  ) || null;
+}
+
+/**
+ * 判断是否为有效的UTF-8，允许采样末尾的字符被截断
+ * @param {Buffer} buffer 缓冲区
+ * @returns {boolean} 是否有效
+ */
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 根据NUL字节的位置识别无BOM的UTF-16(适用于以ASCII字符为主的文本)
+ * @param {Buffer} buffer 缓冲区
+ * @returns {string|null} 'utf16le'、'utf16be'或null
+ */
+function detectUtf16(buffer) {
+  const units = Math.floor(buffer.length / 2);
+  if (units === 0) {
+    return null;
+  }
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < units * 2; i += 2) {
+    if (buffer[i] === 0) evenZeros++;
+    if (buffer[i + 1] === 0) oddZeros++;
+  }
+
+  if (oddZeros / units > 0.3 && evenZeros / units < 0.05) {
+    return 'utf16le';
+  }
+  if (evenZeros / units > 0.3 && oddZeros / units < 0.05) {
+    return 'utf16be';
+  }
+  return null;
+}
+
+/**
+ * 按GB18030的字节规则扫描
+ * @param {Buffer} buffer 缓冲区
+ * @returns {Object} { errors, common, fourByte }，common为GB2312常用汉字区的字符数
+ */
+function scanGb18030(buffer) {
+  let errors = 0;
+  let common = 0;
+  let fourByte = 0;
+
+  for (let i = 0; i < buffer.length;) {
+    const b1 = buffer[i];
+    if (b1 < 0x80) {
+      i++;
+      continue;
+    }
+    if (b1 === 0x80 || b1 === 0xff) {
+      errors++;
+      i++;
+      continue;
+    }
+    // 采样末尾被截断的字符不计入
+    if (i + 1 >= buffer.length) {
+      break;
+    }
+
+    const b2 = buffer[i + 1];
+    if (b2 >= 0x30 && b2 <= 0x39) {
+      if (i + 3 >= buffer.length) {
+        break;
+      }
+      const b3 = buffer[i + 2];
+      const b4 = buffer[i + 3];
+      if (b3 >= 0x81 && b3 <= 0xfe && b4 >= 0x30 && b4 <= 0x39) {
+        fourByte++;
+        i += 4;
+      } else {
+        errors++;
+        i++;
+      }
+      continue;
+    }
+
+    if ((b2 >= 0x40 && b2 <= 0x7e) || (b2 >= 0x80 && b2 <= 0xfe)) {
+      if (b1 >= 0xb0 && b1 <= 0xf7 && b2 >= 0xa1) {
+        common++;
+      }
+      i += 2;
+    } else {
+      errors++;
+      i++;
+    }
+  }
+
+  return { errors, common, fourByte };
+}
+
+/**
+ * 按Shift_JIS的字节规则扫描
+ * @param {Buffer} buffer 缓冲区
+ * @returns {Object} { errors, common }，common为首字节在0x81-0x9F(假名和常用汉字)的字符数
+ */
+function scanShiftJis(buffer) {
+  let errors = 0;
+  let common = 0;
+
+  for (let i = 0; i < buffer.length;) {
+    const b1 = buffer[i];
+    // ASCII和半角片假名为单字节
+    if (b1 < 0x80 || (b1 >= 0xa1 && b1 <= 0xdf)) {
+      i++;
+      continue;
+    }
+
+    if ((b1 >= 0x81 && b1 <= 0x9f) || (b1 >= 0xe0 && b1 <= 0xfc)) {
+      if (i + 1 >= buffer.length) {
+        break;
+      }
+      const b2 = buffer[i + 1];
+      if ((b2 >= 0x40 && b2 <= 0x7e) || (b2 >= 0x80 && b2 <= 0xfc)) {
+        if (b1 <= 0x9f) {
+          common++;
+        }
+        i += 2;
+        continue;
+      }
+    }
+
+    errors++;
+    i++;
+  }
+
+  return { errors, common };
+}
+
+/**
+ * 检测缓冲区的文本编码
+ * 依次检查BOM、无BOM的UTF-16、UTF-8，最后在GBK/GB18030与Shift_JIS之间按字节规则打分
+ * @param {Buffer} buffer 缓冲区
+ * @returns {Object} { encoding, bom }
+ */
+function detectEncoding(buffer) {
+  const bom = detectBom(buffer);
+  if (bom) {
+    return { encoding: bom.encoding, bom: true };
+  }
+
+  const utf16 = detectUtf16(buffer);
+  if (utf16) {
+    return { encoding: utf16, bom: false };
+  }
+
+  if (isValidUtf8(buffer)) {
+    return { encoding: 'utf8', bom: false };
+  }
+
+  const gb = scanGb18030(buffer);
+  const sjis = scanShiftJis(buffer);
+  if (sjis.errors < gb.errors || (sjis.errors === gb.errors && sjis.common > gb.common)) {
+    return { encoding: 'shift_jis', bom: false };
+  }
+
+  // GB18030兼容GBK，没有四字节字符时报告为GBK
+  return { encoding: gb.fourByte > 0 ? 'gb18030' : 'gbk', bom: false };
+}
+
+/**
+ * 检测文件的文本编码，只读取文件开头的一部分
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object>} { encoding, bom }
+ */
+async function detectFileEncoding(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return detectEncoding(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 将auto解析为文件的实际编码
+ * @param {string} filePath 文件路径
+ * @param {string} encoding 编码名称
+ * @returns {Promise<Object>} { encoding, bom, detected }
+ */
+async function resolveEncoding(filePath, encoding = 'utf8') {
+  assertSupportedEncoding(encoding);
+  if (encoding !== 'auto') {
+    return { encoding, bom: false, detected: false };
+  }
+  return { ...(await detectFileEncoding(filePath)), detected: true };
+}
+
+/**
+ * 按指定编码解码
+ * @param {Buffer} buffer 缓冲区
+ * @param {string} encoding 编码名称
+ * @returns {string} 文本
+ */
+function decode(buffer, encoding) {
+  assertSupportedEncoding(encoding);
+  return isNativeEncoding(encoding) ? buffer.toString(encoding) : iconv.decode(buffer, encoding);
+}
+
+/**
+ * 解码文本，编码为auto时自动检测并去掉BOM
+ * @param {Buffer} buffer 缓冲区
+ * @param {string} encoding 编码名称，默认utf-8
+ * @returns {Object} { content, encoding, bom }
+ */
+function decodeText(buffer, encoding = 'utf8') {
+  assertSupportedEncoding(encoding);
+  if (encoding !== 'auto') {
+    return { content: decode(buffer, encoding), encoding, bom: false };
+  }
+
+  const detected = detectEncoding(buffer);
+  const bom = detectBom(buffer);
+  return {
+    content: decode(bom ? buffer.subarray(bom.bytes.length) : buffer, detected.encoding),
+    encoding: detected.encoding,
+    bom: detected.bom
+  };
+}
+
+/**
+ * 按指定编码编码文本
+ * @param {string} text 文本
+ * @param {string} encoding 编码名称
+ * @param {Object} options 选项
+ * @param {boolean} options.bom 是否写入BOM(仅UTF-8和UTF-16有效)
+ * @returns {Buffer} 编码后的内容
+ */
+function encode(text, encoding, options = {}) {
+  assertSupportedEncoding(encoding);
+  const content = isNativeEncoding(encoding) ? Buffer.from(text, encoding) : iconv.encode(text, encoding);
+  const bom = options.bom && BOMS.find(item => item.encoding === encoding);
+  return bom ? Buffer.concat([bom.bytes, content]) : content;
+}
+
+/**
+ * 创建按指定编码解码的文本读取流
+ * @param {string} filePath 文件路径
+ * @param {string} encoding 编码名称
+ * @param {Object} options 选项
+ * @param {boolean} options.stripBom 是否去掉开头的BOM
+ * @returns {stream.Readable} 输出字符串的可读流
+ */
+function createTextReadStream(filePath, encoding, options = {}) {
+  assertSupportedEncoding(encoding);
+  if (isNativeEncoding(encoding) && !options.stripBom) {
+    return fs.createReadStream(filePath, { encoding });
+  }
+
+  // iconv-lite的解码流默认去掉BOM
+  const input = fs.createReadStream(filePath);
+  const output = input.pipe(iconv.decodeStream(encoding, { stripBOM: options.stripBom !== false }));
+  input.on('error', error => output.destroy(error));
+  output.on('close', () => input.destroy());
+  return output;
+}
+
+module.exports = {
+  isSupportedEncoding,
+  detectEncoding,
+  detectFileEncoding,
+  resolveEncoding,
+  decode,
+  decodeText,
+  encode,
+  createTextReadStream
+};
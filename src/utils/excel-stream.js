@@ -0,0 +1,264 @@
+/**
+ * Excel流式读取模块
+ * 使用ExcelJS流式读取器按行分页读取大型.xlsx文件，以及在不解析单元格的情况下读取工作表信息
+ */
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+const { DomUtils } = require('htmlparser2');
+const { openZip, readXmlEntry, readRelationships } = require('./zip-xml');
+
+/**
+ * 获取元素的本地名称(去掉命名空间前缀)
+ * @param {Object} element DOM元素
+ * @returns {string} 本地名称
+ */
+function localName(element) {
+  return element.name.replace(/^.*:/, '');
+}
+
+/**
+ * 将列字母转换为列号
+ * @param {string} letters 列字母，如 AB
+ * @returns {number} 列号(从1开始)
+ */
+function columnToNumber(letters) {
+  let number = 0;
+  for (const letter of letters) {
+    number = number * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return number;
+}
+
+/**
+ * 将列号转换为列字母
+ * @param {number} number 列号(从1开始)
+ * @returns {string} 列字母
+ */
+function numberToColumn(number) {
+  let letters = '';
+  while (number > 0) {
+    const remainder = (number - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    number = Math.floor((number - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * 读取工作表的区域
+ * 优先使用工作表XML开头的dimension元素，只解压到sheetData之前的内容；
+ * 没有dimension元素时(如流式写入的文件)扫描行和单元格引用，但不解析单元格
+ * @param {JSZip} zip 压缩包
+ * @param {string} entryPath 工作表路径
+ * @returns {Promise<string|null>} 区域引用，如 A1:D500000，空工作表返回null
+ */
+function readDimension(zip, entryPath) {
+  const entry = zip.file(entryPath);
+  if (!entry) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const stream = entry.internalStream('string');
+    let head = '';
+    let inSheetData = false;
+    let tail = '';
+    let lastRow = 0;
+    let lastColumn = 0;
+    let done = false;
+
+    const finish = (value) => {
+      if (!done) {
+        done = true;
+        stream.pause();
+        resolve(value);
+      }
+    };
+
+    const scan = (text) => {
+      for (const match of text.matchAll(/<(?:\w+:)?row\b[^>]*?\sr="(\d+)"/g)) {
+        lastRow = Math.max(lastRow, parseInt(match[1], 10));
+      }
+      for (const match of text.matchAll(/<(?:\w+:)?c\b[^>]*?\sr="([A-Z]+)\d+"/g)) {
+        lastColumn = Math.max(lastColumn, columnToNumber(match[1]));
+      }
+    };
+
+    stream
+      .on('data', (chunk) => {
+        if (inSheetData) {
+          // 保留上一块的结尾，避免标签被切断
+          scan(tail + chunk);
+          tail = chunk.slice(-256);
+          return;
+        }
+
+        head += chunk;
+        const match = head.match(/<(?:\w+:)?dimension\s+ref="([^"]+)"/);
+        if (match) {
+          finish(match[1]);
+        } else if (/<(?:\w+:)?sheetData[\s>/]/.test(head)) {
+          inSheetData = true;
+          scan(head);
+          tail = head.slice(-256);
+          head = '';
+        }
+      })
+      .on('error', reject)
+      .on('end', () => finish(lastRow > 0 && lastColumn > 0 ? `A1:${numberToColumn(lastColumn)}${lastRow}` : null))
+      .resume();
+  });
+}
+
+/**
+ * 读取.xlsx文件的工作表信息
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Array<Object>>} 工作表列表 {name, index, state, dimensions, rowCount, columnCount}
+ */
+async function readSheetInfo(filePath) {
+  const zip = await openZip(filePath);
+  const workbookDoc = await readXmlEntry(zip, 'xl/workbook.xml');
+  if (!workbookDoc) {
+    throw new Error('无效的Excel文件: 缺少xl/workbook.xml');
+  }
+
+  const rels = await readRelationships(zip, 'xl/workbook.xml');
+  const sheetElements = DomUtils.findAll(element => localName(element) === 'sheet', workbookDoc.children);
+
+  return Promise.all(sheetElements.map(async (element, index) => {
+    const rel = rels.find(item => item.id === element.attribs['r:id']);
+    const dimensions = rel ? await readDimension(zip, rel.target) : null;
+    const match = dimensions && dimensions.match(/^\$?[A-Z]+\$?\d+(?::\$?([A-Z]+)\$?(\d+))?$/i);
+    const end = match && match[1] ? { column: match[1], row: match[2] } : null;
+
+    return {
+      name: element.attribs.name,
+      index,
+      state: element.attribs.state || 'visible',
+      dimensions,
+      // 行列数取自工作表区域，空工作表为null
+      rowCount: dimensions ? (end ? parseInt(end.row, 10) : 1) : null,
+      columnCount: dimensions ? (end ? columnToNumber(end.column.toUpperCase()) : 1) : null
+    };
+  }));
+}
+
+/**
+ * 读取一行的单元格值
+ * @param {Object} row ExcelJS行
+ * @param {boolean} includeFormulas 是否包含公式
+ * @returns {Array} 单元格值
+ */
+function getRowValues(row, includeFormulas) {
+  const values = [];
+  for (let col = 1; col <= row.cellCount; col++) {
+    const cell = row.getCell(col);
+    values.push(includeFormulas && cell.formula
+      ? { value: cell.value, formula: cell.formula }
+      : cell.value);
+  }
+  return values;
+}
+
+/**
+ * 流式读取工作表中的一页数据行
+ * 空行不计入偏移量；找到足够的行后立即停止读取
+ * 工作表XML在ZIP中是压缩的，无法从中间恢复解析，每页都从工作表开头读到offset+limit行
+ * @param {string} filePath .xlsx文件路径
+ * @param {Object} options 选项
+ * @param {string|number} options.sheet 工作表名称或索引，默认第一个工作表
+ * @param {number} options.offset 跳过的数据行数
+ * @param {number} options.limit 返回的最大行数
+ * @param {boolean} options.headerRow 是否将第一个非空行作为表头
+ * @param {boolean} options.includeFormulas 是否包含公式
+ * @returns {Promise<Object>} { sheet, headers, rows: [{number, values}], hasMore, availableSheets }
+ */
+async function readSheetRows(filePath, options = {}) {
+  const { sheet, offset = 0, limit = 1000, headerRow = false, includeFormulas = false } = options;
+
+  const input = fs.createReadStream(filePath);
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    worksheets: 'emit',
+    entries: 'ignore'
+  });
+
+  let target = null;
+  let headers;
+  let skipped = 0;
+  let hasMore = false;
+  const rows = [];
+
+  try {
+    for await (const worksheetReader of reader) {
+      const sheetNames = (reader.model && reader.model.sheets || []).map(item => item.name);
+      const index = sheetNames.indexOf(worksheetReader.name);
+
+      let isTarget;
+      if (typeof sheet === 'number') {
+        isTarget = index === sheet;
+      } else if (sheet !== undefined) {
+        isTarget = worksheetReader.name === sheet;
+      } else {
+        isTarget = index <= 0;
+      }
+
+      // 非目标工作表的内容由读取器自动跳过
+      if (!isTarget) {
+        continue;
+      }
+
+      target = { name: worksheetReader.name, index };
+
+      for await (const row of worksheetReader) {
+        if (!row.hasValues) {
+          continue;
+        }
+
+        if (headerRow && !headers) {
+          headers = getRowValues(row, false);
+          continue;
+        }
+
+        if (skipped < offset) {
+          skipped++;
+          continue;
+        }
+
+        if (rows.length >= limit) {
+          hasMore = true;
+          break;
+        }
+
+        rows.push({ number: row.number, values: getRowValues(row, includeFormulas) });
+      }
+      break;
+    }
+  } finally {
+    input.destroy();
+  }
+
+  const availableSheets = (reader.model && reader.model.sheets || []).map(item => item.name);
+
+  if (!target) {
+    if (typeof sheet === 'number') {
+      throw new Error(`工作表索引超出范围: ${sheet}，有效范围: 0-${availableSheets.length - 1}`);
+    }
+    throw new Error(sheet !== undefined ? `找不到工作表: ${sheet}` : 'Excel文件中没有有效的工作表');
+  }
+
+  return {
+    sheet: target,
+    headers: headerRow ? (headers || []) : undefined,
+    rows,
+    hasMore,
+    availableSheets
+  };
+}
+
+module.exports = {
+  readSheetInfo,
+  readSheetRows
+};
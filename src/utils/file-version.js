@@ -0,0 +1,106 @@
+/**
+ * 文件版本模块
+ * 生成文件的版本标识(修改时间+大小，或内容SHA-256)，用于修改操作的ifMatch前置条件检查
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// SHA-256版本标识，可带sha256:前缀
+const SHA256_PATTERN = /^(?:sha256:)?([0-9a-f]{64})$/i;
+
+/**
+ * 根据文件状态生成版本标识
+ * @param {fs.BigIntStats} stats 以bigint形式获取的文件状态
+ * @returns {string} 版本标识，格式为 <修改时间纳秒>-<大小>
+ */
+function createVersionToken(stats) {
+  return `${stats.mtimeNs}-${stats.size}`;
+}
+
+/**
+ * 流式计算文件内容的SHA-256
+ * @param {string} filePath 文件路径
+ * @returns {Promise<string>} 十六进制哈希值
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * 获取文件的版本信息
+ * @param {string} filePath 文件路径
+ * @param {Object} options 选项
+ * @param {boolean} options.hash 是否计算内容SHA-256，默认true
+ * @returns {Promise<Object>} { version, sha256 }
+ */
+async function getFileVersion(filePath, options = {}) {
+  const { hash = true } = options;
+  const stats = await fs.promises.stat(filePath, { bigint: true });
+  return {
+    version: createVersionToken(stats),
+    sha256: hash && stats.isFile() ? await hashFile(filePath) : undefined
+  };
+}
+
+/**
+ * 创建版本冲突错误
+ * @param {string} filePath 文件路径
+ * @param {string} expected 期望的版本标识
+ * @param {Object|null} current 当前版本信息，文件不存在时为null
+ * @returns {Error} 错误码为CONFLICT的错误
+ */
+function createConflictError(filePath, expected, current) {
+  const error = new Error(current
+    ? `文件已被修改，版本与ifMatch不一致: ${filePath}`
+    : `文件不存在，无法满足ifMatch条件: ${filePath}`);
+  error.code = 'CONFLICT';
+  error.details = {
+    path: filePath,
+    expected,
+    current: current ? current.version : null,
+    currentSha256: current ? current.sha256 : undefined
+  };
+  return error;
+}
+
+/**
+ * 检查ifMatch前置条件，文件自读取后发生变化时抛出CONFLICT错误
+ * ifMatch可以是get_file_info返回的version(修改时间+大小)或sha256(内容哈希)
+ * @param {string} filePath 文件路径
+ * @param {string} ifMatch 期望的版本标识，未指定时不检查
+ * @returns {Promise<void>}
+ */
+async function assertIfMatch(filePath, ifMatch) {
+  if (ifMatch === undefined || ifMatch === null) {
+    return;
+  }
+
+  const hashMatch = String(ifMatch).match(SHA256_PATTERN);
+  let current;
+  try {
+    current = await getFileVersion(filePath, { hash: Boolean(hashMatch) });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw createConflictError(filePath, ifMatch, null);
+    }
+    throw error;
+  }
+
+  const matches = hashMatch
+    ? current.sha256 === hashMatch[1].toLowerCase()
+    : current.version === String(ifMatch);
+
+  if (!matches) {
+    throw createConflictError(filePath, ifMatch, current);
+  }
+}
+
+module.exports = {
+  createVersionToken,
+  hashFile,
+  getFileVersion,
+  assertIfMatch
+};
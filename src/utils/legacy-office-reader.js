@@ -0,0 +1,74 @@
+/**
+ * 旧版Office文档解析模块
+ * 识别文件的实际容器格式，并从OLE2格式的.doc文件中提取文本
+ * 旧版.xls需要SheetJS解析，而npm上的xlsx停留在有安全公告的0.18.5，因此不支持
+ */
+const fs = require('fs');
+const WordExtractor = require('word-extractor');
+
+// 文件头签名
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * HTML转义
+ * @param {string} text 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 根据文件头识别容器格式
+ * @param {string} filePath 文件路径
+ * @returns {Promise<string|null>} 'ole2'(旧版Office二进制格式)、'zip'(OOXML/OpenDocument)或null
+ */
+async function detectContainer(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(OLE2_SIGNATURE.length);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+
+    if (bytesRead >= OLE2_SIGNATURE.length && header.equals(OLE2_SIGNATURE)) {
+      return 'ole2';
+    }
+    if (bytesRead >= ZIP_SIGNATURE.length && header.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+      return 'zip';
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 读取旧版Word文档(.doc)的文本
+ * 旧版格式只提取文本，HTML中每个段落对应一个<p>，不包含格式
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object>} { text, html, paragraphs }
+ */
+async function readWordDocument(filePath) {
+  const extractor = new WordExtractor();
+  const document = await extractor.extract(filePath);
+
+  const paragraphs = document.getBody()
+    .split('\n')
+    .filter(paragraph => paragraph.trim().length > 0);
+
+  return {
+    // 与mammoth.extractRawText一致，每个段落后跟一个空行
+    text: paragraphs.map(paragraph => `${paragraph}\n\n`).join(''),
+    html: paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join(''),
+    paragraphs
+  };
+}
+
+module.exports = {
+  detectContainer,
+  readWordDocument
+};
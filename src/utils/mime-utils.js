@@ -0,0 +1,187 @@
+/**
+ * MIME类型检测模块
+ * 根据文件头(magic bytes)和扩展名识别文件类型，并判断是否为二进制文件
+ */
+const fs = require('fs');
+const path = require('path');
+
+// 检测时读取的文件头字节数
+const SNIFF_LENGTH = 8192;
+
+// 文件头签名，offset为签名在文件中的起始位置
+const SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: 'GIF87a' },
+  { mimeType: 'image/gif', bytes: 'GIF89a' },
+  { mimeType: 'image/webp', bytes: 'RIFF', extra: { offset: 8, bytes: 'WEBP' } },
+  { mimeType: 'image/bmp', bytes: 'BM' },
+  { mimeType: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: 'image/avif', bytes: 'ftypavif', offset: 4 },
+  { mimeType: 'application/pdf', bytes: '%PDF-' },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mimeType: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mimeType: 'application/vnd.rar', bytes: 'Rar!' },
+  { mimeType: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { mimeType: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { mimeType: 'application/x-elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mimeType: 'application/vnd.microsoft.portable-executable', bytes: 'MZ' },
+  { mimeType: 'audio/mpeg', bytes: 'ID3' },
+  { mimeType: 'audio/ogg', bytes: 'OggS' },
+  { mimeType: 'audio/wav', bytes: 'RIFF', extra: { offset: 8, bytes: 'WAVE' } },
+  { mimeType: 'audio/flac', bytes: 'fLaC' },
+  { mimeType: 'video/mp4', bytes: 'ftyp', offset: 4 },
+  { mimeType: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] }
+];
+
+// 扩展名对应的MIME类型
+const EXTENSION_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar',
+  '.wasm': 'application/wasm',
+  '.exe': 'application/vnd.microsoft.portable-executable',
+  '.dll': 'application/vnd.microsoft.portable-executable',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.ts': 'text/x-typescript',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml'
+};
+
+// 以ZIP或OLE2为容器的格式，文件头相同时以扩展名为准
+const CONTAINER_TYPES = new Set(['application/zip', 'application/x-ole-storage']);
+
+/**
+ * 检查缓冲区在指定位置是否匹配签名
+ * @param {Buffer} buffer 文件头
+ * @param {Array<number>|string} bytes 签名
+ * @param {number} offset 起始位置
+ * @returns {boolean} 是否匹配
+ */
+function matchesBytes(buffer, bytes, offset = 0) {
+  const signature = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return buffer.length >= offset + signature.length &&
+    buffer.subarray(offset, offset + signature.length).equals(signature);
+}
+
+/**
+ * 根据文件头识别MIME类型
+ * @param {Buffer} buffer 文件头
+ * @returns {string|null} MIME类型
+ */
+function detectFromBuffer(buffer) {
+  const match = SIGNATURES.find(signature =>
+    matchesBytes(buffer, signature.bytes, signature.offset) &&
+    (!signature.extra || matchesBytes(buffer, signature.extra.bytes, signature.extra.offset))
+  );
+  return match ? match.mimeType : null;
+}
+
+/**
+ * 根据扩展名获取MIME类型
+ * @param {string} filePath 文件路径
+ * @returns {string|null} MIME类型
+ */
+function getMimeTypeByExtension(filePath) {
+  return EXTENSION_TYPES[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * 检测文件的MIME类型
+ * 文件头签名优先，其次为扩展名；都无法识别时根据是否包含NUL字节判断
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object>} { mimeType, binary, source: 'magic'|'extension'|'content' }
+ */
+async function detectMimeType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  let buffer;
+  try {
+    buffer = Buffer.alloc(SNIFF_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    buffer = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  // UTF-16文本包含大量NUL字节，带BOM时仍按文本处理
+  const utf16Bom = buffer.length >= 2 &&
+    ((buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff));
+  const hasNul = !utf16Bom && buffer.includes(0);
+  const magicType = detectFromBuffer(buffer);
+  const extensionType = getMimeTypeByExtension(filePath);
+
+  if (magicType) {
+    // .docx、.xlsx等格式的文件头就是ZIP/OLE2，扩展名能给出更具体的类型
+    const mimeType = CONTAINER_TYPES.has(magicType) && extensionType ? extensionType : magicType;
+    return { mimeType, binary: true, source: 'magic' };
+  }
+
+  if (extensionType) {
+    const textual = extensionType.startsWith('text/') ||
+      ['application/json', 'application/xml', 'application/yaml', 'image/svg+xml'].includes(extensionType);
+    return { mimeType: extensionType, binary: !textual || hasNul, source: 'extension' };
+  }
+
+  return {
+    mimeType: hasNul ? 'application/octet-stream' : 'text/plain',
+    binary: hasNul,
+    source: 'content'
+  };
+}
+
+/**
+ * 判断MIME类型是否应作为图片内容返回(SVG为文本格式，不包含在内)
+ * @param {string} mimeType MIME类型
+ * @returns {boolean} 是否为图片
+ */
+function isImageMimeType(mimeType) {
+  return mimeType.startsWith('image/') && mimeType !== 'image/svg+xml';
+}
+
+module.exports = {
+  detectMimeType,
+  getMimeTypeByExtension,
+  isImageMimeType
+};
@@ -0,0 +1,434 @@
+/**
+ * OpenDocument文档解析模块
+ * 从.odt文本文档中提取文本和HTML，从.ods电子表格中提取单元格数据
+ */
+const { DomUtils } = require('htmlparser2');
+const { openZip, readXmlEntry, children, findOne, findText } = require('./zip-xml');
+
+// 提取文本时跳过的元素(脚注、批注、修订记录和图形框)
+const SKIPPED_ELEMENTS = new Set([
+  'text:note',
+  'office:annotation',
+  'office:annotation-end',
+  'text:tracked-changes',
+  'draw:frame'
+]);
+
+// 作为容器递归处理的块级元素
+const CONTAINER_ELEMENTS = new Set([
+  'text:section',
+  'text:table-of-content',
+  'text:alphabetical-index',
+  'text:illustration-index',
+  'text:table-index',
+  'text:index-body'
+]);
+
+// 表格中包含行的分组元素
+const ROW_GROUP_ELEMENTS = new Set([
+  'table:table-header-rows',
+  'table:table-row-group',
+  'table:table-rows'
+]);
+
+/**
+ * HTML转义
+ * @param {string} text 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 提取段落内的行内内容
+ * @param {Object} node 段落或行内元素
+ * @returns {Object} { text, html }
+ */
+function renderInline(node) {
+  let text = '';
+  let html = '';
+
+  for (const child of node.children || []) {
+    if (child.type === 'text') {
+      // ODF中连续空白折叠为一个空格，多个空格使用text:s表示
+      const value = child.data.replace(/[\t\r\n ]+/g, ' ');
+      text += value;
+      html += escapeHtml(value);
+      continue;
+    }
+
+    if (child.type !== 'tag' || SKIPPED_ELEMENTS.has(child.name)) {
+      continue;
+    }
+
+    if (child.name === 'text:s') {
+      const spaces = ' '.repeat(parseInt(child.attribs['text:c'], 10) || 1);
+      text += spaces;
+      html += spaces;
+    } else if (child.name === 'text:tab') {
+      text += '\t';
+      html += '\t';
+    } else if (child.name === 'text:line-break') {
+      text += '\n';
+      html += '<br />';
+    } else if (child.name === 'text:a') {
+      const inner = renderInline(child);
+      const href = child.attribs['xlink:href'];
+      text += inner.text;
+      html += href ? `<a href="${escapeHtml(href)}">${inner.html}</a>` : inner.html;
+    } else {
+      const inner = renderInline(child);
+      text += inner.text;
+      html += inner.html;
+    }
+  }
+
+  return { text, html };
+}
+
+/**
+ * 收集列表样式的编号类型
+ * @param {Array<Object|null>} docs 包含列表样式的DOM文档
+ * @returns {Map<string, Map<number, string>>} 样式名称 -> (级别 -> 'ol'|'ul')
+ */
+function collectListStyles(docs) {
+  const listStyles = new Map();
+
+  for (const doc of docs) {
+    if (!doc) {
+      continue;
+    }
+
+    for (const style of DomUtils.getElementsByTagName('text:list-style', doc.children, true)) {
+      const levels = new Map();
+      for (const levelStyle of style.children || []) {
+        if (levelStyle.type !== 'tag') {
+          continue;
+        }
+        const level = parseInt(levelStyle.attribs['text:level'], 10) || 1;
+        levels.set(level, levelStyle.name === 'text:list-level-style-number' ? 'ol' : 'ul');
+      }
+      listStyles.set(style.attribs['style:name'], levels);
+    }
+  }
+
+  return listStyles;
+}
+
+/**
+ * 将文本文档的块级元素转换为文本段落和HTML
+ * @param {Object} container 容器元素
+ * @param {Object} context 上下文 { listStyles, paragraphs, html }
+ */
+function renderBlocks(container, context) {
+  for (const node of container.children || []) {
+    if (node.type !== 'tag') {
+      continue;
+    }
+
+    if (node.name === 'text:p' || node.name === 'text:h') {
+      const { text, html } = renderInline(node);
+      if (text.trim().length === 0) {
+        continue;
+      }
+
+      const tag = node.name === 'text:h'
+        ? `h${Math.min(6, Math.max(1, parseInt(node.attribs['text:outline-level'], 10) || 1))}`
+        : 'p';
+      context.paragraphs.push(text);
+      context.html.push(`<${tag}>${html}</${tag}>`);
+    } else if (node.name === 'text:list') {
+      renderList(node, context, node.attribs['text:style-name'], 1);
+    } else if (node.name === 'table:table') {
+      renderTable(node, context);
+    } else if (CONTAINER_ELEMENTS.has(node.name)) {
+      renderBlocks(node, context);
+    }
+  }
+}
+
+/**
+ * 转换列表
+ * @param {Object} list text:list元素
+ * @param {Object} context 上下文
+ * @param {string} styleName 列表样式名称(嵌套列表继承外层样式)
+ * @param {number} level 列表级别
+ */
+function renderList(list, context, styleName, level) {
+  const levels = context.listStyles.get(list.attribs['text:style-name'] || styleName);
+  const tag = (levels && levels.get(level)) || 'ul';
+
+  context.html.push(`<${tag}>`);
+  for (const item of list.children || []) {
+    if (item.name !== 'text:list-item' && item.name !== 'text:list-header') {
+      continue;
+    }
+
+    context.html.push('<li>');
+    const itemTexts = [];
+    for (const child of item.children || []) {
+      if (child.name === 'text:p' || child.name === 'text:h') {
+        const { text, html } = renderInline(child);
+        if (text.trim().length > 0) {
+          context.paragraphs.push(text);
+          itemTexts.push(html);
+        }
+      } else if (child.name === 'text:list') {
+        if (itemTexts.length > 0) {
+          context.html.push(itemTexts.splice(0).join('<br />'));
+        }
+        renderList(child, context, list.attribs['text:style-name'] || styleName, level + 1);
+      }
+    }
+    if (itemTexts.length > 0) {
+      context.html.push(itemTexts.join('<br />'));
+    }
+    context.html.push('</li>');
+  }
+  context.html.push(`</${tag}>`);
+}
+
+/**
+ * 收集表格中的行元素
+ * @param {Object} node table:table或行分组元素
+ * @returns {Array<Object>} table:table-row元素
+ */
+function collectRows(node) {
+  const rows = [];
+  for (const child of node.children || []) {
+    if (child.name === 'table:table-row') {
+      rows.push(child);
+    } else if (ROW_GROUP_ELEMENTS.has(child.name)) {
+      rows.push(...collectRows(child));
+    }
+  }
+  return rows;
+}
+
+/**
+ * 转换文本文档中的表格
+ * @param {Object} table table:table元素
+ * @param {Object} context 上下文
+ */
+function renderTable(table, context) {
+  context.html.push('<table>');
+  for (const row of collectRows(table)) {
+    context.html.push('<tr>');
+    for (const cell of children(row, 'table:table-cell')) {
+      const cellContext = { listStyles: context.listStyles, paragraphs: [], html: [] };
+      renderBlocks(cell, cellContext);
+      context.paragraphs.push(...cellContext.paragraphs);
+      context.html.push(`<td>${cellContext.html.join('')}</td>`);
+    }
+    context.html.push('</tr>');
+  }
+  context.html.push('</table>');
+}
+
+/**
+ * 读取文档属性
+ * @param {JSZip} zip 压缩包
+ * @returns {Promise<Object>} 文档属性
+ */
+async function readMeta(zip) {
+  const metaDoc = await readXmlEntry(zip, 'meta.xml');
+  if (!metaDoc) {
+    return {};
+  }
+
+  return {
+    title: findText(metaDoc, 'dc:title'),
+    creator: findText(metaDoc, 'meta:initial-creator'),
+    lastModifiedBy: findText(metaDoc, 'dc:creator'),
+    created: findText(metaDoc, 'meta:creation-date'),
+    modified: findText(metaDoc, 'dc:date')
+  };
+}
+
+/**
+ * 打开OpenDocument文件并读取content.xml
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object>} { zip, contentDoc }
+ */
+async function openDocument(filePath) {
+  const zip = await openZip(filePath);
+  const contentDoc = await readXmlEntry(zip, 'content.xml');
+  if (!contentDoc) {
+    throw new Error('无效的OpenDocument文件: 缺少content.xml');
+  }
+  return { zip, contentDoc };
+}
+
+/**
+ * 读取OpenDocument文本文档(.odt)
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object>} { text, html, paragraphs, properties }
+ */
+async function readTextDocument(filePath) {
+  const { zip, contentDoc } = await openDocument(filePath);
+
+  const body = findOne(contentDoc, 'office:text');
+  if (!body) {
+    throw new Error('无效的OpenDocument文本文档: 缺少office:text');
+  }
+
+  const context = {
+    listStyles: collectListStyles([contentDoc, await readXmlEntry(zip, 'styles.xml')]),
+    paragraphs: [],
+    html: []
+  };
+  renderBlocks(body, context);
+
+  return {
+    // 与mammoth.extractRawText一致，每个段落后跟一个空行
+    text: context.paragraphs.map(paragraph => `${paragraph}\n\n`).join(''),
+    html: context.html.join(''),
+    paragraphs: context.paragraphs,
+    properties: await readMeta(zip)
+  };
+}
+
+/**
+ * 将ODF公式转换为Excel公式语法
+ * 例如 of:=SUM([.A1:.A3];[Sheet2.B1]) 转换为 SUM(A1:A3,Sheet2!B1)
+ * @param {string} formula ODF公式
+ * @returns {string} Excel公式(不含=)
+ */
+function convertFormula(formula) {
+  return formula
+    .replace(/^(?:[a-zA-Z]+:)?=/, '')
+    .replace(/\[([^\]]+)\]/g, (match, ref) => ref
+      .split(':')
+      .map(part => (part.startsWith('.') ? part.substring(1) : part.replace(/^\$?([^.]*)\./, '$1!')))
+      .join(':'))
+    .replace(/;/g, ',');
+}
+
+/**
+ * 获取单元格的值
+ * @param {Object} cell table:table-cell元素
+ * @returns {*} 单元格值，空单元格返回null
+ */
+function getCellValue(cell) {
+  const attribs = cell.attribs;
+  let value;
+
+  switch (attribs['office:value-type']) {
+    case 'float':
+    case 'percentage':
+    case 'currency':
+      value = Number(attribs['office:value']);
+      break;
+    case 'date':
+      value = new Date(attribs['office:date-value']);
+      break;
+    case 'time':
+      value = attribs['office:time-value'];
+      break;
+    case 'boolean':
+      value = attribs['office:boolean-value'] === 'true';
+      break;
+    default: {
+      const paragraphs = children(cell, 'text:p').map(paragraph => renderInline(paragraph).text);
+      value = paragraphs.length > 0 ? paragraphs.join('\n') : null;
+    }
+  }
+
+  if (attribs['table:formula']) {
+    return { formula: convertFormula(attribs['table:formula']), result: value };
+  }
+
+  return value;
+}
+
+/**
+ * 读取一行中的单元格值
+ * 行尾重复的空单元格(通常是样式占位)不展开
+ * @param {Object} row table:table-row元素
+ * @returns {Array} 单元格值
+ */
+function readRowValues(row) {
+  const values = [];
+  let pendingEmpty = 0;
+
+  for (const cell of row.children || []) {
+    if (cell.name !== 'table:table-cell' && cell.name !== 'table:covered-table-cell') {
+      continue;
+    }
+
+    const repeat = parseInt(cell.attribs['table:number-columns-repeated'], 10) || 1;
+    const value = cell.name === 'table:table-cell' ? getCellValue(cell) : null;
+
+    if (value === null) {
+      pendingEmpty += repeat;
+      continue;
+    }
+
+    for (let i = 0; i < pendingEmpty; i++) {
+      values.push(null);
+    }
+    pendingEmpty = 0;
+
+    for (let i = 0; i < repeat; i++) {
+      values.push(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 读取OpenDocument电子表格(.ods)
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object>} { sheets: [{ name, rows }], properties }
+ */
+async function readSpreadsheet(filePath) {
+  const { zip, contentDoc } = await openDocument(filePath);
+
+  const body = findOne(contentDoc, 'office:spreadsheet');
+  if (!body) {
+    throw new Error('无效的OpenDocument电子表格: 缺少office:spreadsheet');
+  }
+
+  const sheets = children(body, 'table:table').map(table => {
+    const rows = [];
+    let pendingEmpty = 0;
+
+    // 与单元格相同，表格末尾重复的空行不展开
+    for (const row of collectRows(table)) {
+      const repeat = parseInt(row.attribs['table:number-rows-repeated'], 10) || 1;
+      const values = readRowValues(row);
+
+      if (values.length === 0) {
+        pendingEmpty += repeat;
+        continue;
+      }
+
+      for (let i = 0; i < pendingEmpty; i++) {
+        rows.push([]);
+      }
+      pendingEmpty = 0;
+
+      for (let i = 0; i < repeat; i++) {
+        rows.push(values.slice());
+      }
+    }
+
+    return { name: table.attribs['table:name'], rows };
+  });
+
+  return {
+    sheets,
+    properties: await readMeta(zip)
+  };
+}
+
+module.exports = {
+  readTextDocument,
+  readSpreadsheet
+};
@@ -4,7 +4,9 @@
  */
 const path = require('path');
 const fs = require('fs');
+const { minimatch } = require('minimatch');
 const config = require('../config');
+const securityUtils = require('../config/security');
 const logger = require('./logging');
 
 /**
@@ -71,17 +73,10 @@ function validatePath(filePath) {
     }
   }
   
-  // 检查路径白名单
-  const { allowedPaths } = config.security.pathSecurity;
-  if (allowedPaths && allowedPaths.length > 0) {
-    const isAllowed = allowedPaths.some(allowedPath => 
-      normalizedPath === allowedPath || normalizedPath.startsWith(allowedPath + path.sep)
-    );
-    
-    if (!isAllowed) {
-      logger.warn('路径不在白名单中', { path: filePath, allowedPaths });
-      throw new Error('安全限制: 路径不在允许访问的范围内');
-    }
+  // 检查工作区根目录 (解析符号链接后判断)
+  if (!securityUtils.isWithinAllowedRoots(normalizedPath)) {
+    logger.warn('路径不在工作区根目录内', { path: filePath, allowedPaths: securityUtils.getAllowedRoots() });
+    throw new Error('安全限制: 路径不在允许访问的范围内');
   }
   
   // 检查路径黑名单
@@ -183,6 +178,24 @@ async function ensureDir(dirPath, recursive = true) {
   }
 }
 
+/**
+ * 移动路径，跨设备时复制后删除
+ * @param {string} source 源路径
+ * @param {string} destination 目标路径
+ * @returns {Promise<void>}
+ */
+async function movePath(source, destination) {
+  try {
+    await fs.promises.rename(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.promises.cp(source, destination, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+    await fs.promises.rm(source, { recursive: true, force: true });
+  }
+}
+
 /**
  * 获取文件信息
  * @param {string} filePath 文件路径
@@ -198,10 +211,77 @@ async function getFileInfo(filePath) {
   }
 }
 
+/**
+ * 将路径分隔符统一为 /，用于glob匹配
+ * @param {string} filePath 路径
+ * @returns {string} 使用 / 分隔的路径
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * 拆分以逗号分隔的glob模式，花括号内的逗号属于模式本身，如 *.{js,ts}
+ * @param {string} value 模式字符串
+ * @returns {Array<string>} 模式列表
+ */
+function splitGlobPatterns(value) {
+  const patterns = [];
+  let current = '';
+  let depth = 0;
+  
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && i + 1 < value.length) {
+      current += char + value[++i];
+      continue;
+    }
+    if (char === '{') {
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      patterns.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  
+  patterns.push(current);
+  return patterns;
+}
+
+/**
+ * 创建glob匹配函数
+ * 不含 / 的模式只匹配文件名，例如 *.js 可以匹配任意层级下的js文件
+ * @param {string|Array<string>} patterns glob模式或模式列表，字符串时以花括号外的逗号分隔
+ * @returns {Function|null} 匹配函数 (relativePath) => boolean，没有模式时返回null
+ */
+function createGlobMatcher(patterns) {
+  const list = (Array.isArray(patterns) ? patterns : splitGlobPatterns(String(patterns || '')))
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+  
+  if (list.length === 0) {
+    return null;
+  }
+  
+  const options = { dot: true, matchBase: true, nocase: process.platform === 'win32' };
+  
+  return (relativePath) => {
+    const posixPath = toPosixPath(relativePath);
+    return list.some(pattern => minimatch(posixPath, pattern, options));
+  };
+}
+
 module.exports = {
   validatePath,
   pathExists,
   ensureDir,
+  movePath,
   getFileInfo,
-  sanitizePath
+  sanitizePath,
+  toPosixPath,
+  createGlobMatcher
 }; 
\ No newline at end of file
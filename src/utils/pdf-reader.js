@@ -0,0 +1,101 @@
+/**
+ * PDF文档解析模块
+ * 基于pdf.js按页提取文本和文档元数据
+ */
+const fs = require('fs');
+// 使用标准构建: legacy构建在缺少canvas时会向stdout输出警告，干扰stdio通信
+const pdfjsLib = require('pdfjs-dist/build/pdf.js');
+
+/**
+ * 提取单页文本
+ * @param {Object} page pdf.js页面对象
+ * @returns {Promise<string>} 页面文本
+ */
+async function extractPageText(page) {
+  const textContent = await page.getTextContent();
+  let text = '';
+
+  for (const item of textContent.items) {
+    if (typeof item.str !== 'string') {
+      continue;
+    }
+    text += item.str;
+    if (item.hasEOL) {
+      text += '\n';
+    }
+  }
+
+  return text.trim();
+}
+
+/**
+ * 读取PDF文档
+ * @param {string} filePath PDF文件路径
+ * @param {Object} options 选项
+ * @param {number} options.startPage 起始页(从1开始)
+ * @param {number} options.endPage 结束页
+ * @param {string} options.password 文档密码
+ * @returns {Promise<Object>} { pageCount, pages, info }
+ */
+async function readPdf(filePath, options = {}) {
+  const { startPage = 1, endPage = Infinity, password } = options;
+
+  const data = new Uint8Array(await fs.promises.readFile(filePath));
+  const loadingTask = pdfjsLib.getDocument({
+    data,
+    password,
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: pdfjsLib.VerbosityLevel.ERRORS
+  });
+
+  let document;
+  try {
+    document = await loadingTask.promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw new Error(password ? 'PDF文档密码错误' : 'PDF文档已加密，需要提供密码');
+    }
+    throw new Error(`无效的PDF文件: ${error.message}`);
+  }
+
+  try {
+    const pageCount = document.numPages;
+    const lastPage = Math.min(endPage, pageCount);
+    const pages = [];
+
+    for (let pageNumber = startPage; pageNumber <= lastPage; pageNumber++) {
+      const page = await document.getPage(pageNumber);
+      pages.push({
+        page: pageNumber,
+        text: await extractPageText(page)
+      });
+      page.cleanup();
+    }
+
+    const { info = {} } = await document.getMetadata().catch(() => ({}));
+
+    return {
+      pageCount,
+      pages,
+      info: {
+        title: info.Title || undefined,
+        author: info.Author || undefined,
+        subject: info.Subject || undefined,
+        keywords: info.Keywords || undefined,
+        creator: info.Creator || undefined,
+        producer: info.Producer || undefined,
+        creationDate: info.CreationDate || undefined,
+        modificationDate: info.ModDate || undefined,
+        pdfVersion: info.PDFFormatVersion || undefined
+      }
+    };
+  } finally {
+    await loadingTask.destroy();
+  }
+}
+
+module.exports = {
+  readPdf
+};
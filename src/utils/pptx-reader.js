@@ -0,0 +1,188 @@
+/**
+ * PowerPoint文档解析模块
+ * 从.pptx文件中提取幻灯片标题、正文、表格和演讲者备注
+ */
+const { DomUtils } = require('htmlparser2');
+const { openZip, readXmlEntry, children, findOne, findText, readRelationships } = require('./zip-xml');
+
+// 作为标题处理的占位符类型
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrTitle']);
+
+// 不属于正文内容的占位符类型
+const IGNORED_PLACEHOLDERS = new Set(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']);
+
+/**
+ * 提取文本主体中的段落文本
+ * @param {Object} txBody p:txBody或a:txBody元素
+ * @returns {Array<string>} 段落文本
+ */
+function extractParagraphs(txBody) {
+  if (!txBody) {
+    return [];
+  }
+
+  return children(txBody, 'a:p').map(paragraph => {
+    let text = '';
+    for (const child of paragraph.children || []) {
+      if (child.name === 'a:r' || child.name === 'a:fld') {
+        const t = findOne(child, 'a:t');
+        text += t ? DomUtils.textContent(t) : '';
+      } else if (child.name === 'a:br') {
+        text += '\n';
+      }
+    }
+    return text;
+  });
+}
+
+/**
+ * 提取形状树中的内容 (递归处理组合形状)
+ * @param {Object} spTree p:spTree或p:grpSp元素
+ * @param {Object} result 结果 {titles, body, tables}
+ */
+function collectShapes(spTree, result) {
+  for (const node of spTree.children || []) {
+    if (node.type !== 'tag') {
+      continue;
+    }
+
+    if (node.name === 'p:grpSp') {
+      collectShapes(node, result);
+    } else if (node.name === 'p:sp') {
+      const placeholder = findOne(node, 'p:ph');
+      const placeholderType = placeholder ? placeholder.attribs.type || 'body' : null;
+      if (placeholderType && IGNORED_PLACEHOLDERS.has(placeholderType)) {
+        continue;
+      }
+
+      const paragraphs = extractParagraphs(findOne(node, 'p:txBody')).filter(text => text.trim().length > 0);
+      if (placeholderType && TITLE_PLACEHOLDERS.has(placeholderType)) {
+        result.titles.push(paragraphs.join(' '));
+      } else {
+        result.body.push(...paragraphs);
+      }
+    } else if (node.name === 'p:graphicFrame') {
+      const table = findOne(node, 'a:tbl');
+      if (table) {
+        result.tables.push(children(table, 'a:tr').map(row =>
+          children(row, 'a:tc').map(cell => extractParagraphs(findOne(cell, 'a:txBody')).join('\n'))
+        ));
+      }
+    }
+  }
+}
+
+/**
+ * 提取备注页中的演讲者备注
+ * @param {Object} notesDoc 备注页DOM
+ * @returns {string} 备注文本
+ */
+function extractNotes(notesDoc) {
+  const spTree = findOne(notesDoc, 'p:spTree');
+  if (!spTree) {
+    return '';
+  }
+
+  const notes = [];
+  for (const shape of DomUtils.getElementsByTagName('p:sp', spTree.children, true)) {
+    const placeholder = findOne(shape, 'p:ph');
+    // 备注正文位于body占位符中，幻灯片图像和页码等占位符跳过
+    if (!placeholder || (placeholder.attribs.type || 'body') !== 'body') {
+      continue;
+    }
+    notes.push(...extractParagraphs(findOne(shape, 'p:txBody')));
+  }
+
+  return notes.join('\n').trim();
+}
+
+/**
+ * 读取文档属性
+ * @param {JSZip} zip 压缩包
+ * @returns {Promise<Object>} 文档属性
+ */
+async function readCoreProperties(zip) {
+  const coreDoc = await readXmlEntry(zip, 'docProps/core.xml');
+  if (!coreDoc) {
+    return {};
+  }
+
+  return {
+    title: findText(coreDoc, 'dc:title'),
+    creator: findText(coreDoc, 'dc:creator'),
+    lastModifiedBy: findText(coreDoc, 'cp:lastModifiedBy'),
+    created: findText(coreDoc, 'dcterms:created'),
+    modified: findText(coreDoc, 'dcterms:modified')
+  };
+}
+
+/**
+ * 读取PowerPoint演示文稿
+ * @param {string} filePath .pptx文件路径
+ * @param {Object} options 选项
+ * @param {number} options.startSlide 起始幻灯片(从1开始)
+ * @param {number} options.endSlide 结束幻灯片
+ * @param {boolean} options.includeNotes 是否提取演讲者备注，默认true
+ * @returns {Promise<Object>} { slideCount, slides, properties }
+ */
+async function readPresentation(filePath, options = {}) {
+  const { startSlide = 1, endSlide = Infinity, includeNotes = true } = options;
+
+  const zip = await openZip(filePath);
+
+  const presentationDoc = await readXmlEntry(zip, 'ppt/presentation.xml');
+  if (!presentationDoc) {
+    throw new Error('无效的PowerPoint文件: 缺少ppt/presentation.xml');
+  }
+
+  // 按presentation.xml中的顺序确定幻灯片
+  const presentationRels = await readRelationships(zip, 'ppt/presentation.xml');
+  const slideIdList = findOne(presentationDoc, 'p:sldIdLst');
+  const slidePaths = slideIdList
+    ? children(slideIdList, 'p:sldId')
+      .map(slideId => presentationRels.find(rel => rel.id === slideId.attribs['r:id']))
+      .filter(Boolean)
+      .map(rel => rel.target)
+    : [];
+
+  const slideCount = slidePaths.length;
+  const lastSlide = Math.min(endSlide, slideCount);
+  const slides = [];
+
+  for (let index = startSlide; index <= lastSlide; index++) {
+    const slidePath = slidePaths[index - 1];
+    const slideDoc = await readXmlEntry(zip, slidePath);
+    const content = { titles: [], body: [], tables: [] };
+
+    const spTree = slideDoc ? findOne(slideDoc, 'p:spTree') : null;
+    if (spTree) {
+      collectShapes(spTree, content);
+    }
+
+    const slide = {
+      index,
+      title: content.titles.join(' ') || null,
+      body: content.body,
+      tables: content.tables
+    };
+
+    if (includeNotes) {
+      const slideRels = await readRelationships(zip, slidePath);
+      const notesRel = slideRels.find(rel => rel.type.endsWith('/notesSlide'));
+      const notesDoc = notesRel ? await readXmlEntry(zip, notesRel.target) : null;
+      slide.notes = notesDoc ? extractNotes(notesDoc) : '';
+    }
+
+    slides.push(slide);
+  }
+
+  return {
+    slideCount,
+    slides,
+    properties: await readCoreProperties(zip)
+  };
+}
+
+module.exports = {
+  readPresentation
+};
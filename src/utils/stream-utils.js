@@ -4,26 +4,33 @@
  */
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const readline = require('readline');
 const { promisify } = require('util');
 const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const logger = require('./logging');
 const pathUtils = require('./path-utils');
+const encodingUtils = require('./encoding-utils');
 
 /**
  * 流式读取文件内容
  * @param {string} filePath 文件路径
  * @param {Object} options 选项
- * @param {string} options.encoding 编码方式
+ * @param {string|null} options.encoding 编码方式，为null时以Buffer形式回调
  * @param {Function} options.onChunk 分块处理回调
  * @param {number} options.highWaterMark 缓冲区大小
+ * @param {number} options.start 起始字节位置，默认从文件开头读取
+ * @param {number} options.end 结束字节位置(包含)，默认读取到文件末尾
  * @returns {Promise<void>}
  */
 async function streamReadFile(filePath, options = {}) {
   const { 
     encoding = 'utf8',
     onChunk = null,
-    highWaterMark = 64 * 1024 // 64KB
+    highWaterMark = 64 * 1024, // 64KB
+    start,
+    end
   } = options;
   
   try {
@@ -33,7 +40,9 @@ async function streamReadFile(filePath, options = {}) {
     // 创建读取流
     const readStream = fs.createReadStream(validPath, {
       encoding,
-      highWaterMark
+      highWaterMark,
+      start,
+      end
     });
     
     return new Promise((resolve, reject) => {
@@ -122,16 +131,19 @@ async function streamWriteFile(filePath, content, options = {}) {
 /**
  * 统计文件行数
  * @param {string} filePath 文件路径
+ * @param {string} encoding 编码方式，默认按字节读取；UTF-16等换行符不是单字节的编码需要指定
  * @returns {Promise<number>} 文件行数
  */
-async function countFileLines(filePath) {
+async function countFileLines(filePath, encoding) {
   return new Promise((resolve, reject) => {
     let lineCount = 0;
     
     try {
       // 验证路径
       const validPath = pathUtils.validatePath(filePath);
-      const readStream = fs.createReadStream(validPath);
+      const readStream = encoding
+        ? encodingUtils.createTextReadStream(validPath, encoding)
+        : fs.createReadStream(validPath);
       
       const rl = readline.createInterface({
         input: readStream,
@@ -167,10 +179,12 @@ async function countFileLines(filePath) {
  * @param {string} filePath 文件路径
  * @param {number} start 起始行(从1开始)
  * @param {number} end 结束行
- * @param {string} encoding 编码方式
+ * @param {string} encoding 编码方式，支持GBK等Node原生不支持的编码
+ * @param {Object} options 选项
+ * @param {boolean} options.stripBom 是否去掉开头的BOM
  * @returns {Promise<Array<string>>} 读取的行内容
  */
-async function readFileLines(filePath, start, end, encoding = 'utf8') {
+async function readFileLines(filePath, start, end, encoding = 'utf8', options = {}) {
   return new Promise((resolve, reject) => {
     const lines = [];
     let currentLine = 0;
@@ -178,7 +192,7 @@ async function readFileLines(filePath, start, end, encoding = 'utf8') {
     try {
       // 验证路径
       const validPath = pathUtils.validatePath(filePath);
-      const readStream = fs.createReadStream(validPath, { encoding });
+      const readStream = encodingUtils.createTextReadStream(validPath, encoding, options);
       
       const rl = readline.createInterface({
         input: readStream,
@@ -220,6 +234,245 @@ async function readFileLines(filePath, start, end, encoding = 'utf8') {
   });
 }
 
+/**
+ * 检测文件的换行符风格以及是否以换行结尾
+ * @param {string} filePath 文件路径
+ * @returns {Promise<Object>} {eol, endsWithNewline}
+ */
+async function detectLineEnding(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) {
+      return { eol: '\n', endsWithNewline: false };
+    }
+    
+    // 以第一个换行符的风格为准
+    const head = Buffer.alloc(Math.min(size, 64 * 1024));
+    await handle.read(head, 0, head.length, 0);
+    const newlineIndex = head.indexOf(0x0a);
+    const eol = newlineIndex > 0 && head[newlineIndex - 1] === 0x0d ? '\r\n' : '\n';
+    
+    // 检查最后一个字节
+    const tail = Buffer.alloc(1);
+    await handle.read(tail, 0, 1, size - 1);
+    
+    return { eol, endsWithNewline: tail[0] === 0x0a };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 生成与目标文件同目录的临时文件路径，保证重命名时位于同一文件系统
+ * 文件名只含随机标识而不含原文件名，原文件名接近文件系统上限时也不会超长
+ * @param {string} filePath 目标文件路径
+ * @returns {string} 临时文件路径
+ */
+function createTempPath(filePath) {
+  return path.join(path.dirname(filePath), `.mcp-${crypto.randomBytes(8).toString('hex')}.tmp`);
+}
+
+/**
+ * 将写好的临时文件落盘并替换目标文件
+ * 依次fsync临时文件、恢复权限和所有者、重命名覆盖目标文件、fsync所在目录
+ * @param {string} tempPath 临时文件路径
+ * @param {string} targetPath 目标文件路径
+ * @param {Object} options 选项
+ * @param {number} options.mode 文件权限，默认不修改
+ * @param {number} options.uid 所有者ID，默认不修改
+ * @param {number} options.gid 所属组ID，默认不修改
+ * @returns {Promise<void>}
+ */
+async function commitTempFile(tempPath, targetPath, options = {}) {
+  const handle = await fs.promises.open(tempPath, 'r+');
+  try {
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  
+  if (options.mode !== undefined) {
+    await fs.promises.chmod(tempPath, options.mode & 0o7777);
+  }
+  if (options.uid !== undefined && options.gid !== undefined) {
+    // 修改所有者需要相应权限，失败时保留当前用户为所有者
+    await fs.promises.chown(tempPath, options.uid, options.gid).catch((error) => {
+      logger.debug(`无法保留文件所有者: ${error.message}`, { path: targetPath });
+    });
+  }
+  
+  await fs.promises.rename(tempPath, targetPath);
+  
+  // 目录fsync确保重命名本身已落盘，部分平台不支持时忽略
+  try {
+    const dirHandle = await fs.promises.open(path.dirname(targetPath), 'r');
+    try {
+      await dirHandle.sync();
+    } finally {
+      await dirHandle.close();
+    }
+  } catch (error) {
+    logger.debug(`目录同步失败: ${error.message}`, { path: targetPath });
+  }
+}
+
+/**
+ * 原子写入文件
+ * 先写入同目录下的临时文件并fsync，再重命名覆盖目标文件，读取方不会看到写了一半的文件；
+ * 目标文件已存在时保留其权限和所有者，目标为符号链接时替换其指向的文件
+ * @param {string} filePath 文件路径
+ * @param {string|Buffer|Readable} content 文件内容或可读流
+ * @param {Object} options 选项
+ * @param {string} options.encoding 字符串内容的编码方式，默认utf-8
+ * @param {number} options.mode 新文件的权限，默认沿用已有文件的权限
+ * @returns {Promise<void>}
+ */
+async function atomicWriteFile(filePath, content, options = {}) {
+  const { encoding = 'utf8' } = options;
+  
+  // 验证路径
+  const validPath = pathUtils.validatePath(filePath);
+  await pathUtils.ensureDir(path.dirname(validPath));
+  
+  const existing = await fs.promises.stat(validPath).catch(() => null);
+  const targetPath = existing ? await fs.promises.realpath(validPath) : validPath;
+  const tempPath = createTempPath(targetPath);
+  
+  try {
+    const handle = await fs.promises.open(tempPath, 'wx');
+    try {
+      if (content instanceof Readable) {
+        for await (const chunk of content) {
+          await handle.writeFile(typeof chunk === 'string' ? Buffer.from(chunk, encoding) : chunk);
+        }
+      } else {
+        await handle.writeFile(content, typeof content === 'string' ? { encoding } : undefined);
+      }
+    } finally {
+      await handle.close();
+    }
+    
+    await commitTempFile(tempPath, targetPath, {
+      mode: options.mode !== undefined ? options.mode : (existing ? existing.mode : undefined),
+      uid: existing ? existing.uid : undefined,
+      gid: existing ? existing.gid : undefined
+    });
+  } catch (error) {
+    if (content instanceof Readable) {
+      content.destroy();
+    }
+    await fs.promises.unlink(tempPath).catch(() => {});
+    logger.error(`原子写入文件出错: ${error.message}`, { filePath, error });
+    throw error;
+  }
+}
+
+/**
+ * 流式修改文件行 (语义同Array.prototype.splice)
+ * 逐行读取原文件写入同目录下的临时文件，完成后替换原文件，内存占用与文件大小无关；
+ * 目标为符号链接时修改其指向的文件
+ * @param {string} filePath 文件路径
+ * @param {number} start 起始行(从1开始)，为总行数+1时表示追加到文件末尾
+ * @param {number} deleteCount 要删除的行数
+ * @param {Array<string>} insertLines 要在起始行位置插入的行
+ * @param {string} encoding 编码方式，支持gbk等，为auto时沿用原文件的编码和BOM
+ * @returns {Promise<Object>} 修改结果 {totalLines, newTotalLines, deletedLines, insertedLines}
+ */
+async function spliceFileLines(filePath, start, deleteCount, insertLines = [], encoding = 'utf8') {
+  // 验证路径
+  const validPath = pathUtils.validatePath(filePath);
+  const targetPath = await fs.promises.realpath(validPath);
+  const stats = await fs.promises.stat(targetPath);
+  const { eol, endsWithNewline } = await detectLineEnding(targetPath);
+  const resolved = await encodingUtils.resolveEncoding(targetPath, encoding);
+  
+  const tempPath = createTempPath(targetPath);
+  
+  const readStream = encodingUtils.createTextReadStream(targetPath, resolved.encoding, { stripBom: resolved.bom });
+  const rl = readline.createInterface({
+    input: readStream,
+    crlfDelay: Infinity
+  });
+  
+  let currentLine = 0;
+  let writtenLines = 0;
+  let deletedLines = 0;
+  
+  const formatLine = (line) => {
+    const chunk = writtenLines > 0 ? eol + line : line;
+    writtenLines++;
+    return chunk;
+  };
+  
+  // 逐行生成新文件内容
+  async function* generateText() {
+    for await (const line of rl) {
+      currentLine++;
+      
+      if (currentLine === start) {
+        yield* insertLines.map(formatLine);
+      }
+      
+      if (currentLine >= start && currentLine < start + deleteCount) {
+        deletedLines++;
+        continue;
+      }
+      
+      yield formatLine(line);
+    }
+    
+    if (start > currentLine + 1) {
+      throw new Error(`起始行 ${start} 超出文件范围(共${currentLine}行)`);
+    }
+    
+    // 插入位置在文件末尾
+    if (start === currentLine + 1) {
+      yield* insertLines.map(formatLine);
+    }
+    
+    // 保持原文件末尾换行的风格
+    if (endsWithNewline && writtenLines > 0) {
+      yield eol;
+    }
+  }
+  
+  // 按原编码写出，自动检测到BOM时写回；由pipeline负责背压以及临时文件打开、写入失败时的错误传递
+  async function* generateLines() {
+    if (resolved.bom) {
+      yield encodingUtils.encode('', resolved.encoding, { bom: true });
+    }
+    for await (const text of generateText()) {
+      yield encodingUtils.encode(text, resolved.encoding);
+    }
+  }
+  
+  try {
+    await pipeline(generateLines, fs.createWriteStream(tempPath, { flags: 'wx' }));
+    
+    // 保留原文件权限和所有者后替换原文件
+    await commitTempFile(tempPath, targetPath, {
+      mode: stats.mode,
+      uid: stats.uid,
+      gid: stats.gid
+    });
+    
+    return {
+      totalLines: currentLine,
+      newTotalLines: writtenLines,
+      deletedLines,
+      insertedLines: insertLines.length
+    };
+  } catch (error) {
+    rl.close();
+    readStream.destroy();
+    await fs.promises.unlink(tempPath).catch(() => {});
+    logger.error(`流式修改文件行出错: ${error.message}`, { filePath, start, deleteCount, error });
+    throw error;
+  }
+}
+
 /**
  * 按块读取文件内容
  * @param {string} filePath 文件路径
@@ -334,6 +587,9 @@ module.exports = {
   streamWriteFile,
   countFileLines,
   readFileLines,
+  detectLineEnding,
+  spliceFileLines,
+  atomicWriteFile,
   readFileByChunks,
   writeStreamToFile
 }; 
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * 回收站工具模块
+ * 按FreeDesktop回收站规范将文件和目录移入用户回收站(~/.local/share/Trash)，可在文件管理器中恢复
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logging');
+const pathUtils = require('./path-utils');
+
+/**
+ * 获取用户回收站目录，遵循XDG_DATA_HOME
+ * @returns {string} 回收站目录
+ */
+function getTrashDir() {
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'Trash');
+}
+
+/**
+ * 生成本地时间的删除时间，格式为YYYY-MM-DDThh:mm:ss
+ * @param {Date} date 时间
+ * @returns {string} 删除时间
+ */
+function formatDeletionDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * 生成.trashinfo元数据，原路径按URL规则逐段编码
+ * @param {string} originalPath 原绝对路径
+ * @param {Date} date 删除时间
+ * @returns {string} 元数据内容
+ */
+function createTrashInfo(originalPath, date) {
+  const encodedPath = originalPath.split(path.sep).map(encodeURIComponent).join('/');
+  return `[Trash Info]\nPath=${encodedPath}\nDeletionDate=${formatDeletionDate(date)}\n`;
+}
+
+/**
+ * 将文件或目录移入回收站
+ * 先以独占方式创建.trashinfo占用名称，名称冲突时追加序号，再将内容移入files目录
+ * @param {string} targetPath 要删除的路径
+ * @returns {Promise<Object>} { path, infoPath, name }，path为回收站中的位置
+ */
+async function moveToTrash(targetPath) {
+  if (process.platform === 'win32' || process.platform === 'darwin') {
+    const error = new Error(`当前平台不支持FreeDesktop回收站: ${process.platform}`);
+    error.code = 'UNSUPPORTED_PLATFORM';
+    throw error;
+  }
+
+  const originalPath = path.resolve(targetPath);
+  const trashDir = getTrashDir();
+  const filesDir = path.join(trashDir, 'files');
+  const infoDir = path.join(trashDir, 'info');
+  await fs.promises.mkdir(filesDir, { recursive: true, mode: 0o700 });
+  await fs.promises.mkdir(infoDir, { recursive: true, mode: 0o700 });
+
+  const info = createTrashInfo(originalPath, new Date());
+  const baseName = path.basename(originalPath);
+  const extension = path.extname(baseName);
+  const stem = extension ? baseName.slice(0, -extension.length) : baseName;
+
+  let name = baseName;
+  let infoPath;
+  for (let index = 2; ; index++) {
+    infoPath = path.join(infoDir, `${name}.trashinfo`);
+    try {
+      await fs.promises.writeFile(infoPath, info, { flag: 'wx', mode: 0o600 });
+      if (!fs.existsSync(path.join(filesDir, name))) {
+        break;
+      }
+      // files目录中已有同名内容(可能缺少元数据)，换一个名称
+      await fs.promises.unlink(infoPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    name = `${stem}.${index}${extension}`;
+  }
+
+  const trashedPath = path.join(filesDir, name);
+  try {
+    await pathUtils.movePath(originalPath, trashedPath);
+  } catch (error) {
+    await fs.promises.unlink(infoPath).catch(() => {});
+    throw error;
+  }
+
+  logger.info(`已移入回收站: ${originalPath}`, { trashPath: trashedPath });
+  return { path: trashedPath, infoPath, name };
+}
+
+/**
+ * 将回收站中的内容移回原位置，并删除对应的.trashinfo
+ * @param {string} trashedPath 回收站files目录中的路径
+ * @param {string} originalPath 原路径
+ * @returns {Promise<void>}
+ */
+async function restoreFromTrash(trashedPath, originalPath) {
+  if (fs.existsSync(originalPath)) {
+    throw new Error(`原路径已存在，无法从回收站恢复: ${originalPath}`);
+  }
+  if (!fs.existsSync(trashedPath)) {
+    throw new Error(`回收站中的内容已不存在: ${trashedPath}`);
+  }
+
+  await fs.promises.mkdir(path.dirname(originalPath), { recursive: true });
+  await pathUtils.movePath(trashedPath, originalPath);
+
+  const infoPath = path.join(path.dirname(path.dirname(trashedPath)), 'info', `${path.basename(trashedPath)}.trashinfo`);
+  await fs.promises.unlink(infoPath).catch(() => {});
+  logger.info(`已从回收站恢复: ${originalPath}`);
+}
+
+module.exports = {
+  getTrashDir,
+  moveToTrash,
+  restoreFromTrash
+};
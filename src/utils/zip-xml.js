@@ -0,0 +1,107 @@
+/**
+ * 压缩包XML工具模块
+ * 为基于ZIP封装的文档格式(.pptx、.odt、.ods等)提供XML读取和节点查找
+ */
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+/**
+ * 打开ZIP格式的文档
+ * @param {string} filePath 文件路径
+ * @returns {Promise<JSZip>} 压缩包
+ */
+async function openZip(filePath) {
+  return JSZip.loadAsync(await fs.promises.readFile(filePath));
+}
+
+/**
+ * 解析XML文本
+ * @param {string} xml XML文本
+ * @returns {Object} DOM文档
+ */
+function parseXml(xml) {
+  return parseDocument(xml, { xmlMode: true });
+}
+
+/**
+ * 读取压缩包中的XML文件
+ * @param {JSZip} zip 压缩包
+ * @param {string} entryPath 文件路径
+ * @returns {Promise<Object|null>} DOM文档，文件不存在时返回null
+ */
+async function readXmlEntry(zip, entryPath) {
+  const entry = zip.file(entryPath);
+  if (!entry) {
+    return null;
+  }
+  return parseXml(await entry.async('string'));
+}
+
+/**
+ * 查找指定名称的直接子元素
+ * @param {Object} node DOM节点
+ * @param {string} name 标签名称
+ * @returns {Array<Object>} 子元素
+ */
+function children(node, name) {
+  return (node.children || []).filter(child => child.type === 'tag' && child.name === name);
+}
+
+/**
+ * 查找指定名称的第一个后代元素
+ * @param {Object} node DOM节点
+ * @param {string} name 标签名称
+ * @returns {Object|null} 元素
+ */
+function findOne(node, name) {
+  return DomUtils.findOne(element => element.name === name, node.children || [], true);
+}
+
+/**
+ * 获取指定名称的第一个后代元素的文本
+ * @param {Object} node DOM节点
+ * @param {string} name 标签名称
+ * @returns {string|undefined} 文本内容
+ */
+function findText(node, name) {
+  const element = findOne(node, name);
+  return element ? DomUtils.textContent(element) : undefined;
+}
+
+/**
+ * 读取部件的关系文件
+ * @param {JSZip} zip 压缩包
+ * @param {string} partPath 部件路径，如 ppt/slides/slide1.xml
+ * @returns {Promise<Array<Object>>} 关系列表 {id, type, target}，target为压缩包内的完整路径
+ */
+async function readRelationships(zip, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const relsDoc = await readXmlEntry(zip, relsPath);
+  if (!relsDoc) {
+    return [];
+  }
+
+  return DomUtils.getElementsByTagName('Relationship', relsDoc.children, true).map(rel => {
+    const target = rel.attribs.Target || '';
+    return {
+      id: rel.attribs.Id,
+      type: rel.attribs.Type || '',
+      // 以/开头的目标是相对于压缩包根目录的路径
+      target: target.startsWith('/')
+        ? target.substring(1)
+        : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target))
+    };
+  });
+}
+
+module.exports = {
+  openZip,
+  parseXml,
+  readXmlEntry,
+  children,
+  findOne,
+  findText,
+  readRelationships
+};
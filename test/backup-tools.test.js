@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const fileTools = require('../src/tools/file-tools');
+const lineTools = require('../src/tools/line-tools');
+const dirTools = require('../src/tools/dir-tools');
+const backupTools = require('../src/tools/backup-tools');
+const config = require('../src/config');
+
+test.after(() => sandbox.cleanup());
+
+test('撤销覆盖写入恢复原内容，撤销新建文件删除该文件', async () => {
+  const existing = path.join(sandbox.work, 'existing.txt');
+  const created = path.join(sandbox.work, 'created.txt');
+  fs.writeFileSync(existing, 'original');
+
+  const overwrite = await fileTools.writeFile({ path: existing, content: 'changed' });
+  await fileTools.writeFile({ path: created, content: 'new file' });
+
+  const first = await backupTools.undoLastOperation();
+  assert.strictEqual(first.path, created);
+  assert.strictEqual(fs.existsSync(created), false);
+
+  const second = await backupTools.undoLastOperation();
+  assert.strictEqual(second.id, overwrite.backupId);
+  assert.strictEqual(fs.readFileSync(existing, 'utf8'), 'original');
+});
+
+test('路径在操作之后被修改时撤销返回CONFLICT且不做改动', async () => {
+  const filePath = path.join(sandbox.work, 'edited-later.txt');
+  fs.writeFileSync(filePath, 'v1');
+  await fileTools.writeFile({ path: filePath, content: 'v2' });
+  fs.writeFileSync(filePath, 'v3 edited by someone else');
+
+  await assert.rejects(backupTools.undoLastOperation(), (error) => {
+    assert.strictEqual(error.code, 'CONFLICT');
+    assert.strictEqual(error.details.path, filePath);
+    return true;
+  });
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'v3 edited by someone else');
+});
+
+test('skip跳过无法撤销的记录后继续撤销更早的操作', async () => {
+  const earlier = path.join(sandbox.work, 'earlier.txt');
+  const blocked = path.join(sandbox.work, 'blocked.txt');
+  fs.writeFileSync(earlier, 'earlier v1');
+  fs.writeFileSync(blocked, 'blocked v1');
+
+  await fileTools.writeFile({ path: earlier, content: 'earlier v2' });
+  const blockedWrite = await fileTools.writeFile({ path: blocked, content: 'blocked v2' });
+  fs.writeFileSync(blocked, 'blocked v3');
+
+  await assert.rejects(backupTools.undoLastOperation(), { code: 'CONFLICT' });
+
+  const skipped = await backupTools.undoLastOperation({ skip: true });
+  assert.strictEqual(skipped.skipped, true);
+  assert.strictEqual(skipped.id, blockedWrite.backupId);
+
+  await backupTools.undoLastOperation();
+  assert.strictEqual(fs.readFileSync(earlier, 'utf8'), 'earlier v1');
+  assert.strictEqual(fs.readFileSync(blocked, 'utf8'), 'blocked v3');
+
+  const { backups } = await backupTools.listBackups({ path: blocked });
+  assert.strictEqual(backups[0].skipped, true);
+  assert.strictEqual(backups[0].restored, false);
+});
+
+test('删除后同名文件被重新创建时拒绝撤销删除', async () => {
+  const filePath = path.join(sandbox.work, 'recreated.txt');
+  fs.writeFileSync(filePath, 'old');
+  await fileTools.deleteFile({ path: filePath });
+  fs.writeFileSync(filePath, 'recreated');
+
+  await assert.rejects(backupTools.undoLastOperation(), { code: 'CONFLICT' });
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'recreated');
+  await backupTools.undoLastOperation({ skip: true });
+});
+
+test('撤销移动把文件移回原位置', async () => {
+  const source = path.join(sandbox.work, 'move-source.txt');
+  const destination = path.join(sandbox.work, 'moved', 'move-destination.txt');
+  fs.writeFileSync(source, 'moving');
+
+  const result = await fileTools.moveFile({ source, destination });
+  assert.strictEqual(result.success, true);
+
+  await backupTools.undoLastOperation();
+  assert.strictEqual(fs.readFileSync(source, 'utf8'), 'moving');
+  assert.strictEqual(fs.existsSync(destination), false);
+});
+
+test('restore_backup可以把备份恢复到其他路径', async () => {
+  const filePath = path.join(sandbox.work, 'restore-source.txt');
+  const target = path.join(sandbox.work, 'restored.txt');
+  fs.writeFileSync(filePath, 'before delete');
+  const deleted = await fileTools.deleteFile({ path: filePath });
+
+  const result = await backupTools.restoreBackup({ id: deleted.backupId, destination: target });
+  assert.strictEqual(result.path, target);
+  assert.strictEqual(fs.readFileSync(target, 'utf8'), 'before delete');
+
+  await assert.rejects(backupTools.restoreBackup({ id: deleted.backupId, destination: target }), /目标路径已存在/);
+});
+
+test('追加、编辑、行操作和覆盖复制都会记录备份，可依次撤销', async () => {
+  const filePath = path.join(sandbox.work, 'multi-step.txt');
+  const copySource = path.join(sandbox.work, 'copy-source.txt');
+  fs.writeFileSync(filePath, 'line 1\nline 2\n');
+  fs.writeFileSync(copySource, 'copied over');
+
+  const appended = await fileTools.appendFile({ path: filePath, content: 'line 3\n' });
+  const edited = await fileTools.editFile({ path: filePath, edits: [{ oldText: 'line 2', newText: 'LINE 2' }] });
+  const written = await lineTools.writeFileLines({ path: filePath, start: 1, content: 'first' });
+  const copied = await fileTools.copyFile({ source: copySource, destination: filePath, overwrite: true });
+  for (const result of [appended, edited, written, copied]) {
+    assert.ok(result.backupId);
+  }
+
+  await backupTools.undoLastOperation();
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'first\nLINE 2\nline 3\n');
+  await backupTools.undoLastOperation();
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'line 1\nLINE 2\nline 3\n');
+  await backupTools.undoLastOperation();
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'line 1\nline 2\nline 3\n');
+  await backupTools.undoLastOperation();
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'line 1\nline 2\n');
+});
+
+test('撤销覆盖复制目录恢复被覆盖的文件并删除新建的文件和目录', async () => {
+  const source = path.join(sandbox.work, 'tree-source');
+  const destination = path.join(sandbox.work, 'tree-destination');
+  fs.mkdirSync(path.join(source, 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(source, 'same.txt'), 'from source');
+  fs.writeFileSync(path.join(source, 'sub', 'new.txt'), 'new');
+  fs.mkdirSync(destination);
+  fs.writeFileSync(path.join(destination, 'same.txt'), 'kept in destination');
+
+  const result = await dirTools.copyDirectory(source, destination, { conflict: 'overwrite' });
+  assert.strictEqual(result.success, true);
+  assert.ok(result.backupId);
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'same.txt'), 'utf8'), 'from source');
+
+  const undone = await backupTools.undoLastOperation();
+  assert.strictEqual(undone.operation, 'copy_directory');
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'same.txt'), 'utf8'), 'kept in destination');
+  assert.deepStrictEqual(fs.readdirSync(destination), ['same.txt']);
+});
+
+test('撤销合并移动目录把文件移回源目录并恢复被覆盖的文件', async () => {
+  const source = path.join(sandbox.work, 'merge-source');
+  const destination = path.join(sandbox.work, 'merge-destination');
+  fs.mkdirSync(path.join(source, 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(source, 'same.txt'), 'from source');
+  fs.writeFileSync(path.join(source, 'sub', 'moved.txt'), 'moved');
+  fs.mkdirSync(destination);
+  fs.writeFileSync(path.join(destination, 'same.txt'), 'kept in destination');
+
+  const result = await dirTools.moveDirectory(source, destination, { conflict: 'overwrite' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(fs.existsSync(source), false);
+
+  await backupTools.undoLastOperation();
+  assert.strictEqual(fs.readFileSync(path.join(source, 'same.txt'), 'utf8'), 'from source');
+  assert.strictEqual(fs.readFileSync(path.join(source, 'sub', 'moved.txt'), 'utf8'), 'moved');
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'same.txt'), 'utf8'), 'kept in destination');
+  assert.deepStrictEqual(fs.readdirSync(destination), ['same.txt']);
+});
+
+test('用户配置只覆盖部分备份设置时其余使用默认值，并按数量清理旧备份', async () => {
+  const fileOperations = config.fileOperations;
+  config.fileOperations = { backup: { maxBackups: 2 } };
+  try {
+    const filePath = path.join(sandbox.work, 'retention.txt');
+    fs.writeFileSync(filePath, 'v0');
+    const ids = [];
+    for (let i = 1; i <= 3; i++) {
+      ids.push((await fileTools.writeFile({ path: filePath, content: `v${i}` })).backupId);
+    }
+
+    const listed = await backupTools.listBackups();
+    assert.strictEqual(listed.dir, fileOperations.backup.dir);
+    assert.deepStrictEqual(listed.backups.map(entry => entry.id), [ids[2], ids[1]]);
+
+    // 其他进程删除备份后，备份目录的修改时间变化，索引重新读取
+    fs.rmSync(path.join(listed.dir, ids[2]), { recursive: true });
+    const reloaded = await backupTools.listBackups();
+    assert.deepStrictEqual(reloaded.backups.map(entry => entry.id), [ids[1]]);
+  } finally {
+    config.fileOperations = fileOperations;
+  }
+});
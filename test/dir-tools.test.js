@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const dirTools = require('../src/tools/dir-tools');
+const fileVersion = require('../src/utils/file-version');
+
+test.after(() => sandbox.cleanup());
+
+/**
+ * 创建包含指定文件的目录
+ * @param {string} dirPath 目录路径
+ * @param {Object} files 相对路径到内容的映射
+ */
+function createTree(dirPath, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(dirPath, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+test('copy_directory按冲突策略合并到已存在的目录', async () => {
+  const source = path.join(sandbox.work, 'copy-source');
+  const destination = path.join(sandbox.work, 'copy-destination');
+  createTree(source, { 'a.txt': 'source a', 'sub/b.txt': 'source b' });
+  createTree(destination, { 'a.txt': 'destination a' });
+
+  const skipped = await dirTools.copyDirectory(source, destination);
+  assert.strictEqual(skipped.success, true);
+  assert.deepStrictEqual(skipped.skipped, [{ path: 'a.txt', reason: 'exists' }]);
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'a.txt'), 'utf8'), 'destination a');
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'sub', 'b.txt'), 'utf8'), 'source b');
+
+  const renamed = await dirTools.copyDirectory(source, destination, { conflict: 'rename', include: 'a.txt' });
+  assert.strictEqual(renamed.summary.renamed, 1);
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'a (1).txt'), 'utf8'), 'source a');
+});
+
+test('ifMatch与目标文件一致时覆盖，不一致时该项以CONFLICT失败', async () => {
+  const source = path.join(sandbox.work, 'guarded-source');
+  const destination = path.join(sandbox.work, 'guarded-destination');
+  createTree(source, { 'same.txt': 'new same', 'changed.txt': 'new changed', 'other.txt': 'other' });
+  createTree(destination, { 'same.txt': 'old same', 'changed.txt': 'old changed' });
+
+  const sameVersion = await fileVersion.getFileVersion(path.join(destination, 'same.txt'));
+  const changedVersion = await fileVersion.getFileVersion(path.join(destination, 'changed.txt'));
+  fs.writeFileSync(path.join(destination, 'changed.txt'), 'edited after read');
+
+  const result = await dirTools.copyDirectory(source, destination, {
+    conflict: 'overwrite',
+    ifMatch: { 'same.txt': sameVersion.version, 'changed.txt': `sha256:${changedVersion.sha256}` }
+  });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.failed.length, 1);
+  assert.strictEqual(result.failed[0].path, 'changed.txt');
+  assert.strictEqual(result.failed[0].code, 'CONFLICT');
+  assert.deepStrictEqual(result.copied, ['other.txt', 'same.txt']);
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'same.txt'), 'utf8'), 'new same');
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'changed.txt'), 'utf8'), 'edited after read');
+});
+
+test('move_directory在ifMatch不一致时保留源文件', async () => {
+  const source = path.join(sandbox.work, 'move-guarded-source');
+  const destination = path.join(sandbox.work, 'move-guarded-destination');
+  createTree(source, { 'file.txt': 'from source' });
+  createTree(destination, { 'file.txt': 'in destination' });
+
+  const result = await dirTools.moveDirectory(source, destination, {
+    conflict: 'overwrite',
+    ifMatch: { 'file.txt': '1-1' }
+  });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.failed[0].code, 'CONFLICT');
+  assert.strictEqual(fs.readFileSync(path.join(source, 'file.txt'), 'utf8'), 'from source');
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'file.txt'), 'utf8'), 'in destination');
+});
+
+test('ifMatch不是对象时返回INVALID_ARGUMENT', async () => {
+  const source = path.join(sandbox.work, 'invalid-source');
+  createTree(source, { 'file.txt': 'x' });
+
+  const result = await dirTools.copyDirectory(source, path.join(sandbox.work, 'invalid-destination'), { ifMatch: 'abc' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.code, 'INVALID_ARGUMENT');
+});
+
+test('find_files支持花括号glob并按深度限制遍历', async () => {
+  const dirPath = path.join(sandbox.work, 'find-brace');
+  createTree(dirPath, { 'a.js': '', 'src/b.ts': '', 'src/c.md': '', 'src/deep/d.js': '' });
+
+  const result = await dirTools.findFiles(dirPath, { pattern: '**/*.{js,ts}' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.data.map(item => item.relativePath), ['a.js', 'src/b.ts', 'src/deep/d.js']);
+
+  const shallow = await dirTools.findFiles(dirPath, { pattern: '*.{js,ts}', maxDepth: 2 });
+  assert.deepStrictEqual(shallow.data.map(item => item.relativePath), ['a.js', 'src/b.ts']);
+});
+
+test('list_directory递归时把子项放到所在目录的children中', async () => {
+  const dirPath = path.join(sandbox.work, 'list-recursive');
+  createTree(dirPath, { 'a.txt': 'a', 'sub/b.txt': 'bb', 'sub/inner/c.txt': 'ccc' });
+
+  const result = await dirTools.listFiles(dirPath, { recursive: true });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.data.map(item => item.name), ['a.txt', 'sub']);
+
+  const sub = result.data[1];
+  assert.deepStrictEqual(sub.children.map(item => item.name), ['b.txt', 'inner']);
+  assert.strictEqual(sub.children[1].children[0].relativePath, 'c.txt');
+  assert.strictEqual(sub.children[1].children[0].size, 3);
+});
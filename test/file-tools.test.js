@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const iconv = require('iconv-lite');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const fileTools = require('../src/tools/file-tools');
+const fileVersion = require('../src/utils/file-version');
+
+test.after(() => sandbox.cleanup());
+
+test('edit_file按GBK编码读取并写回', async () => {
+  const filePath = path.join(sandbox.work, 'gbk.txt');
+  fs.writeFileSync(filePath, iconv.encode('标题: 旧内容\n第二行\n', 'gbk'));
+
+  const result = await fileTools.editFile({
+    path: filePath,
+    edits: [{ oldText: '旧内容', newText: '新内容' }],
+    encoding: 'gbk'
+  });
+
+  assert.strictEqual(result.changed, true);
+  assert.strictEqual(iconv.decode(fs.readFileSync(filePath), 'gbk'), '标题: 新内容\n第二行\n');
+});
+
+test('edit_file使用auto编码时保留UTF-8 BOM', async () => {
+  const filePath = path.join(sandbox.work, 'bom.txt');
+  fs.writeFileSync(filePath, Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('a = 1\n')]));
+
+  const result = await fileTools.editFile({ path: filePath, edits: [{ oldText: '1', newText: '2' }], encoding: 'auto' });
+
+  assert.strictEqual(result.encoding, 'utf8');
+  assert.deepStrictEqual(fs.readFileSync(filePath), Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('a = 2\n')]));
+});
+
+test('edit_file在ifMatch不一致时返回CONFLICT且不修改文件', async () => {
+  const filePath = path.join(sandbox.work, 'guarded.txt');
+  fs.writeFileSync(filePath, 'version 1\n');
+  const { sha256 } = await fileVersion.getFileVersion(filePath);
+  fs.writeFileSync(filePath, 'version 2\n');
+
+  await assert.rejects(
+    fileTools.editFile({ path: filePath, edits: [{ oldText: 'version', newText: 'v' }], ifMatch: sha256 }),
+    { code: 'CONFLICT' }
+  );
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'version 2\n');
+
+  const current = await fileVersion.getFileVersion(filePath);
+  await fileTools.editFile({ path: filePath, edits: [{ oldText: 'version', newText: 'v' }], ifMatch: current.version });
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'v 2\n');
+});
+
+test('write_file、append_file和delete_file在ifMatch不一致时不改动文件', async () => {
+  const filePath = path.join(sandbox.work, 'if-match.txt');
+  fs.writeFileSync(filePath, 'read by client');
+  const { version } = await fileVersion.getFileVersion(filePath, { hash: false });
+  fs.writeFileSync(filePath, 'changed by someone else');
+
+  await assert.rejects(fileTools.writeFile({ path: filePath, content: 'x', ifMatch: version }), (error) => {
+    assert.strictEqual(error.code, 'CONFLICT');
+    assert.strictEqual(error.details.expected, version);
+    return true;
+  });
+  await assert.rejects(fileTools.appendFile({ path: filePath, content: 'x', ifMatch: version }), { code: 'CONFLICT' });
+  await assert.rejects(fileTools.deleteFile({ path: filePath, ifMatch: version }), { code: 'CONFLICT' });
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'changed by someone else');
+
+  const current = await fileVersion.getFileVersion(filePath);
+  await fileTools.writeFile({ path: filePath, content: 'updated', ifMatch: `sha256:${current.sha256}` });
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'updated');
+});
+
+test('ifMatch指定的文件已被删除时返回CONFLICT', async () => {
+  const filePath = path.join(sandbox.work, 'deleted-after-read.txt');
+  fs.writeFileSync(filePath, 'content');
+  const { version } = await fileVersion.getFileVersion(filePath, { hash: false });
+  fs.unlinkSync(filePath);
+
+  await assert.rejects(fileTools.writeFile({ path: filePath, content: 'x', ifMatch: version }), (error) => {
+    assert.strictEqual(error.code, 'CONFLICT');
+    assert.strictEqual(error.details.current, null);
+    return true;
+  });
+  assert.strictEqual(fs.existsSync(filePath), false);
+});
+
+test('move_file检查源文件，copy_file覆盖时检查目标文件', async () => {
+  const source = path.join(sandbox.work, 'transfer-source.txt');
+  const destination = path.join(sandbox.work, 'transfer-destination.txt');
+  fs.writeFileSync(source, 'source');
+  fs.writeFileSync(destination, 'destination');
+  const sourceVersion = await fileVersion.getFileVersion(source);
+  const destinationVersion = await fileVersion.getFileVersion(destination);
+
+  await assert.rejects(fileTools.copyFile({ source, destination, overwrite: true, ifMatch: sourceVersion.sha256 }), { code: 'CONFLICT' });
+  assert.strictEqual(fs.readFileSync(destination, 'utf8'), 'destination');
+  await fileTools.copyFile({ source, destination, overwrite: true, ifMatch: destinationVersion.sha256 });
+  assert.strictEqual(fs.readFileSync(destination, 'utf8'), 'source');
+
+  const moved = path.join(sandbox.work, 'transfer-moved.txt');
+  await assert.rejects(fileTools.moveFile({ source, destination: moved, ifMatch: destinationVersion.sha256 }), { code: 'CONFLICT' });
+  assert.strictEqual(fs.existsSync(source), true);
+  await fileTools.moveFile({ source, destination: moved, ifMatch: sourceVersion.version });
+  assert.strictEqual(fs.readFileSync(moved, 'utf8'), 'source');
+});
+
+test('base64写入和追加保持二进制内容，按字节范围读取', async () => {
+  const filePath = path.join(sandbox.work, 'binary.dat');
+  const head = Buffer.from([0x00, 0xff, 0x10, 0x80, 0x7f]);
+  const tail = Buffer.from([0xc3, 0x28, 0x00]);
+
+  await fileTools.writeFile({ path: filePath, content: head.toString('base64'), encoding: 'base64' });
+  await fileTools.appendFile({ path: filePath, content: tail.toString('base64'), encoding: 'base64' });
+  assert.deepStrictEqual(fs.readFileSync(filePath), Buffer.concat([head, tail]));
+
+  const middle = await fileTools.readFile({ path: filePath, offset: 3, length: 4, encoding: 'base64' });
+  assert.strictEqual(middle.success, true);
+  assert.strictEqual(middle.content, Buffer.from([0x80, 0x7f, 0xc3, 0x28]).toString('base64'));
+  assert.strictEqual(middle.length, 4);
+  assert.strictEqual(middle.size, 8);
+  assert.strictEqual(middle.eof, false);
+
+  const rest = await fileTools.readFile({ path: filePath, offset: 6, encoding: 'base64' });
+  assert.strictEqual(rest.content, Buffer.from([0x28, 0x00]).toString('base64'));
+  assert.strictEqual(rest.eof, true);
+
+  const past = await fileTools.readFile({ path: filePath, offset: 100, length: 10 });
+  assert.strictEqual(past.length, 0);
+  assert.strictEqual(past.eof, true);
+});
+
+test('无效的base64内容和字节范围被拒绝', async () => {
+  const filePath = path.join(sandbox.work, 'binary-invalid.dat');
+  fs.writeFileSync(filePath, 'kept');
+
+  await assert.rejects(fileTools.writeFile({ path: filePath, content: 'not base64!', encoding: 'base64' }), /无效的base64内容/);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'kept');
+
+  const negative = await fileTools.readFile({ path: filePath, offset: -1 });
+  assert.strictEqual(negative.success, false);
+  assert.match(negative.error, /无效的offset/);
+});
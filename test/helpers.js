@@ -0,0 +1,34 @@
+/**
+ * 测试辅助模块
+ * 每个测试文件在独立的临时目录中运行，HOME和XDG_DATA_HOME指向该目录，
+ * 备份和回收站不会写入用户目录。必须在加载src下的模块之前调用setupSandbox
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 创建测试沙箱目录并隔离用户目录相关的环境变量
+ * @returns {Object} { root, work, cleanup }，work为放置测试文件的目录
+ */
+function setupSandbox() {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-fs-test-')));
+  const work = path.join(root, 'work');
+  fs.mkdirSync(work);
+
+  process.env.HOME = root;
+  process.env.XDG_DATA_HOME = path.join(root, 'share');
+  delete process.env.CONFIG_PATH;
+
+  require('../src/utils/logging').initialize({ logToConsole: false, logToFile: false });
+
+  return {
+    root,
+    work,
+    cleanup: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+module.exports = {
+  setupSandbox
+};
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const lineTools = require('../src/tools/line-tools');
+const pathUtils = require('../src/utils/path-utils');
+
+test.after(() => sandbox.cleanup());
+
+test('glob模式列表只在花括号外的逗号处拆分', () => {
+  const matcher = pathUtils.createGlobMatcher('*.{js,ts}, docs/**');
+
+  assert.strictEqual(matcher('src/index.js'), true);
+  assert.strictEqual(matcher('src/index.ts'), true);
+  assert.strictEqual(matcher('docs/guide.md'), true);
+  assert.strictEqual(matcher('src/readme.md'), false);
+});
+
+test('search_directory的include支持花括号glob', async () => {
+  const dirPath = path.join(sandbox.work, 'search-brace');
+  fs.mkdirSync(path.join(dirPath, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(dirPath, 'src', 'a.js'), 'const token = 1;\n');
+  fs.writeFileSync(path.join(dirPath, 'src', 'b.ts'), 'const token = 2;\n');
+  fs.writeFileSync(path.join(dirPath, 'notes.md'), 'token\n');
+
+  const result = await lineTools.searchDirectory({ path: dirPath, pattern: 'token', include: '*.{js,ts}' });
+
+  assert.deepStrictEqual(result.results.map(item => item.relativePath).sort(), ['src/a.js', 'src/b.ts']);
+});
+
+test('search_file_content返回上下文行和同一行的所有匹配，并在maxMatches处截断', async () => {
+  const filePath = path.join(sandbox.work, 'search-context.txt');
+  fs.writeFileSync(filePath, 'one\nfoo two foo\nthree\nfour\nfoo five\nsix\nfoo seven\n');
+
+  const result = await lineTools.searchFileContent({
+    path: filePath,
+    pattern: 'foo',
+    contextBefore: 1,
+    contextAfter: 2,
+    maxMatches: 2
+  });
+
+  assert.strictEqual(result.matchCount, 2);
+  assert.strictEqual(result.truncated, true);
+
+  const [first, second] = result.matches;
+  assert.strictEqual(first.line, 2);
+  assert.deepStrictEqual(first.occurrences.map(item => item.column), [1, 9]);
+  assert.deepStrictEqual(first.before, ['one']);
+  assert.deepStrictEqual(first.after, ['three', 'four']);
+
+  assert.strictEqual(second.line, 5);
+  assert.deepStrictEqual(second.before, ['four']);
+  assert.deepStrictEqual(second.after, ['six', 'foo seven']);
+});
+
+test('search_file_content支持反向匹配和跨行匹配', async () => {
+  const filePath = path.join(sandbox.work, 'search-modes.txt');
+  fs.writeFileSync(filePath, 'begin\nmiddle\nend\nbegin\n');
+
+  const inverted = await lineTools.searchFileContent({ path: filePath, pattern: 'begin', invertMatch: true });
+  assert.deepStrictEqual(inverted.matches.map(match => match.content), ['middle', 'end']);
+
+  const multiline = await lineTools.searchFileContent({
+    path: filePath,
+    pattern: 'begin\\nmiddle',
+    regex: true,
+    multiline: true
+  });
+  assert.strictEqual(multiline.matchCount, 1);
+  assert.strictEqual(multiline.matches[0].line, 1);
+  assert.strictEqual(multiline.matches[0].endLine, 2);
+});
@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { ListRootsRequestSchema, LoggingMessageNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const root = path.join(sandbox.work, 'root');
+fs.mkdirSync(root);
+
+/**
+ * 以子进程启动服务器并连接客户端，日志写入沙箱目录
+ * @param {Object} env 额外的环境变量
+ * @param {Function} listRoots 客户端的roots/list处理函数，提供时声明roots能力
+ * @returns {Promise<Client>} 已连接的客户端
+ */
+async function connect(env = {}, listRoots) {
+  const capabilities = listRoots ? { roots: { listChanged: true } } : {};
+  const client = new Client({ name: 'test-client', version: '1.0.0' }, { capabilities });
+  if (listRoots) {
+    client.setRequestHandler(ListRootsRequestSchema, listRoots);
+  }
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [path.join(__dirname, '..', 'src', 'mcp-server.js')],
+    cwd: sandbox.root,
+    env: { ...process.env, ...env },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+  return client;
+}
+
+test.after(() => sandbox.cleanup());
+
+test('资源读取按文件类型返回文本或base64数据', { timeout: 30000 }, async (t) => {
+  const client = await connect({ MCP_FS_ROOTS: root });
+  t.after(() => client.close());
+
+  const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+  fs.writeFileSync(path.join(root, 'image.png'), png);
+  fs.writeFileSync(path.join(root, 'data.json'), '{"a":1}');
+
+  const image = await client.readResource({ uri: pathToFileURL(path.join(root, 'image.png')).href });
+  assert.strictEqual(image.contents[0].mimeType, 'image/png');
+  assert.strictEqual(image.contents[0].blob, png.toString('base64'));
+  assert.strictEqual(image.contents[0].text, undefined);
+
+  const json = await client.readResource({ uri: pathToFileURL(path.join(root, 'data.json')).href });
+  assert.strictEqual(json.contents[0].mimeType, 'application/json');
+  assert.strictEqual(json.contents[0].text, '{"a":1}');
+});
+
+test('资源读取在检查文件是否存在之前拒绝根目录外的路径', { timeout: 30000 }, async (t) => {
+  const client = await connect({ MCP_FS_ROOTS: root });
+  t.after(() => client.close());
+
+  const outside = pathToFileURL(path.join(sandbox.work, 'missing.txt')).href;
+  await assert.rejects(client.readResource({ uri: outside }), /路径访问被拒绝/);
+});
+
+/**
+ * 按工具的输入模式生成参数，字符串参数都指向给定路径
+ * @param {Object} schema 工具的inputSchema
+ * @param {string} targetPath 路径参数的值
+ * @returns {Object} 参数
+ */
+function createArguments(schema, targetPath) {
+  const args = {};
+  for (const name of schema.required || []) {
+    const property = schema.properties[name];
+    if (property.enum) {
+      args[name] = property.enum[0];
+    } else if (property.type === 'number' || property.type === 'integer') {
+      args[name] = 1;
+    } else if (property.type === 'boolean') {
+      args[name] = false;
+    } else if (property.type === 'array') {
+      args[name] = [];
+    } else if (property.type === 'object') {
+      args[name] = {};
+    } else {
+      args[name] = targetPath;
+    }
+  }
+  return args;
+}
+
+test('客户端根目录首次同步完成前所有工具都等待', { timeout: 60000 }, async (t) => {
+  const outside = path.join(sandbox.work, 'outside-roots.txt');
+  fs.writeFileSync(outside, 'must survive');
+
+  let releaseRoots;
+  const rootsReleased = new Promise(resolve => { releaseRoots = resolve; });
+  const client = await connect({}, async () => {
+    await rootsReleased;
+    return { roots: [{ uri: pathToFileURL(root).href, name: 'root' }] };
+  });
+  t.after(() => client.close());
+
+  const { tools } = await client.listTools();
+  const settled = new Set();
+  const calls = tools.map(tool => client.callTool({ name: tool.name, arguments: createArguments(tool.inputSchema, outside) })
+    .catch(error => ({ error }))
+    .finally(() => settled.add(tool.name)));
+
+  await new Promise(resolve => setTimeout(resolve, 500));
+  assert.deepStrictEqual([...settled], []);
+
+  releaseRoots();
+  await Promise.all(calls);
+  assert.strictEqual(settled.size, tools.length);
+  assert.strictEqual(fs.readFileSync(outside, 'utf8'), 'must survive');
+});
+
+test('MCP_FS_ROOTS拒绝根目录外、..跳出和符号链接指向外部的路径', { timeout: 30000 }, async (t) => {
+  const outsideDir = path.join(sandbox.work, 'outside-env');
+  fs.mkdirSync(outsideDir);
+  fs.writeFileSync(path.join(outsideDir, 'secret.txt'), 'secret');
+  fs.symlinkSync(outsideDir, path.join(root, 'escape-link'));
+  fs.writeFileSync(path.join(root, 'inside.txt'), 'inside');
+
+  const client = await connect({ MCP_FS_ROOTS: root });
+  t.after(() => client.close());
+
+  const escapes = [
+    outsideDir,
+    `${root}${path.sep}..${path.sep}outside-env`,
+    path.join(root, 'escape-link')
+  ];
+  for (const dir of escapes) {
+    const file = `${dir}${path.sep}secret.txt`;
+    const calls = [
+      { name: 'read_file', arguments: { path: file } },
+      { name: 'write_file', arguments: { path: file, content: 'overwritten' } },
+      { name: 'list_files', arguments: { path: dir } }
+    ];
+    for (const call of calls) {
+      const result = await client.callTool(call);
+      assert.strictEqual(result.isError, true, `${call.name} ${dir}`);
+    }
+  }
+  assert.strictEqual(fs.readFileSync(path.join(outsideDir, 'secret.txt'), 'utf8'), 'secret');
+
+  const allowed = await client.callTool({ name: 'read_file', arguments: { path: path.join(root, 'inside.txt') } });
+  assert.notStrictEqual(allowed.isError, true);
+  assert.strictEqual(allowed.content[0].text, 'inside');
+});
+
+test('watch_path的事件通过日志通知推送并可按游标轮询', { timeout: 30000 }, async (t) => {
+  const watched = path.join(root, 'watched');
+  fs.mkdirSync(watched);
+
+  const client = await connect({ MCP_FS_ROOTS: root });
+  t.after(() => client.close());
+
+  let pushed;
+  const received = new Promise(resolve => { pushed = resolve; });
+  client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => {
+    if (notification.params.logger === 'filesystem-watch') {
+      pushed(notification.params.data);
+    }
+  });
+
+  const watch = await client.callTool({ name: 'watch_path', arguments: { path: watched } });
+  const { watcherId } = JSON.parse(watch.content[0].text);
+
+  // 等待监控器完成初始扫描后再创建文件
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  const filePath = path.join(watched, 'new.txt');
+  fs.writeFileSync(filePath, 'created');
+
+  const event = await received;
+  assert.strictEqual(event.watcherId, watcherId);
+  assert.strictEqual(event.event, 'add');
+  assert.strictEqual(event.path, filePath);
+  assert.strictEqual(event.seq, 1);
+
+  const poll = async (cursor) => JSON.parse((await client.callTool({
+    name: 'poll_watch_events',
+    arguments: { watcherId: String(watcherId), cursor }
+  })).content[0].text);
+
+  const first = await poll(0);
+  assert.deepStrictEqual(first.events.map(item => [item.seq, item.event, item.path]), [[1, 'add', filePath]]);
+  assert.strictEqual(first.nextCursor, 1);
+  assert.strictEqual(first.hasMore, false);
+  assert.strictEqual(first.missed, 0);
+
+  const second = await poll(first.nextCursor);
+  assert.deepStrictEqual(second.events, []);
+  assert.strictEqual(second.nextCursor, 1);
+});
+
+test('read_file以image内容返回图片，其他二进制文件以base64资源返回', { timeout: 30000 }, async (t) => {
+  const client = await connect({ MCP_FS_ROOTS: root });
+  t.after(() => client.close());
+
+  const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+  const imagePath = path.join(root, 'photo.png');
+  fs.writeFileSync(imagePath, png);
+  const binary = Buffer.from([0x00, 0x01, 0xff, 0xfe, 0x00, 0x80]);
+  const binaryPath = path.join(root, 'blob.bin');
+  fs.writeFileSync(binaryPath, binary);
+
+  const image = await client.callTool({ name: 'read_file', arguments: { path: imagePath } });
+  assert.deepStrictEqual(image.content, [{ type: 'image', data: png.toString('base64'), mimeType: 'image/png' }]);
+
+  const resource = await client.callTool({ name: 'read_file', arguments: { path: binaryPath } });
+  assert.strictEqual(resource.content[0].type, 'resource');
+  assert.strictEqual(resource.content[0].resource.uri, pathToFileURL(binaryPath).href);
+  assert.strictEqual(resource.content[0].resource.blob, binary.toString('base64'));
+});
@@ -0,0 +1,369 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const officeTools = require('../src/tools/office-tools');
+const config = require('../src/config');
+
+test.after(() => sandbox.cleanup());
+
+test('write_word_document生成的文档可由read_word_document读回', async () => {
+  const filePath = path.join(sandbox.work, 'report.docx');
+  const written = await officeTools.writeWordDocument({
+    path: filePath,
+    content: '# 季度报告\n\n本季度收入**增长**明显。\n\n- 华东\n- 华南\n\n| 地区 | 收入 |\n| --- | --- |\n| 华东 | 120 |'
+  });
+  assert.strictEqual(written.success, true);
+  assert.deepStrictEqual(
+    { headings: written.stats.headings, lists: written.stats.lists, tables: written.stats.tables },
+    { headings: 1, lists: 1, tables: 1 }
+  );
+
+  const result = await officeTools.readWordDocument({ path: filePath });
+  assert.strictEqual(result.success, true);
+  for (const text of ['季度报告', '本季度收入增长明显。', '华东', '华南', '地区', '120']) {
+    assert.ok(result.content.includes(text), `文档内容缺少: ${text}`);
+  }
+
+  const html = await officeTools.readWordDocument({ path: filePath, outputFormat: 'html' });
+  assert.match(html.content, /<h1>季度报告<\/h1>/);
+  assert.match(html.content, /<strong>增长<\/strong>/);
+  assert.match(html.content, /<table>/);
+});
+
+test('write_word_document未设置overwrite时不覆盖已有文件', async () => {
+  const filePath = path.join(sandbox.work, 'existing.docx');
+  await officeTools.writeWordDocument({ path: filePath, content: '第一版' });
+  await assert.rejects(
+    officeTools.writeWordDocument({ path: filePath, content: '第二版' }),
+    /文件已存在/
+  );
+
+  await officeTools.writeWordDocument({ path: filePath, content: '第二版', overwrite: true });
+  const result = await officeTools.readWordDocument({ path: filePath });
+  assert.strictEqual(result.content.trim(), '第二版');
+});
+
+test('read_excel_file拒绝旧版二进制.xls，读取扩展名为.xls的.xlsx文件', async () => {
+  const legacyPath = path.join(sandbox.work, 'legacy.xls');
+  fs.writeFileSync(legacyPath, Buffer.concat([
+    Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+    Buffer.alloc(504)
+  ]));
+
+  await assert.rejects(officeTools.readExcelFile({ path: legacyPath }), (error) => {
+    assert.strictEqual(error.code, 'UNSUPPORTED_FORMAT');
+    assert.strictEqual(error.details.detectedFormat, 'ole2');
+    return true;
+  });
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('库存').addRows([['名称', '数量'], ['苹果', 3]]);
+  const renamedPath = path.join(sandbox.work, 'renamed.xls');
+  await workbook.xlsx.writeFile(renamedPath);
+
+  const result = await officeTools.readExcelFile({ path: renamedPath });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.data, [['名称', '数量'], ['苹果', 3]]);
+});
+
+test('流式读取.xlsx不受maxReadSize限制并可按游标翻页', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('明细');
+  for (let i = 1; i <= 30; i++) {
+    worksheet.addRow([i, `第${i}行`]);
+  }
+  const filePath = path.join(sandbox.work, 'large.xlsx');
+  await workbook.xlsx.writeFile(filePath);
+
+  const { operationSecurity } = config.security;
+  const maxReadSize = operationSecurity.maxReadSize;
+  operationSecurity.maxReadSize = 100;
+  try {
+    await assert.rejects(officeTools.readExcelFile({ path: filePath }), /超过允许的最大值/);
+
+    const first = await officeTools.readExcelFile({ path: filePath, streaming: true, limit: 20 });
+    assert.strictEqual(first.rowsReturned, 20);
+    assert.strictEqual(first.hasMore, true);
+
+    const second = await officeTools.readExcelFile({ path: filePath, cursor: first.nextCursor, limit: 20 });
+    assert.deepStrictEqual(second.data[0], [21, '第21行']);
+    assert.strictEqual(second.rowsReturned, 10);
+    assert.strictEqual(second.nextCursor, null);
+  } finally {
+    operationSecurity.maxReadSize = maxReadSize;
+  }
+});
+
+test('write_excel_file写入对象行、追加、公式和区域，可由read_excel_file读回', async () => {
+  const filePath = path.join(sandbox.work, 'written.xlsx');
+
+  const created = await officeTools.writeExcelFile({
+    path: filePath,
+    sheet: '销售',
+    rows: [{ 地区: '华东', 收入: 120 }, { 地区: '华南', 收入: 80 }],
+    addSheets: ['备注']
+  });
+  assert.strictEqual(created.created, true);
+  assert.strictEqual(created.rowsWritten, 2);
+  assert.deepStrictEqual(created.availableSheets, ['销售', '备注']);
+
+  const appended = await officeTools.writeExcelFile({
+    path: filePath,
+    sheet: '销售',
+    mode: 'append',
+    rows: [{ 收入: 50, 地区: '华北' }],
+    cells: { D1: '合计', D2: '=SUM(B2:B4)' },
+    range: { start: 'F1', values: [[1, 2], [3, 4]] }
+  });
+  assert.strictEqual(appended.created, false);
+  assert.ok(appended.backupId);
+
+  const result = await officeTools.readExcelFile({ path: filePath, sheet: '销售', includeFormulas: true });
+  assert.deepStrictEqual(result.data.slice(0, 4).map(row => row.slice(0, 2)), [
+    ['地区', '收入'],
+    ['华东', 120],
+    ['华南', 80],
+    ['华北', 50]
+  ]);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const worksheet = workbook.getWorksheet('销售');
+  assert.strictEqual(worksheet.getCell('D2').formula, 'SUM(B2:B4)');
+  assert.strictEqual(worksheet.getCell('G2').value, 4);
+});
+
+test('write_excel_file拒绝不支持的格式和写入模式', async () => {
+  await assert.rejects(
+    officeTools.writeExcelFile({ path: path.join(sandbox.work, 'invalid.ods'), rows: [[1]] }),
+    /仅支持写入.xlsx和.csv格式/
+  );
+  await assert.rejects(
+    officeTools.writeExcelFile({ path: path.join(sandbox.work, 'invalid.xlsx'), rows: [[1]], mode: 'merge' }),
+    /无效的写入模式/
+  );
+});
+
+/**
+ * 生成只包含解析所需部件的.pptx文件
+ * @param {string} filePath 文件路径
+ * @param {Array<Object>} slides 幻灯片 { title, body, notes }，按列表顺序放入演示文稿；
+ *   部件文件按相反顺序编号，用于确认幻灯片顺序取自presentation.xml
+ */
+async function createPresentation(filePath, slides) {
+  const ns = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const relationships = (items) => '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    items.map(([id, type, target]) =>
+      `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/>`
+    ).join('') +
+    '</Relationships>';
+  const shape = (type, paragraphs) => '<p:sp><p:nvSpPr><p:nvPr>' + (type ? `<p:ph type="${type}"/>` : '') +
+    '</p:nvPr></p:nvSpPr><p:txBody>' +
+    paragraphs.map(text => `<a:p><a:r><a:t>${text}</a:t></a:r></a:p>`).join('') +
+    '</p:txBody></p:sp>';
+
+  const zip = new JSZip();
+  zip.file('ppt/presentation.xml', `<p:presentation ${ns}><p:sldIdLst>` +
+    slides.map((slide, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 1}"/>`).join('') +
+    '</p:sldIdLst></p:presentation>');
+  zip.file('ppt/_rels/presentation.xml.rels',
+    relationships(slides.map((slide, index) => [`rId${index + 1}`, 'slide', `slides/slide${slides.length - index}.xml`])));
+
+  slides.forEach((slide, index) => {
+    const name = `slide${slides.length - index}.xml`;
+    zip.file(`ppt/slides/${name}`, `<p:sld ${ns}><p:cSld><p:spTree>` +
+      shape('title', [slide.title]) + shape(null, slide.body) + shape('sldNum', ['1']) +
+      '</p:spTree></p:cSld></p:sld>');
+    if (slide.notes) {
+      zip.file(`ppt/slides/_rels/${name}.rels`, relationships([['rId1', 'notesSlide', `../notesSlides/notes-${name}`]]));
+      zip.file(`ppt/notesSlides/notes-${name}`, `<p:notes ${ns}><p:cSld><p:spTree>` +
+        shape('sldImg', []) + shape('body', [slide.notes]) + '</p:spTree></p:cSld></p:notes>');
+    }
+  });
+
+  zip.file('docProps/core.xml', '<cp:coreProperties ' +
+    'xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>季度汇报</dc:title></cp:coreProperties>');
+
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+}
+
+test('read_powerpoint按演示文稿顺序提取标题、正文和备注，并支持分页', async () => {
+  const filePath = path.join(sandbox.work, 'deck.pptx');
+  await createPresentation(filePath, [
+    { title: '概览', body: ['收入增长', '成本下降'], notes: '先讲结论' },
+    { title: '细节', body: ['华东'] },
+    { title: '总结', body: ['谢谢'] }
+  ]);
+
+  const result = await officeTools.readPowerPoint({ path: filePath });
+  assert.strictEqual(result.slideCount, 3);
+  assert.strictEqual(result.metadata.title, '季度汇报');
+  assert.deepStrictEqual(result.slides.map(slide => slide.title), ['概览', '细节', '总结']);
+  assert.deepStrictEqual(result.slides[0].body, ['收入增长', '成本下降']);
+  assert.strictEqual(result.slides[0].notes, '先讲结论');
+  assert.strictEqual(result.slides[1].notes, '');
+
+  const page = await officeTools.readPowerPoint({ path: filePath, includeNotes: false, pagination: { pageSize: 2, pageNum: 2 } });
+  assert.deepStrictEqual(page.slides.map(slide => slide.index), [3]);
+  assert.strictEqual(page.slides[0].notes, undefined);
+  assert.strictEqual(page.pagination.totalPages, 2);
+});
+
+/**
+ * 生成每页包含一行文本的最小PDF文件
+ * @param {string} filePath 文件路径
+ * @param {Array<string>} pageTexts 各页文本(ASCII)
+ * @param {string} title 文档标题
+ */
+function createPdf(filePath, pageTexts, title) {
+  const objects = [];
+  const pageIds = pageTexts.map((text, index) => 4 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pageTexts.forEach((text, index) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects[pageIds[index]] = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] ' +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+  const infoId = objects.length;
+  objects[infoId] = `<< /Title (${title}) >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  fs.writeFileSync(filePath, pdf, 'latin1');
+}
+
+test('read_pdf按页提取文本并支持页码范围', async () => {
+  const filePath = path.join(sandbox.work, 'report.pdf');
+  createPdf(filePath, ['First page', 'Second page', 'Third page'], 'Quarterly');
+
+  const result = await officeTools.readPdfDocument({ path: filePath });
+  assert.strictEqual(result.pageCount, 3);
+  assert.strictEqual(result.metadata.title, 'Quarterly');
+  assert.deepStrictEqual(result.pages.map(page => page.text), ['First page', 'Second page', 'Third page']);
+
+  const ranged = await officeTools.readPdfDocument({ path: filePath, range: { startPage: 2, endPage: 3 } });
+  assert.deepStrictEqual(ranged.pages.map(page => page.page), [2, 3]);
+  assert.strictEqual(ranged.content, 'Second page\n\nThird page');
+  assert.deepStrictEqual(ranged.range, { startPage: 2, endPage: 3, totalPages: 3 });
+
+  await assert.rejects(
+    officeTools.readPdfDocument({ path: filePath, range: { startPage: 5 } }),
+    /无效的页码范围/
+  );
+});
+
+/**
+ * 生成OpenDocument文件
+ * @param {string} filePath 文件路径
+ * @param {string} body office:body中的内容
+ */
+async function createOpenDocument(filePath, body) {
+  const zip = new JSZip();
+  zip.file('content.xml', '<office:document-content ' +
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+    'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0">' +
+    `<office:automatic-styles><text:list-style style:name="L1"><text:list-level-style-number text:level="1"/></text:list-style></office:automatic-styles>` +
+    `<office:body>${body}</office:body></office:document-content>`);
+  zip.file('meta.xml', '<office:document-meta xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/"><office:meta><dc:title>开放文档</dc:title></office:meta></office:document-meta>');
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+}
+
+test('read_word_document读取.odt的标题、段落、空格和编号列表', async () => {
+  const filePath = path.join(sandbox.work, 'notes.odt');
+  await createOpenDocument(filePath, '<office:text>' +
+    '<text:h text:outline-level="2">会议纪要</text:h>' +
+    '<text:p>甲<text:s text:c="3"/>乙<text:note><text:note-body><text:p>脚注</text:p></text:note-body></text:note></text:p>' +
+    '<text:list text:style-name="L1"><text:list-item><text:p>第一项</text:p></text:list-item>' +
+    '<text:list-item><text:p>第二项</text:p></text:list-item></text:list>' +
+    '</office:text>');
+
+  const text = await officeTools.readWordDocument({ path: filePath });
+  assert.strictEqual(text.content, '会议纪要\n\n甲   乙\n\n第一项\n\n第二项\n\n');
+
+  const html = await officeTools.readWordDocument({ path: filePath, outputFormat: 'html' });
+  assert.strictEqual(html.content, '<h2>会议纪要</h2><p>甲   乙</p><ol><li>第一项</li><li>第二项</li></ol>');
+});
+
+test('read_excel_file读取.ods的重复单元格、类型和公式', async () => {
+  const filePath = path.join(sandbox.work, 'budget.ods');
+  await createOpenDocument(filePath, '<office:spreadsheet><table:table table:name="预算">' +
+    '<table:table-row><table:table-cell office:value-type="string"><text:p>项目</text:p></table:table-cell>' +
+    '<table:table-cell office:value-type="string"><text:p>金额</text:p></table:table-cell></table:table-row>' +
+    '<table:table-row table:number-rows-repeated="2"><table:table-cell office:value-type="string"><text:p>差旅</text:p></table:table-cell>' +
+    '<table:table-cell office:value-type="float" office:value="10"/><table:table-cell table:number-columns-repeated="1000"/></table:table-row>' +
+    '<table:table-row><table:table-cell office:value-type="string"><text:p>合计</text:p></table:table-cell>' +
+    '<table:table-cell table:formula="of:=SUM([.B2:.B3])" office:value-type="float" office:value="20"/></table:table-row>' +
+    '<table:table-row table:number-rows-repeated="1048000"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>' +
+    '</table:table></office:spreadsheet>');
+
+  const result = await officeTools.readExcelFile({ path: filePath });
+  assert.strictEqual(result.sheet.name, '预算');
+  assert.deepStrictEqual(result.data, [
+    ['项目', '金额'],
+    ['差旅', 10],
+    ['差旅', 10],
+    ['合计', { formula: 'SUM(B2:B3)', result: 20 }]
+  ]);
+
+  const formulas = await officeTools.readExcelFile({ path: filePath, includeFormulas: true });
+  assert.strictEqual(formulas.data[3][1].formula, 'SUM(B2:B3)');
+});
+
+test('read_word_document提取.docx中的图片到输出目录或以base64返回', async () => {
+  const { Document, Packer, Paragraph, TextRun, ImageRun } = require('docx');
+  const png = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+    'base64'
+  );
+  const document = new Document({
+    sections: [{
+      children: [
+        new Paragraph({ children: [new TextRun('图片之前')] }),
+        new Paragraph({
+          children: [new ImageRun({ type: 'png', data: png, transformation: { width: 10, height: 10 }, altText: { name: '示意图', description: '示意图' } })]
+        })
+      ]
+    }]
+  });
+  const filePath = path.join(sandbox.work, 'with-image.docx');
+  fs.writeFileSync(filePath, await Packer.toBuffer(document));
+
+  const outputDir = path.join(sandbox.work, 'extracted-images');
+  const saved = await officeTools.readWordDocument({ path: filePath, extractImages: true, imageOutputDir: outputDir, outputFormat: 'html' });
+  assert.strictEqual(saved.images.length, 1);
+  assert.strictEqual(saved.images[0].name, 'with-image_image_1.png');
+  assert.strictEqual(saved.images[0].contentType, 'image/png');
+  assert.deepStrictEqual(fs.readFileSync(path.join(outputDir, 'with-image_image_1.png')), png);
+  assert.match(saved.content, /<img[^>]+src="with-image_image_1\.png"/);
+
+  const inline = await officeTools.readWordDocument({ path: filePath, extractImages: true });
+  assert.strictEqual(inline.images[0].data, png.toString('base64'));
+  assert.strictEqual(inline.images[0].path, undefined);
+  assert.match(inline.content, /图片之前/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const securityUtils = require('../src/config/security');
+const fileTools = require('../src/tools/file-tools');
+const dirTools = require('../src/tools/dir-tools');
+
+const inside = path.join(sandbox.work, 'inside');
+const outside = path.join(sandbox.work, 'outside');
+fs.mkdirSync(inside);
+fs.mkdirSync(outside);
+
+test.afterEach(() => {
+  securityUtils.setClientRoots(null);
+  securityUtils.setAllowedRoots([]);
+});
+test.after(() => sandbox.cleanup());
+
+test('客户端未提供根目录时不限制路径', () => {
+  assert.strictEqual(securityUtils.getClientRoots(), null);
+  assert.strictEqual(securityUtils.isPathSafe(path.join(outside, 'a.txt')).isValid, true);
+});
+
+test('客户端根目录限制访问范围', () => {
+  assert.deepStrictEqual(securityUtils.setClientRoots([inside]), [inside]);
+  assert.strictEqual(securityUtils.isPathSafe(path.join(inside, 'a.txt')).isValid, true);
+  assert.strictEqual(securityUtils.isPathSafe(path.join(outside, 'a.txt')).isValid, false);
+});
+
+test('客户端提供空的根目录列表时拒绝所有路径', () => {
+  assert.deepStrictEqual(securityUtils.setClientRoots([]), []);
+  assert.deepStrictEqual(securityUtils.getClientRoots(), []);
+  assert.strictEqual(securityUtils.isPathSafe(path.join(inside, 'a.txt')).isValid, false);
+  assert.strictEqual(securityUtils.isPathSafe(path.join(outside, 'a.txt')).isValid, false);
+});
+
+/**
+ * 根目录沙箱中应被拒绝的路径：根目录外、..跳出根目录和指向根目录外的符号链接
+ * @returns {Object} { file: 文件路径, dir: 目录路径 }的映射
+ */
+function createEscapes() {
+  fs.mkdirSync(path.join(inside, 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+  fs.rmSync(path.join(inside, 'link'), { force: true });
+  fs.symlinkSync(outside, path.join(inside, 'link'));
+
+  return {
+    outside: { file: path.join(outside, 'secret.txt'), dir: outside },
+    traversal: {
+      file: `${inside}${path.sep}sub${path.sep}..${path.sep}..${path.sep}outside${path.sep}secret.txt`,
+      dir: `${inside}${path.sep}..${path.sep}outside`
+    },
+    symlink: { file: path.join(inside, 'link', 'secret.txt'), dir: path.join(inside, 'link') }
+  };
+}
+
+test('--root沙箱拒绝读取、写入和列出根目录外的路径', async () => {
+  const escapes = createEscapes();
+  securityUtils.setAllowedRoots([inside]);
+
+  for (const [kind, { file, dir }] of Object.entries(escapes)) {
+    await assert.rejects(fileTools.readFile({ path: file }), /没有权限读取文件/, kind);
+    await assert.rejects(fileTools.writeFile({ path: file, content: 'overwritten' }), /没有权限写入文件/, kind);
+    await assert.rejects(
+      fileTools.writeFile({ path: path.join(path.dirname(file), 'created.txt'), content: 'x' }),
+      /没有权限写入文件/,
+      kind
+    );
+
+    const listed = await dirTools.listFiles(dir);
+    assert.strictEqual(listed.success, false, kind);
+    assert.strictEqual(listed.code, 'ACCESS_DENIED', kind);
+  }
+
+  assert.strictEqual(fs.readFileSync(path.join(outside, 'secret.txt'), 'utf8'), 'secret');
+  assert.strictEqual(fs.existsSync(path.join(outside, 'created.txt')), false);
+});
+
+test('--root沙箱允许访问根目录内的路径', async () => {
+  createEscapes();
+  securityUtils.setAllowedRoots([inside]);
+  const filePath = path.join(inside, 'sub', '..', 'allowed.txt');
+
+  await fileTools.writeFile({ path: filePath, content: 'allowed' });
+  const read = await fileTools.readFile({ path: filePath });
+  assert.strictEqual(read.content, 'allowed');
+
+  const listed = await dirTools.listFiles(inside);
+  assert.strictEqual(listed.success, true);
+  assert.ok(listed.data.some(item => item.name === 'allowed.txt'));
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const streamUtils = require('../src/utils/stream-utils');
+
+test.after(() => sandbox.cleanup());
+
+test('spliceFileLines按行替换并保留末尾换行', async () => {
+  const filePath = path.join(sandbox.work, 'lines.txt');
+  fs.writeFileSync(filePath, 'a\r\nb\r\nc\r\n');
+
+  const result = await streamUtils.spliceFileLines(filePath, 2, 1, ['x', 'y']);
+  assert.deepStrictEqual(result, { totalLines: 3, newTotalLines: 4, deletedLines: 1, insertedLines: 2 });
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'a\r\nx\r\ny\r\nc\r\n');
+
+  await streamUtils.spliceFileLines(filePath, 5, 0, ['d']);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'a\r\nx\r\ny\r\nc\r\nd\r\n');
+});
+
+test('spliceFileLines在临时文件无法创建时拒绝并保留原文件', { timeout: 10000 }, async (t) => {
+  const filePath = path.join(sandbox.work, 'unwritable.txt');
+  fs.writeFileSync(filePath, 'one\ntwo\n');
+
+  // 让临时文件落到一个不存在的目录中，模拟打开失败
+  const createWriteStream = fs.createWriteStream;
+  t.mock.method(fs, 'createWriteStream', (tempPath, options) =>
+    createWriteStream(path.join(tempPath, 'missing', 'file'), options));
+
+  await assert.rejects(
+    streamUtils.spliceFileLines(filePath, 1, 1, ['ONE']),
+    (error) => error.code === 'ENOENT' || error.code === 'ENOTDIR'
+  );
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'one\ntwo\n');
+  assert.deepStrictEqual(fs.readdirSync(sandbox.work).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('spliceFileLines起始行超出范围时报错', async () => {
+  const filePath = path.join(sandbox.work, 'short.txt');
+  fs.writeFileSync(filePath, 'only\n');
+
+  await assert.rejects(streamUtils.spliceFileLines(filePath, 5, 0, ['x']), /超出文件范围/);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'only\n');
+  assert.deepStrictEqual(fs.readdirSync(sandbox.work).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('文件名接近长度上限时仍可原子写入和按行修改', async () => {
+  const filePath = path.join(sandbox.work, `${'长'.repeat(80)}.txt`);
+  assert.ok(Buffer.byteLength(path.basename(filePath)) > 240);
+
+  await streamUtils.atomicWriteFile(filePath, 'first\nsecond\n');
+  await streamUtils.spliceFileLines(filePath, 2, 1, ['SECOND']);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'first\nSECOND\n');
+});
+
+test('spliceFileLines修改符号链接指向的文件并保留链接', { skip: process.platform === 'win32' }, async () => {
+  const target = path.join(sandbox.work, 'link-target.txt');
+  const link = path.join(sandbox.work, 'link.txt');
+  fs.writeFileSync(target, 'one\ntwo\n');
+  fs.symlinkSync(target, link);
+
+  await streamUtils.spliceFileLines(link, 2, 1, ['TWO']);
+  assert.strictEqual(fs.lstatSync(link).isSymbolicLink(), true);
+  assert.strictEqual(fs.readFileSync(target, 'utf8'), 'one\nTWO\n');
+});
+
+test('spliceFileLines按GBK编码读写，auto编码时保留BOM', async () => {
+  const iconv = require('iconv-lite');
+  const gbkPath = path.join(sandbox.work, 'gbk-lines.txt');
+  fs.writeFileSync(gbkPath, iconv.encode('第一行\n第二行\n', 'gbk'));
+
+  await streamUtils.spliceFileLines(gbkPath, 2, 0, ['插入行'], 'gbk');
+  assert.strictEqual(iconv.decode(fs.readFileSync(gbkPath), 'gbk'), '第一行\n插入行\n第二行\n');
+
+  const bomPath = path.join(sandbox.work, 'bom-lines.txt');
+  const bom = Buffer.from([0xef, 0xbb, 0xbf]);
+  fs.writeFileSync(bomPath, Buffer.concat([bom, Buffer.from('a\nb\n')]));
+
+  await streamUtils.spliceFileLines(bomPath, 1, 1, ['A'], 'auto');
+  assert.deepStrictEqual(fs.readFileSync(bomPath), Buffer.concat([bom, Buffer.from('A\nb\n')]));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupSandbox } = require('./helpers');
+
+const sandbox = setupSandbox();
+const fileTools = require('../src/tools/file-tools');
+const dirTools = require('../src/tools/dir-tools');
+const backupTools = require('../src/tools/backup-tools');
+const trashUtils = require('../src/utils/trash-utils');
+
+const trashDir = path.join(sandbox.root, 'share', 'Trash');
+
+test.after(() => sandbox.cleanup());
+
+test('useTrash删除文件时移入XDG回收站并写入.trashinfo', { skip: process.platform !== 'linux' }, async () => {
+  const filePath = path.join(sandbox.work, 'note.txt');
+  fs.writeFileSync(filePath, 'first');
+
+  const result = await fileTools.deleteFile({ path: filePath, useTrash: true });
+  assert.strictEqual(result.trashPath, path.join(trashDir, 'files', 'note.txt'));
+  assert.strictEqual(fs.existsSync(filePath), false);
+  assert.strictEqual(fs.readFileSync(result.trashPath, 'utf8'), 'first');
+
+  const info = fs.readFileSync(path.join(trashDir, 'info', 'note.txt.trashinfo'), 'utf8');
+  assert.match(info, /^\[Trash Info\]\nPath=.*\/work\/note\.txt\nDeletionDate=\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\n$/);
+
+  // 同名文件再次删除时追加序号
+  fs.writeFileSync(filePath, 'second');
+  const again = await fileTools.deleteFile({ path: filePath, useTrash: true });
+  assert.strictEqual(again.trashPath, path.join(trashDir, 'files', 'note.2.txt'));
+  assert.strictEqual(fs.readFileSync(again.trashPath, 'utf8'), 'second');
+});
+
+test('从回收站恢复后删除对应的.trashinfo', { skip: process.platform !== 'linux' }, async () => {
+  const filePath = path.join(sandbox.work, 'restore-me.txt');
+  fs.writeFileSync(filePath, 'keep');
+
+  const trashed = await trashUtils.moveToTrash(filePath);
+  await trashUtils.restoreFromTrash(trashed.path, filePath);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'keep');
+  assert.strictEqual(fs.existsSync(trashed.infoPath), false);
+});
+
+test('非递归删除非空目录时即使useTrash也拒绝并保留目录', { skip: process.platform !== 'linux' }, async () => {
+  const dirPath = path.join(sandbox.work, 'full');
+  fs.mkdirSync(dirPath);
+  fs.writeFileSync(path.join(dirPath, 'a.txt'), 'a');
+
+  const result = await dirTools.deleteDirectory(dirPath, { useTrash: true });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.code, 'NOT_EMPTY');
+  assert.strictEqual(fs.readFileSync(path.join(dirPath, 'a.txt'), 'utf8'), 'a');
+  assert.strictEqual(fs.existsSync(path.join(trashDir, 'files', 'full')), false);
+
+  const recursive = await dirTools.deleteDirectory(dirPath, { useTrash: true, recursive: true });
+  assert.strictEqual(recursive.success, true);
+  assert.strictEqual(fs.existsSync(dirPath), false);
+  assert.strictEqual(fs.readFileSync(path.join(recursive.trashPath, 'a.txt'), 'utf8'), 'a');
+
+  // 撤销后目录从回收站移回原位置
+  const undo = await backupTools.undoLastOperation();
+  assert.strictEqual(undo.success, true);
+  assert.strictEqual(fs.readFileSync(path.join(dirPath, 'a.txt'), 'utf8'), 'a');
+  assert.strictEqual(fs.existsSync(recursive.trashPath), false);
+});
+
+test('delete_file即使设置useTrash也拒绝删除目录', { skip: process.platform !== 'linux' }, async () => {
+  const dirPath = path.join(sandbox.work, 'not-a-file');
+  fs.mkdirSync(dirPath);
+  fs.writeFileSync(path.join(dirPath, 'inside.txt'), 'inside');
+
+  await assert.rejects(fileTools.deleteFile({ path: dirPath, useTrash: true }), /路径是目录/);
+  await assert.rejects(fileTools.deleteFile({ path: dirPath }), /路径是目录/);
+  assert.strictEqual(fs.readFileSync(path.join(dirPath, 'inside.txt'), 'utf8'), 'inside');
+});